@@ -1,95 +1,92 @@
 /**
- * Vercel Serverless Function: Generate AI insights using the *client's* Gemini API key.
- * - Client provides Gemini key via headers (X-Gemini-Api-Key preferred; Authorization: Bearer <key> supported).
- * - No server-managed "access tokens" required.
+ * Vercel Serverless Function: Generate AI insights using the *client's* LLM API key.
+ * - Client provides its key via headers (X-Gemini-Api-Key preferred; Authorization: Bearer <key> supported).
+ * - Optional server-managed key mode: an X-Session-Token issued by /api/session replaces the
+ *   client key, and each session gets a fixed request quota (see lib/session-token).
+ * - Prompts are built server-side from `{ mode, itemId, topic, question }`; raw `prompt`
+ *   bodies are only accepted outside production (or with GENERATE_INSIGHT_ALLOW_RAW_PROMPTS=true).
+ * - Body and headers are checked against shared declarative schemas first (lib/request-schema); a
+ *   400 lists every invalid field as `fields: [{ field, message }]`.
+ * - Pluggable providers (Gemini, OpenAI-compatible, local stand-in) with one normalized
+ *   response shape: { text, model, usage, finishReason }.
+ * - Optional generation settings (model from an allow-list, temperature, maxOutputTokens, topP,
+ *   safety thresholds) validated against env bounds (see lib/generation-settings).
+ * - Guardrails (lib/guardrails): visitor text is delimited and kept apart from a system instruction,
+ *   known injection patterns are flagged or rejected (INPUT_REJECTED), and safety-stopped or empty
+ *   completions become SAFETY_BLOCKED / UPSTREAM_ERROR instead of a partial or blank insight.
+ * - Follow-ups: `history` (model/user turns since the prompt) + `followUp` become a multi-turn
+ *   conversation, bounded in turns and size (see lib/conversation).
+ * - Structured mode (`format: 'structured'`, project/publication only): the provider is asked for
+ *   JSON matching a schema and the checked fields come back as `structured` (see lib/structured).
+ * - Batch mode (`mode: 'batch'`, `itemIds`): per-item results for many catalog items in one
+ *   request, with capped upstream concurrency and one weighted rate-limit charge (see lib/batch).
  * - CORS (same-origin allowed, allow-list with wildcards), preflight handling.
- * - Simple IP/token-based rate limiting.
- * - Timeout + limited retries for upstream calls.
+ * - IP/token-based rate limiting with pluggable stores and algorithms (see lib/rate-limit);
+ *   X-RateLimit-Limit/Remaining/Reset accompany every response past validation.
+ * - Responses report token usage ({ promptTokens, outputTokens, totalTokens }); an optional daily
+ *   token quota per key hash (GENERATE_INSIGHT_DAILY_TOKEN_QUOTA, see lib/token-quota) adds a
+ *   `quota: { limit, remaining, resetAt }` readout and answers 429 TOKEN_QUOTA_EXHAUSTED once spent.
+ * - LRU/TTL response cache per key hash (X-Cache: HIT|MISS); hits are not rate limited and
+ *   `fresh: true` (or Cache-Control: no-cache) forces regeneration.
+ * - Upstream resilience (lib/upstream): per-attempt timeout, jittered exponential retries, upstream
+ *   Retry-After, one overall deadline (GENERATE_INSIGHT_DEADLINE_MS, optionally shortened by the
+ *   client's X-Deadline-Ms) and a per-provider circuit breaker (CIRCUIT_OPEN, 503).
+ * - Failures map onto the lib/errors taxonomy (INVALID_API_KEY, UPSTREAM_QUOTA, SAFETY_BLOCKED,
+ *   UPSTREAM_TIMEOUT, ...) with matching statuses.
+ * - Optional audit trail (GENERATE_INSIGHT_AUDIT_LOG): one redacted JSONL record per generated
+ *   insight in a rotating local file (see lib/audit, scripts/audit-query.js).
+ * - Opt-in streaming (`stream: true`): upstream SSE chunks are relayed to the client as SSE.
+ * - Settings come from lib/config (env plus an optional JSON file, validated together); an invalid
+ *   configuration is logged at cold start and answered with SERVER_MISCONFIGURED.
+ * - Every response carries an X-Request-Id (a valid incoming one is reused) that is echoed in
+ *   error bodies and attached to the JSON log lines (lib/logger); counters and histograms are
+ *   exposed in Prometheus format at /api/metrics, which is routed to this function (see metrics.js).
  */
 
 const crypto = require('node:crypto');
-
-const API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent";
-
-const MAX_PROMPT_LENGTH = 4000;
-const DEFAULT_REQUEST_TIMEOUT_MS = 15_000;
-const DEFAULT_MAX_RETRIES = 1;
-
-const rateLimitBuckets = new Map();
-let lastRateLimitSweepAt = 0;
-
-const defaultRateLimitConfig = { maxRequests: 5, windowMs: 60_000 };
-const defaultRequestConfig   = { timeoutMs: DEFAULT_REQUEST_TIMEOUT_MS, maxRetries: DEFAULT_MAX_RETRIES };
+const { getConfig, checkConfig, requireValidConfig } = require('./lib/config');
+const { isProductionEnvironment } = require('./lib/env');
+const { applyCors } = require('./lib/cors');
+const { getClientIp, assignRequestId, getRequestId, sendError } = require('./lib/http');
+const { ApiError, toApiError } = require('./lib/errors');
+const { resetCircuitBreakers } = require('./lib/circuit-breaker');
+const { logger } = require('./lib/logger');
+const { metrics } = require('./lib/metrics');
+const { startEventStream, writeEvent } = require('./lib/sse');
+const { resolveProvider } = require('./lib/providers');
+const { callWithRetry, streamWithRetry } = require('./lib/upstream');
+const { buildPromptFromRequest } = require('./lib/prompts');
+const { validateGenerationSettings } = require('./lib/generation-settings');
+const { validateConversation } = require('./lib/conversation');
+const { getBatchConfig, validateBatchRequest, batchCost, mapWithConcurrency } = require('./lib/batch');
+const { peekTokenQuota, chargeTokens, toQuotaView } = require('./lib/token-quota');
+const { loadRequestSchemas, validateInsightRequest } = require('./lib/request-schema');
+const { getAuditConfig, toAuditRecord, writeAuditRecord } = require('./lib/audit');
+const { SYSTEM_INSTRUCTION, screenUserInput, delimitConversation } = require('./lib/guardrails');
+const { INSIGHT_SCHEMA, STRUCTURED_INSTRUCTION, validateResponseFormat, attachStructuredInsight } = require('./lib/structured');
+const { createLruCache } = require('./lib/cache');
+const {
+  getRateLimiter,
+  getRateLimitConfig,
+  applyRateLimitHeaders,
+  memoryStore: rateLimitMemoryStore
+} = require('./lib/rate-limit');
+const { isServerKeyModeEnabled, getSessionConfig, verifySessionToken } = require('./lib/session-token');
+const metricsHandler = require('./metrics');
+
+const responseCache = createLruCache();
+
+// Surface a bad configuration in the cold-start logs, not only on the first request.
+checkConfig(logger);
 
 /* ----------------------------- env helpers ----------------------------- */
 
-const normalizeEnvironmentValue = (v) => typeof v === 'string' ? v.trim().toLowerCase() : '';
-
-const isProductionEnvironment = () => {
-  const { VERCEL_ENV, NODE_ENV } = process.env;
-  const ve = normalizeEnvironmentValue(VERCEL_ENV);
-  if (ve) return ve === 'production';
-  const ne = normalizeEnvironmentValue(NODE_ENV);
-  if (ne) return ne === 'production';
-  return false;
-};
-
-const parseAllowedOrigins = () => {
-  const { ALLOWED_ORIGINS } = process.env;
-  if (typeof ALLOWED_ORIGINS === 'string' && ALLOWED_ORIGINS.trim()) {
-    return new Set(
-      ALLOWED_ORIGINS.split(',').map(s => s.trim()).filter(Boolean)
-    );
-  }
-  // In non-prod, default to permissive CORS if not configured.
-  if (!isProductionEnvironment()) return new Set(['*']);
-  // In prod with no config: empty set means we’ll error with a clear message.
-  return new Set();
-};
-
-/* --------------------------- CORS utilities --------------------------- */
-
-const isWildcardMatch = (origin, pattern) => {
-  // Accept both "*.vercel.app" and "https://*.vercel.app" patterns in env.
-  const cleaned = pattern.replace(/^https?:\/\//i, '');
-  if (!cleaned.startsWith('*.')) return false;
-  try {
-    const { hostname } = new URL(origin);
-    const suffix = cleaned.slice(2); // "vercel.app"
-    return hostname === suffix || hostname.endsWith('.' + suffix);
-  } catch {
-    return false;
-  }
-};
-
-const isOriginAllowed = (origin, allowed) => {
-  // Same-origin or non-CORS requests often have no Origin header -> allow.
-  if (!origin) return true;
-  if (allowed.has('*')) return true;
-  if (allowed.has(origin)) return true;
-  for (const entry of allowed) {
-    if (entry.startsWith('*.') || entry.startsWith('https://*.') || entry.startsWith('http://*.')) {
-      if (isWildcardMatch(origin, entry)) return true;
-    }
-  }
-  return false;
-};
-
-const corsOriginToEcho = (origin, allowed) => {
-  if (!origin) return null;               // only echo for cross-origin cases
-  if (allowed.has('*')) return '*';
-  if (allowed.has(origin)) return origin;
-  for (const entry of allowed) {
-    if (entry.startsWith('*.') || entry.startsWith('https://*.') || entry.startsWith('http://*.')) {
-      if (isWildcardMatch(origin, entry)) return origin;
-    }
-  }
-  return null;
-};
+// Raw prompts turn the endpoint into a general proxy, so production only accepts structured modes.
+const areRawPromptsAllowed = () => getConfig().prompts.allowRaw ?? !isProductionEnvironment();
 
 /* ----------------------------- misc helpers --------------------------- */
 
-const getClientGeminiKey = (req) => {
+const getClientApiKey = (req) => {
   // Preferred: custom header avoids ambiguity.
   const viaCustom = req.headers['x-gemini-api-key'];
   if (typeof viaCustom === 'string' && viaCustom.trim()) {
@@ -106,193 +103,447 @@ const getClientGeminiKey = (req) => {
 
 const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
 
-const clientKeyForRateLimit = (req, clientGeminiKey) => {
+const clientKeyForRateLimit = (req, clientApiKey) => {
   // Prefer a stable token-based bucket if the user provided a key; otherwise IP.
-  if (clientGeminiKey) return `gem:${sha256(clientGeminiKey)}`;
-  const fwd = req.headers['x-forwarded-for'];
-  if (typeof fwd === 'string' && fwd.trim()) return fwd.split(',')[0].trim();
-  return req.socket?.remoteAddress || 'unknown';
+  if (clientApiKey) return `gem:${sha256(clientApiKey)}`;
+  return getClientIp(req);
 };
 
-const pruneExpiredBuckets = (now = Date.now()) => {
-  if (now - lastRateLimitSweepAt < 60_000) return;
-  lastRateLimitSweepAt = now;
-  for (const [key, bucket] of rateLimitBuckets.entries()) {
-    if (bucket.expiresAt <= now) rateLimitBuckets.delete(key);
-  }
+// /api/metrics shares this function so a scrape reads the registry of a warm generator instance.
+const isMetricsRequest = (req) => {
+  if (typeof req.url !== 'string') return false;
+  return new URL(req.url, 'http://localhost').pathname === '/api/metrics';
 };
 
-const isRateLimited = (bucketKey, cfg, now = Date.now()) => {
-  if (!cfg.maxRequests || cfg.maxRequests < 0) return false;
-  pruneExpiredBuckets(now);
-  const b = rateLimitBuckets.get(bucketKey);
-  if (!b || b.expiresAt <= now) {
-    rateLimitBuckets.set(bucketKey, { count: 1, expiresAt: now + cfg.windowMs });
-    return false;
-  }
-  if (b.count >= cfg.maxRequests) return true;
-  b.count += 1;
-  return false;
+const getSessionTokenHeader = (req) => {
+  const token = req.headers['x-session-token'];
+  return typeof token === 'string' ? token.trim() : '';
 };
 
-const secondsUntilReset = (bucketKey, now = Date.now()) => {
-  const b = rateLimitBuckets.get(bucketKey);
-  return b ? Math.max(0, Math.ceil((b.expiresAt - now) / 1000)) : 0;
+const getRequestConfig = () => getConfig().request;
+
+// Clients may shorten (never extend) the overall deadline with X-Deadline-Ms.
+// Format already checked against the header schema.
+const getClientDeadline = (req) => {
+  const raw = req.headers['x-deadline-ms'];
+  return raw === undefined ? undefined : Number(raw);
 };
 
-const getRateLimitConfig = () => {
-  const n = Number(process.env.GENERATE_INSIGHT_MAX_REQUESTS ?? defaultRateLimitConfig.maxRequests);
-  const w = Number(process.env.GENERATE_INSIGHT_WINDOW_MS ?? defaultRateLimitConfig.windowMs);
-  return {
-    maxRequests: Number.isFinite(n) ? n : defaultRateLimitConfig.maxRequests,
-    windowMs: Number.isFinite(w) && w > 0 ? w : defaultRateLimitConfig.windowMs
-  };
+// 0 (entries or TTL) disables caching.
+const getCacheConfig = () => getConfig().cache;
+
+/* ------------------------------- caching ------------------------------ */
+
+const normalizePrompt = (prompt) => prompt.trim().replace(/\s+/g, ' ');
+
+// The bucket key (API key hash or IP) is part of the hash so clients never share results;
+// settings (model, temperature, ...) are too, since they change the output.
+const responseCacheKey = (bucketKey, provider, { prompt, settings, conversation }) => sha256(JSON.stringify({
+  bucket: bucketKey,
+  provider: provider.name,
+  settings,
+  prompt: normalizePrompt(prompt),
+  conversation
+}));
+
+const wantsFreshResult = (req, body) => {
+  if (body.fresh === true) return true;
+  const cacheControl = req.headers['cache-control'];
+  return typeof cacheControl === 'string' && /\bno-cache\b/i.test(cacheControl);
 };
 
-const getRequestConfig = () => {
-  const t = Number(process.env.GENERATE_INSIGHT_TIMEOUT_MS ?? defaultRequestConfig.timeoutMs);
-  const r = Number(process.env.GENERATE_INSIGHT_MAX_RETRIES ?? defaultRequestConfig.maxRetries);
-  return {
-    timeoutMs: Number.isFinite(t) && t > 0 ? t : defaultRequestConfig.timeoutMs,
-    maxRetries: Number.isFinite(r) && r >= 0 ? Math.min(r, 3) : defaultRequestConfig.maxRetries
-  };
+const withQuota = (result, quota) => (quota ? { ...result, quota } : result);
+
+const replayCachedStream = (res, result) => {
+  startEventStream(res);
+  writeEvent(res, 'chunk', { text: result.text });
+  writeEvent(res, 'done', result);
+  res.end();
 };
 
-const fetchWithTimeout = async (url, options, timeoutMs) => {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
+/* ------------------------------ streaming ----------------------------- */
+
+// `onComplete(result)` resolves the payload of the final `done` event.
+const relayStream = async (res, provider, request, cfg, onComplete) => {
+  const { logger: log } = cfg;
+  startEventStream(res);
   try {
-    return await fetch(url, { ...options, signal: controller.signal });
-  } finally {
-    clearTimeout(id);
+    const result = await streamWithRetry(provider, request, cfg, (text) => {
+      writeEvent(res, 'chunk', { text });
+    });
+    writeEvent(res, 'done', await onComplete(result));
+  } catch (err) {
+    // Headers are already sent, so the failure is reported in-band.
+    const apiError = toApiError(err);
+    log.error('upstream stream failed', { provider: provider.name, code: apiError.code, err: apiError.cause || err });
+    writeEvent(res, 'error', { error: apiError.message, code: apiError.code, requestId: getRequestId(res) });
   }
+  res.end();
 };
 
-const RETRYABLE_NETWORK_ERROR_CODES = new Set([
-  'ECONNRESET',
-  'ECONNREFUSED',
-  'ECONNABORTED',
-  'ENOTFOUND',
-  'EAI_AGAIN',
-  'ETIMEDOUT',
-  'EPIPE',
-  'ENETDOWN',
-  'ENETUNREACH',
-  'EHOSTUNREACH',
-  'EHOSTDOWN'
-]);
-
-const callGeminiWithRetry = async (payload, apiKey, cfg) => {
-  const { timeoutMs, maxRetries } = cfg;
-  const init = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
-  };
-  let attempt = 0, lastError;
-  while (attempt <= maxRetries) {
-    attempt += 1;
-    try {
-      const resp = await fetchWithTimeout(`${API_URL}?key=${apiKey}`, init, timeoutMs);
-      if (!resp.ok) {
-        const txt = await resp.text().catch(() => '');
-        console.warn('Gemini non-OK', resp.status, txt);
-        if (resp.status >= 500 && attempt <= maxRetries) continue;
-        throw new Error('Upstream request failed.');
-      }
-      return resp.json();
-    } catch (err) {
-      lastError = err;
-      const causeCode = err?.cause?.code || err?.code;
-      const networkError = err.name === 'TypeError' || (typeof causeCode === 'string' && RETRYABLE_NETWORK_ERROR_CODES.has(causeCode));
-      const retryable =
-        err.name === 'AbortError' ||
-        err.name === 'FetchError' ||
-        err.message === 'Upstream request failed.' ||
-        networkError;
-      if (!retryable || attempt > maxRetries) throw lastError;
-      await new Promise(r => setTimeout(r, 200 * attempt));
+/* ---------------------------- rate limiting --------------------------- */
+
+// Fail open: a store outage should not take the generator down with it.
+const evaluateRateLimit = async (log, operation) => {
+  try {
+    return await operation();
+  } catch (err) {
+    log.warn('rate limiter unavailable, allowing request', { err });
+    return null;
+  }
+};
+
+/**
+ * Charges `cost` units to the client bucket (API key hash or IP) and `sessionCost` upstream calls
+ * to the session quota. Sends the 429 and resolves false when either is exhausted.
+ */
+const chargeRateLimits = async (res, log, { rateLimiter, rlCfg, bucketKey, session }, { cost = 1, sessionCost = 1 } = {}) => {
+  // The token budget is only read here (usage is charged once known), and first, so that a spent
+  // budget does not also use up a request.
+  const tokens = await evaluateRateLimit(log, () => peekTokenQuota(bucketKey));
+  if (tokens && tokens.remaining <= 0) {
+    metrics.rateLimitRejections.inc({ scope: 'tokens' });
+    sendError(res, new ApiError('TOKEN_QUOTA_EXHAUSTED', undefined, { retryAfterMs: tokens.resetAt - Date.now() }));
+    return false;
+  }
+
+  const decision = await evaluateRateLimit(log, () => rateLimiter.consume(bucketKey, rlCfg, { cost }));
+  applyRateLimitHeaders(res, decision);
+  if (decision && !decision.allowed) {
+    const retryAfter = Math.ceil(decision.retryAfterMs / 1000) || Math.ceil(rlCfg.windowMs / 1000);
+    res.setHeader('Retry-After', retryAfter);
+    metrics.rateLimitRejections.inc({ scope: 'client' });
+    sendError(res, 'RATE_LIMITED');
+    return false;
+  }
+
+  // Per-session quota: a fixed budget of upstream calls for the token's lifetime.
+  if (session) {
+    const quota = await evaluateRateLimit(log, () =>
+      getRateLimiter({ algorithm: 'fixed-window' }).consume(`session-quota:${session.sid}`, session.quota, { cost: sessionCost })
+    );
+    if (quota && !quota.allowed) {
+      metrics.rateLimitRejections.inc({ scope: 'session' });
+      sendError(res, 'SESSION_QUOTA_EXHAUSTED');
+      return false;
     }
   }
-  throw lastError || new Error('Failed to contact Gemini API.');
+  return true;
 };
 
-/* ------------------------------- handler ------------------------------ */
+/**
+ * Counts the tokens of fresh results (metrics) and charges them to the bucket's daily token quota.
+ * Resolves the `quota` readout for the response, or null when the quota is off.
+ */
+const recordUsage = async (log, { provider, mode, bucketKey }, results) => {
+  let total = 0;
+  for (const { usage } of results) {
+    if (!usage) continue;
+    metrics.tokens.inc({ provider: provider.name, mode, type: 'prompt' }, usage.promptTokens || 0);
+    metrics.tokens.inc({ provider: provider.name, mode, type: 'output' }, usage.outputTokens || 0);
+    total += usage.totalTokens || 0;
+  }
+  return toQuotaView(await evaluateRateLimit(log, () => chargeTokens(bucketKey, total)));
+};
 
-module.exports = async (req, res) => {
-  const allowed = parseAllowedOrigins();
-  const origin = req.headers.origin || '';
+const currentQuota = async (log, bucketKey) =>
+  toQuotaView(await evaluateRateLimit(log, () => peekTokenQuota(bucketKey)));
+
+/* -------------------------------- audit ------------------------------- */
+
+// Server-key generations are attributed to their session rather than the shared IP bucket.
+const auditContext = (req, res, provider, { bucketKey, session }) => ({
+  requestId: getRequestId(res),
+  origin: req.headers.origin,
+  provider: provider.name,
+  bucketKey: session ? `session:${session.sid}` : bucketKey
+});
 
-  // Require CORS config in production.
-  if (allowed.size === 0 && isProductionEnvironment()) {
-    return res.status(500).json({ error: "CORS configuration is missing on the server." });
+/**
+ * Appends one audit record per generation (`{ mode, itemId, prompt, conversation, result }`) when
+ * the audit log is on. Write failures are logged, never surfaced: the insight already exists.
+ */
+const auditGenerations = async (log, context, generations) => {
+  const cfg = getAuditConfig();
+  if (!cfg) return;
+  try {
+    for (const generation of generations) {
+      await writeAuditRecord(toAuditRecord({ ...context, ...generation }, cfg), cfg);
+    }
+  } catch (err) {
+    log.warn('audit write failed', { err });
   }
+};
 
-  // CORS decision
-  if (!isOriginAllowed(origin, allowed)) {
-    return res.status(403).json({ error: "Origin not allowed." });
+/* -------------------------------- batch ------------------------------- */
+
+/**
+ * `{ mode: 'batch', itemIds }`: one insight per catalog item, fanned out with a concurrency cap.
+ * Cached items are free; the rest are charged once as a weighted rate-limit cost (lib/batch) and
+ * share the request deadline. Per-item failures are reported in the 200 body rather than failing
+ * the whole batch.
+ */
+const handleBatch = async (req, res, log, { body, provider, apiKey, settings, limits, reqCfg }) => {
+  const batch = await validateBatchRequest(body);
+  if (batch.error) {
+    return sendError(res, batch);
   }
-  const echo = corsOriginToEcho(origin, allowed);
-  if (echo) {
-    res.setHeader('Access-Control-Allow-Origin', echo);
-    res.setHeader('Vary', 'Origin');
+
+  const cacheCfg = getCacheConfig();
+  const fresh = wantsFreshResult(req, body);
+  const entries = batch.items.map(({ itemId, prompt }) => {
+    const upstreamRequest = { prompt, apiKey, settings, conversation: [], systemInstruction: SYSTEM_INSTRUCTION };
+    const cacheKey = responseCacheKey(limits.bucketKey, provider, upstreamRequest);
+    const cached = fresh ? undefined : responseCache.get(cacheKey);
+    metrics.cacheLookups.inc({ result: cached ? 'hit' : 'miss' });
+    return { itemId, upstreamRequest, cacheKey, cached };
+  });
+  const uncached = entries.filter(entry => !entry.cached).length;
+  res.setHeader('X-Cache', uncached ? 'MISS' : 'HIT');
+
+  if (uncached === 0) {
+    applyRateLimitHeaders(res, await evaluateRateLimit(log, () => limits.rateLimiter.peek(limits.bucketKey, limits.rlCfg)));
+  } else {
+    const cost = batchCost(uncached, limits.rlCfg);
+    if (!(await chargeRateLimits(res, log, limits, { cost, sessionCost: uncached }))) return;
   }
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Gemini-Api-Key');
-  res.setHeader('Access-Control-Max-Age', '600');
+
+  const deadlineAt = Date.now() + reqCfg.deadlineMs;
+  const results = await mapWithConcurrency(entries, getBatchConfig().concurrency, async ({ itemId, upstreamRequest, cacheKey, cached }) => {
+    if (cached) return { itemId, ok: true, cached: true, ...cached };
+    try {
+      const remainingMs = deadlineAt - Date.now();
+      if (remainingMs <= 0) throw new ApiError('UPSTREAM_TIMEOUT');
+      const result = await callWithRetry(provider, upstreamRequest, { ...reqCfg, deadlineMs: remainingMs });
+      if (result.text) responseCache.set(cacheKey, result, cacheCfg);
+      return { itemId, ok: true, cached: false, ...result };
+    } catch (err) {
+      const apiError = toApiError(err);
+      log.error('batch item failed', { provider: provider.name, itemId, code: apiError.code, err: apiError.cause || err });
+      return { itemId, ok: false, error: apiError.message, code: apiError.code };
+    }
+  });
+  const generated = results.filter(result => result.ok && !result.cached);
+  const quota = await recordUsage(log, { provider, mode: 'batch', bucketKey: limits.bucketKey }, generated);
+  await auditGenerations(log, auditContext(req, res, provider, limits), results.flatMap((result, index) =>
+    (result.ok && !result.cached ? [{ mode: 'batch', itemId: result.itemId, prompt: entries[index].upstreamRequest.prompt, result }] : [])));
+  return res.status(200).json(withQuota({ results }, quota));
+};
+
+/* ------------------------------- handler ------------------------------ */
+
+const handleGenerateInsight = async (req, res, log) => {
+  if (!requireValidConfig(res, log)) return;
+
+  const corsApplied = applyCors(req, res, {
+    methods: 'POST, OPTIONS',
+    allowHeaders: 'Content-Type, Authorization, X-Gemini-Api-Key, X-Session-Token, X-Request-Id, X-Deadline-Ms',
+    exposeHeaders: 'Retry-After, X-Cache, X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+  });
+  if (!corsApplied) return;
 
   if (req.method === 'OPTIONS') {
     return res.status(204).end();
   }
 
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: "Method Not Allowed" });
+    return sendError(res, 'METHOD_NOT_ALLOWED');
   }
 
   // Content-Type
   const contentType = req.headers['content-type'] || '';
   if (!contentType.includes('application/json')) {
-    return res.status(415).json({ error: "Content-Type must be application/json." });
+    return sendError(res, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  // Types, enums and fixed bounds for every field at once; env-dependent limits are checked below.
+  const invalid = await validateInsightRequest(req);
+  if (invalid) {
+    return sendError(res, invalid);
+  }
+
+  const body = req.body || {};
+  const { stream = false, provider: requestedProvider } = body;
+
+  const provider = resolveProvider(requestedProvider);
+  if (!provider) {
+    return sendError(res, 'PROVIDER_NOT_ALLOWED');
+  }
+
+  // Credentials: a session token (server-managed key mode) or the client's own key.
+  const sessionToken = getSessionTokenHeader(req);
+  let apiKey;
+  let bucketKey;
+  let session = null;
+  if (sessionToken) {
+    if (!isServerKeyModeEnabled()) {
+      return sendError(res, 'SERVER_KEY_MODE_DISABLED');
+    }
+    const sessionCfg = getSessionConfig();
+    if (!sessionCfg) {
+      return sendError(res, 'SERVER_MISCONFIGURED', "Server-managed key mode is misconfigured.");
+    }
+    // The server key belongs to the default provider only.
+    if (provider !== resolveProvider()) {
+      return sendError(res, 'PROVIDER_NOT_ALLOWED');
+    }
+    const verified = verifySessionToken(sessionToken, { origin: req.headers.origin || '' }, sessionCfg);
+    if (!verified.ok) {
+      return sendError(res, 'SESSION_INVALID');
+    }
+    session = { sid: verified.claims.sid, quota: { maxRequests: sessionCfg.maxRequests, windowMs: sessionCfg.ttlSeconds * 1000 } };
+    apiKey = sessionCfg.apiKey;
+    // Sessions are free to mint, so limits, quota and cache follow the client IP, not the sid.
+    bucketKey = clientKeyForRateLimit(req);
+  } else {
+    // Client-provided API key (the local stand-in does not need one)
+    apiKey = getClientApiKey(req);
+    if (!apiKey && provider.requiresKey) {
+      // Deliberately do not mention headers in detail to avoid encouraging sniffing.
+      return sendError(res, 'API_KEY_REQUIRED', `${provider.label} API key is required.`);
+    }
+    bucketKey = clientKeyForRateLimit(req, apiKey);
+  }
+
+  const clientDeadlineMs = getClientDeadline(req);
+
+  const validated = validateGenerationSettings(body, provider);
+  if (validated.error) {
+    return sendError(res, validated);
+  }
+
+  const format = validateResponseFormat(body);
+  if (format.error) {
+    return sendError(res, format);
+  }
+
+  const screened = screenUserInput(body);
+  if (screened.flagged.length) {
+    const action = screened.error ? 'rejected' : 'flagged';
+    screened.flagged.forEach(({ rules }) => rules.forEach(rule => metrics.guardrailFlags.inc({ rule, action })));
+    log.warn('possible prompt injection', { action, flagged: screened.flagged });
+  }
+  if (screened.error) {
+    return sendError(res, screened);
+  }
+
+  let rateLimiter;
+  try {
+    rateLimiter = getRateLimiter();
+  } catch (err) {
+    log.error('rate limiter misconfigured', { err });
+    return sendError(res, 'SERVER_MISCONFIGURED', "Rate limiting is misconfigured on the server.");
   }
+  const limits = { rateLimiter, rlCfg: getRateLimitConfig(), bucketKey, session };
+
+  const reqCfg = { ...getRequestConfig(), logger: log };
+  if (clientDeadlineMs) reqCfg.deadlineMs = Math.min(reqCfg.deadlineMs, clientDeadlineMs);
 
-  // Client-provided Gemini API key
-  const clientGeminiKey = getClientGeminiKey(req);
-  if (!clientGeminiKey) {
-    // Deliberately do not mention headers in detail to avoid encouraging sniffing.
-    return res.status(401).json({ error: "Gemini API key is required." });
+  if (body.mode === 'batch') {
+    return handleBatch(req, res, log, { body, provider, apiKey, settings: validated.settings, limits, reqCfg });
   }
 
-  // Validate body
-  const { prompt } = req.body || {};
-  if (typeof prompt !== 'string' || !prompt.trim()) {
-    return res.status(400).json({ error: "Prompt is required in the request body." });
+  // Validate body and resolve the prompt
+  let prompt;
+  if (body.mode === undefined && areRawPromptsAllowed()) {
+    prompt = body.prompt;
+    if (prompt === undefined) {
+      return sendError(res, 'INVALID_REQUEST', "Prompt is required in the request body.");
+    }
+  } else if (body.mode === undefined && body.prompt !== undefined) {
+    return sendError(res, 'INVALID_REQUEST', "Raw prompts are disabled. Send a structured request with a mode.");
+  } else {
+    const built = await buildPromptFromRequest(body);
+    if (built.error) {
+      return sendError(res, built);
+    }
+    prompt = built.prompt;
   }
+  // Raw prompts were length-checked by the schema; built ones add catalog text to the visitor's.
+  const { MAX_PROMPT_LENGTH } = await loadRequestSchemas();
   if (prompt.length > MAX_PROMPT_LENGTH) {
-    return res.status(413).json({ error: "Prompt is too long." });
+    return sendError(res, 'PROMPT_TOO_LONG');
   }
 
-  // Rate limit (based on API key hash or IP)
-  const bucketKey = clientKeyForRateLimit(req, clientGeminiKey);
-  const rlCfg = getRateLimitConfig();
-  const now = Date.now();
-  if (isRateLimited(bucketKey, rlCfg, now)) {
-    const retryAfter = secondsUntilReset(bucketKey, now) || Math.ceil(rlCfg.windowMs / 1000);
-    res.setHeader('Retry-After', retryAfter);
-    return res.status(429).json({ error: "Too many requests. Please slow down." });
+  const thread = validateConversation(body);
+  if (thread.error) {
+    return sendError(res, thread);
+  }
+
+  const upstreamRequest = {
+    prompt,
+    apiKey,
+    settings: validated.settings,
+    conversation: delimitConversation(thread.conversation),
+    systemInstruction: SYSTEM_INSTRUCTION
+  };
+  if (format.structured) {
+    upstreamRequest.prompt += STRUCTURED_INSTRUCTION;
+    upstreamRequest.responseSchema = INSIGHT_SCHEMA;
+  }
+
+  // Cache lookup happens before rate limiting so repeated clicks stay free.
+  const cacheCfg = getCacheConfig();
+  const cacheKey = responseCacheKey(bucketKey, provider, upstreamRequest);
+  if (!wantsFreshResult(req, body)) {
+    const cached = responseCache.get(cacheKey);
+    if (cached) {
+      metrics.cacheLookups.inc({ result: 'hit' });
+      res.setHeader('X-Cache', 'HIT');
+      applyRateLimitHeaders(res, await evaluateRateLimit(log, () => rateLimiter.peek(bucketKey, limits.rlCfg)));
+      const replay = withQuota(cached, await currentQuota(log, bucketKey));
+      if (stream) return replayCachedStream(res, replay);
+      return res.status(200).json(replay);
+    }
+  }
+  metrics.cacheLookups.inc({ result: 'miss' });
+  res.setHeader('X-Cache', 'MISS');
+  // Caches and audits the bare result, then adds the quota readout once its usage has been charged.
+  const completeResult = async (result) => {
+    if (result.text) responseCache.set(cacheKey, result, cacheCfg);
+    await auditGenerations(log, auditContext(req, res, provider, limits), [{
+      mode: body.mode ?? 'raw',
+      itemId: body.itemId,
+      prompt: upstreamRequest.prompt,
+      conversation: upstreamRequest.conversation,
+      result
+    }]);
+    return withQuota(result, await recordUsage(log, { provider, mode: body.mode ?? 'raw', bucketKey }, [result]));
+  };
+
+  if (!(await chargeRateLimits(res, log, limits))) return;
+
+  if (stream) {
+    return relayStream(res, provider, upstreamRequest, reqCfg, completeResult);
   }
 
   try {
-    const payload = { contents: [{ parts: [{ text: prompt }] }] };
-    const reqCfg = getRequestConfig();
-    const data = await callGeminiWithRetry(payload, clientGeminiKey, reqCfg);
-    return res.status(200).json(data);
+    const result = await callWithRetry(provider, upstreamRequest, reqCfg);
+    return res.status(200).json(await completeResult(format.structured ? attachStructuredInsight(result) : result));
   } catch (err) {
-    // Do not log the API key—ever.
-    console.error('API call error:', err);
-    return res.status(500).json({ error: "Failed to generate insight." });
+    // Do not log the API key—ever (the logger redacts key material from messages and fields).
+    const apiError = toApiError(err);
+    log.error('upstream call failed', { provider: provider.name, code: apiError.code, err: apiError.cause || err });
+    return sendError(res, apiError);
+  }
+};
+
+module.exports = async (req, res) => {
+  if (isMetricsRequest(req)) return metricsHandler(req, res);
+
+  const requestId = assignRequestId(req, res);
+  const log = logger.child({ requestId, route: '/api/generate-insight' });
+  const startedAt = Date.now();
+  try {
+    await handleGenerateInsight(req, res, log);
+  } finally {
+    metrics.requests.inc({ status: res.statusCode });
+    log.info('request completed', { method: req.method, status: res.statusCode, durationMs: Date.now() - startedAt });
   }
 };
 
 /* ------------------------- test-only helpers ------------------------ */
-module.exports.__resetRateLimiter = () => rateLimitBuckets.clear();
-module.exports.__getRateLimiterSnapshot = () => ({ size: rateLimitBuckets.size });
+module.exports.__resetRateLimiter = () => rateLimitMemoryStore.clear();
+module.exports.__getRateLimiterSnapshot = () => ({ size: rateLimitMemoryStore.size });
+module.exports.__resetResponseCache = () => responseCache.clear();
+module.exports.__resetCircuitBreakers = () => resetCircuitBreakers();
@@ -0,0 +1,122 @@
+/**
+ * Optional audit trail of what the site generated in its owner's name: one JSONL record per
+ * generated insight (cache hits are not generations), appended to a local rotating file.
+ * - GENERATE_INSIGHT_AUDIT_LOG: file path (unset = off). Serverless filesystems are ephemeral, so
+ *   this is meant for self-hosted deployments and the dev server.
+ * - GENERATE_INSIGHT_AUDIT_MAX_BYTES: rotate before the file would exceed this size (default 5 MB);
+ *   rotated files are kept as <file>.1 (newest) to <file>.N, N = GENERATE_INSIGHT_AUDIT_MAX_FILES
+ *   (default 5).
+ * - GENERATE_INSIGHT_AUDIT_REDACT: comma-separated rules applied to the output text: email, phone,
+ *   url, secrets (API keys and bearer tokens, as in lib/logger). Default "email,phone,secrets";
+ *   "none" keeps the text as generated.
+ * - GENERATE_INSIGHT_AUDIT_OMIT: comma-separated record fields to leave out, e.g. "origin,output".
+ * Records: { ts, requestId, keyHash, origin, provider, model, mode, itemId, promptHash, output,
+ * finishReason }. keyHash hashes the API key hash, the session (server-managed keys) or the IP,
+ * so the raw key and IP never reach the file. Query with scripts/audit-query.js.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { getConfig } = require('./config');
+const { redact } = require('./logger');
+
+const REDACTION_RULES = Object.freeze({
+  email: (text) => text.replace(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[EMAIL]'),
+  // At least nine digits, so year ranges such as 2018-2022 survive.
+  phone: (text) => text.replace(/(?<![\w.])\+?(?:\(\d{1,4}\) ?|\d{1,4}[ .-])?(?:\d{2,4}[ .-]?){2,4}\d{2,4}(?![\w-])/g, (match) =>
+    (match.replace(/\D/g, '').length >= 9 ? '[PHONE]' : match)),
+  url: (text) => text.replace(/\bhttps?:\/\/[^\s)\]]+/gi, '[URL]'),
+  secrets: (text) => redact(text)
+});
+
+const AUDIT_FIELDS = Object.freeze([
+  'ts', 'requestId', 'keyHash', 'origin', 'provider', 'model', 'mode', 'itemId', 'promptHash', 'output', 'finishReason'
+]);
+
+/** Resolves the audit settings, or null when auditing is off. */
+const getAuditConfig = () => {
+  const { file, ...settings } = getConfig().audit;
+  return file ? { file: path.resolve(file), ...settings } : null;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const redactText = (text, rules) => rules.reduce((out, rule) => REDACTION_RULES[rule](out), text);
+
+/**
+ * Builds the record for one generation. `prompt` and `conversation` are hashed, never stored;
+ * `result` is the provider's normalized response.
+ */
+const toAuditRecord = ({ requestId, bucketKey, origin, provider, mode, itemId, prompt, conversation = [], result }, cfg) => {
+  const record = {
+    ts: new Date().toISOString(),
+    requestId: requestId || null,
+    keyHash: sha256(String(bucketKey)).slice(0, 16),
+    origin: origin || null,
+    provider,
+    model: result.model || null,
+    mode,
+    itemId: itemId || null,
+    promptHash: sha256(JSON.stringify({ prompt, conversation })),
+    output: redactText(result.text || '', cfg.redact),
+    finishReason: result.finishReason || null
+  };
+  cfg.omit.forEach((field) => {
+    delete record[field];
+  });
+  return record;
+};
+
+/* ------------------------------- files ------------------------------- */
+
+const ignoreMissing = (err) => {
+  if (err.code !== 'ENOENT') throw err;
+};
+
+// <file>.N-1 -> <file>.N, ..., <file> -> <file>.1; the oldest beyond maxFiles is overwritten.
+const rotate = async ({ file, maxFiles }) => {
+  if (maxFiles === 0) {
+    await fs.rm(file, { force: true });
+    return;
+  }
+  for (let index = maxFiles - 1; index >= 1; index -= 1) {
+    await fs.rename(`${file}.${index}`, `${file}.${index + 1}`).catch(ignoreMissing);
+  }
+  await fs.rename(file, `${file}.1`).catch(ignoreMissing);
+};
+
+const appendRecord = async (record, cfg) => {
+  const line = `${JSON.stringify(record)}\n`;
+  await fs.mkdir(path.dirname(cfg.file), { recursive: true });
+  const size = await fs.stat(cfg.file).then(stat => stat.size, () => 0);
+  if (size > 0 && size + Buffer.byteLength(line) > cfg.maxBytes) await rotate(cfg);
+  await fs.appendFile(cfg.file, line, { mode: 0o600 });
+};
+
+// One write at a time per instance, so a rotation never races an append.
+let pending = Promise.resolve();
+
+/** Appends a record; resolves once it is on disk. */
+const writeAuditRecord = (record, cfg) => {
+  const write = pending.then(() => appendRecord(record, cfg));
+  pending = write.catch(() => {});
+  return write;
+};
+
+/** The audit files for `file`, oldest first (rotated ones included). */
+const listAuditFiles = async (file, maxFiles = getConfig().audit.maxFiles) => {
+  const candidates = [...Array.from({ length: maxFiles }, (_, index) => `${file}.${maxFiles - index}`), file];
+  const present = await Promise.all(candidates.map(candidate => fs.stat(candidate).then(() => candidate, () => null)));
+  return present.filter(Boolean);
+};
+
+module.exports = {
+  REDACTION_RULES,
+  AUDIT_FIELDS,
+  getAuditConfig,
+  redactText,
+  toAuditRecord,
+  writeAuditRecord,
+  listAuditFiles
+};
@@ -0,0 +1,72 @@
+/**
+ * Batch generation over catalog items: `{ mode: 'batch', itemIds: ['proj1', 'pub2', ...] }`.
+ * Each item gets the same prompt as its single-item request (project or publication mode).
+ * Env:
+ * - GENERATE_INSIGHT_BATCH_MAX_ITEMS      items per batch (default 20)
+ * - GENERATE_INSIGHT_BATCH_CONCURRENCY    upstream calls in flight at once (default 3)
+ * - GENERATE_INSIGHT_BATCH_ITEM_COST      rate-limit units per uncached item (default 0.5); the
+ *   batch is charged once, rounded up and capped at the limit so a full batch can still pass.
+ */
+
+const { loadCatalog, buildPromptFromRequest } = require('./prompts');
+const { validationFailure } = require('./errors');
+const { getConfig } = require('./config');
+
+const getBatchConfig = () => getConfig().batch;
+
+/**
+ * Checks a batch body (already shaped by lib/request-schema) against the batch rules. Resolves `{ items: [{ itemId, prompt }] }` (duplicates dropped, order kept)
+ * or `{ status, code, error }`.
+ */
+const validateBatchRequest = async ({ itemIds, stream, history, followUp } = {}) => {
+  const { maxItems } = getBatchConfig();
+  if (stream === true) {
+    return validationFailure('INVALID_REQUEST', 'Batch requests cannot be streamed.');
+  }
+  if (history !== undefined || followUp !== undefined) {
+    return validationFailure('INVALID_REQUEST', 'Batch requests do not support follow-ups.');
+  }
+  if (itemIds === undefined) {
+    return validationFailure('INVALID_REQUEST', 'ItemIds is required.');
+  }
+  const unique = [...new Set(itemIds)];
+  if (unique.length > maxItems) {
+    return validationFailure('INVALID_REQUEST', `A batch may contain at most ${maxItems} items.`);
+  }
+
+  const { findItem } = await loadCatalog();
+  const items = [];
+  for (const itemId of unique) {
+    const found = findItem(itemId);
+    if (!found) {
+      return validationFailure('INVALID_REQUEST', `Unknown itemId: ${itemId.slice(0, 50)}.`);
+    }
+    const built = await buildPromptFromRequest({ mode: found.kind, itemId });
+    if (built.error) return built;
+    items.push({ itemId, prompt: built.prompt });
+  }
+  return { items };
+};
+
+/** Rate-limit units for a batch with `uncached` upstream calls. */
+const batchCost = (uncached, { maxRequests }, { itemCost } = getBatchConfig()) => {
+  if (uncached === 0) return 0;
+  const cost = Math.max(1, Math.ceil(uncached * itemCost));
+  return maxRequests > 0 ? Math.min(cost, maxRequests) : cost;
+};
+
+/** Like Promise.all over `items.map(worker)`, with at most `limit` workers running at once. */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
+
+module.exports = { getBatchConfig, validateBatchRequest, batchCost, mapWithConcurrency };
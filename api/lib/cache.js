@@ -0,0 +1,41 @@
+/**
+ * Small in-memory LRU cache with per-entry TTL.
+ * Map iteration order doubles as recency order: reads re-insert the entry at the end,
+ * so the first key is always the least recently used one.
+ */
+
+const createLruCache = () => {
+  const entries = new Map();
+
+  const get = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value, { ttlMs, maxEntries }, now = Date.now()) => {
+    if (!(ttlMs > 0) || !(maxEntries > 0)) return;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    get,
+    set,
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = { createLruCache };
@@ -0,0 +1,82 @@
+/**
+ * Per-provider circuit breaker (in-process, like the memory rate-limit store).
+ * - closed: calls pass; consecutive provider failures are counted
+ * - open: calls fail fast with CIRCUIT_OPEN until the cooldown elapses
+ * - half-open: a single probe call is let through; success closes, failure re-opens
+ * Outcomes that say nothing about the provider's health are released without a verdict, so only a
+ * real answer from the provider can close a half-open circuit.
+ *
+ * Env:
+ * - GENERATE_INSIGHT_BREAKER_THRESHOLD    consecutive failures that open the circuit (default 5, 0 disables)
+ * - GENERATE_INSIGHT_BREAKER_COOLDOWN_MS  time spent open before probing again (default 30000)
+ */
+
+const { getConfig } = require('./config');
+
+const getBreakerConfig = () => getConfig().breaker;
+
+const createCircuitBreaker = () => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let probeInFlight = false;
+
+  /** Returns `{ allowed: true }` or `{ allowed: false, retryAfterMs }`. */
+  const acquire = ({ failureThreshold, cooldownMs }, now = Date.now()) => {
+    if (!(failureThreshold > 0)) return { allowed: true };
+    if (state === 'open') {
+      const waitMs = openedAt + cooldownMs - now;
+      if (waitMs > 0) return { allowed: false, retryAfterMs: waitMs };
+      state = 'half-open';
+    }
+    if (state === 'half-open') {
+      if (probeInFlight) return { allowed: false, retryAfterMs: cooldownMs };
+      probeInFlight = true;
+    }
+    return { allowed: true };
+  };
+
+  const recordSuccess = () => {
+    state = 'closed';
+    failures = 0;
+    probeInFlight = false;
+  };
+
+  // Frees the half-open probe slot; the state and the failure count stay as they were.
+  const release = () => {
+    probeInFlight = false;
+  };
+
+  const recordFailure = ({ failureThreshold }, now = Date.now()) => {
+    probeInFlight = false;
+    failures += 1;
+    if (state === 'half-open' || (failureThreshold > 0 && failures >= failureThreshold)) {
+      state = 'open';
+      openedAt = now;
+    }
+  };
+
+  return {
+    acquire,
+    recordSuccess,
+    recordFailure,
+    release,
+    get state() {
+      return state;
+    }
+  };
+};
+
+const breakers = new Map();
+
+const getCircuitBreaker = (name) => {
+  if (!breakers.has(name)) breakers.set(name, createCircuitBreaker());
+  return breakers.get(name);
+};
+
+module.exports = {
+  createCircuitBreaker,
+  getCircuitBreaker,
+  getBreakerConfig,
+  resetCircuitBreakers: () => breakers.clear()
+};
@@ -0,0 +1,373 @@
+/**
+ * Central configuration for the API: every setting the handlers and lib/ modules read, loaded from
+ * layered sources and validated in one pass.
+ * - Sources, later wins: built-in defaults < runtime defaults (the dev server's mock upstream) <
+ *   JSON file < environment < test overrides.
+ * - JSON file: GENERATE_INSIGHT_CONFIG_FILE, or config.local.json next to package.json when it
+ *   exists (git-ignored). Keys follow the config object, e.g.
+ *   { "rateLimit": { "maxRequests": 10 }, "cors": { "allowedOrigins": ["https://*.example.com"] } };
+ *   unknown keys are reported, so a typo does not silently do nothing.
+ * - Validation collects every problem (naming the env var or file key) into one ConfigError.
+ *   The handler modules log it once at cold start, handlers answer SERVER_MISCONFIGURED and the dev
+ *   server refuses to start. Invalid values are errors, never silent fallbacks.
+ * - The config is loaded once, at cold start, deeply frozen and then fixed for the instance's
+ *   lifetime; later changes to process.env are not picked up. Tests layer values with
+ *   setConfigOverrides() / resetConfigOverrides() and never touch process.env.
+ * - Lists (origins, models, providers, redaction rules, ...) are comma-separated in env and arrays
+ *   in the file; "none" is an explicitly empty list. Blank env values count as unset.
+ * - LOG_LEVEL stays with lib/logger, which has to keep working while it reports a bad
+ *   configuration, and the dev-server/mock variables stay with scripts/.
+ * SETTINGS below is the reference for every name, default and accepted value.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { sendError } = require('./http');
+const { compileOriginPattern } = require('./origin-pattern');
+const { ALGORITHMS } = require('./rate-limit/algorithms');
+
+const CONFIG_FILE_ENV = 'GENERATE_INSIGHT_CONFIG_FILE';
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.local.json');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/* ------------------------------ parsers ------------------------------ */
+
+// A parser turns an env string or a JSON value into the setting's value, or throws an Error whose
+// message completes "<source> ...". Only numbers, enums and flags echo what they got, so secrets
+// and URLs with credentials never end up in a log line.
+
+const invalid = (message) => {
+  throw new Error(message);
+};
+
+const describeNumber = ({ integer, min, max, above }) => {
+  const kind = integer ? 'an integer' : 'a number';
+  if (above !== undefined) return `${kind} greater than ${above}`;
+  if (min !== undefined && max !== undefined) return `${kind} between ${min} and ${max}`;
+  if (min !== undefined) return `${kind} of at least ${min}`;
+  return kind;
+};
+
+const number = (bounds = {}) => (raw) => {
+  const { integer = false, min = -Infinity, max = Infinity, above = -Infinity } = bounds;
+  const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+  const ok = typeof value === 'number' && Number.isFinite(value) && (!integer || Number.isInteger(value)) &&
+    value >= min && value <= max && value > above;
+  return ok ? value : invalid(`must be ${describeNumber(bounds)}, got ${JSON.stringify(raw)}.`);
+};
+
+const text = () => (raw) => (typeof raw === 'string' ? raw.trim() : invalid('must be a string.'));
+
+const url = (protocols = ['http:', 'https:']) => (raw) => {
+  const value = text()(raw);
+  let parsed = null;
+  try {
+    parsed = new URL(value);
+  } catch {
+    // reported below
+  }
+  return parsed && protocols.includes(parsed.protocol)
+    ? value
+    : invalid(`must be a ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')} URL.`);
+};
+
+const flag = () => (raw) => {
+  if (typeof raw === 'boolean') return raw;
+  const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (value === 'true' || value === 'false') return value === 'true';
+  return invalid(`must be true or false, got ${JSON.stringify(raw)}.`);
+};
+
+// `values` may be a function when the list lives in a module that reads its settings from here.
+const resolveValues = (values) => (typeof values === 'function' ? values() : values);
+
+const oneOf = (values) => (raw) => {
+  const allowed = resolveValues(values);
+  const value = typeof raw === 'string' ? allowed.find(entry => entry.toLowerCase() === raw.trim().toLowerCase()) : undefined;
+  return value ?? invalid(`must be one of ${allowed.join(', ')}, got ${JSON.stringify(raw)}.`);
+};
+
+const list = (item = text()) => (raw) => {
+  let entries;
+  if (Array.isArray(raw)) {
+    entries = raw;
+  } else if (typeof raw === 'string') {
+    entries = raw.trim().toLowerCase() === 'none' ? [] : raw.split(',').map(entry => entry.trim()).filter(Boolean);
+  } else {
+    return invalid('must be a comma-separated string or an array.');
+  }
+  return [...new Set(entries.map((entry) => {
+    try {
+      return item(entry);
+    } catch (err) {
+      return invalid(`has an invalid entry: it ${err.message}`);
+    }
+  }))];
+};
+
+const originPattern = () => (raw) => {
+  const value = text()(raw);
+  if (value === '*') return value;
+  try {
+    compileOriginPattern(value);
+  } catch (err) {
+    return invalid(`is invalid: ${err.message}`);
+  }
+  return value;
+};
+
+/* ------------------------------ settings ----------------------------- */
+
+const lazy = (file, name) => () => require(file)[name];
+
+// [config path, env var, parser, default (null when omitted)]
+const SETTINGS = Object.freeze([
+  ['environment.vercelEnv', 'VERCEL_ENV', text()],
+  ['environment.nodeEnv', 'NODE_ENV', text()],
+
+  // Unset: permissive outside production, an error in production (see lib/cors).
+  ['cors.allowedOrigins', 'ALLOWED_ORIGINS', list(originPattern())],
+
+  // Unset: allowed outside production only.
+  ['prompts.allowRaw', 'GENERATE_INSIGHT_ALLOW_RAW_PROMPTS', flag()],
+
+  ['request.timeoutMs', 'GENERATE_INSIGHT_TIMEOUT_MS', number({ above: 0 }), 15_000],
+  ['request.maxRetries', 'GENERATE_INSIGHT_MAX_RETRIES', number({ integer: true, min: 0, max: 3 }), 1],
+  ['request.deadlineMs', 'GENERATE_INSIGHT_DEADLINE_MS', number({ above: 0 }), 25_000],
+
+  ['cache.maxEntries', 'GENERATE_INSIGHT_CACHE_MAX_ENTRIES', number({ integer: true, min: 0 }), 100],
+  ['cache.ttlMs', 'GENERATE_INSIGHT_CACHE_TTL_MS', number({ min: 0 }), 10 * 60_000],
+
+  ['rateLimit.maxRequests', 'GENERATE_INSIGHT_MAX_REQUESTS', number(), 5],
+  ['rateLimit.windowMs', 'GENERATE_INSIGHT_WINDOW_MS', number({ above: 0 }), 60_000],
+  ['rateLimit.algorithm', 'GENERATE_INSIGHT_RATE_LIMIT_ALGORITHM', oneOf(Object.keys(ALGORITHMS)), 'fixed-window'],
+  ['rateLimit.store', 'GENERATE_INSIGHT_RATE_LIMIT_STORE', oneOf(['memory', 'file', 'redis']), 'memory'],
+  ['rateLimit.file', 'GENERATE_INSIGHT_RATE_LIMIT_FILE', text()],
+  ['rateLimit.redisUrl', 'GENERATE_INSIGHT_REDIS_URL', url(['redis:'])],
+
+  ['tokenQuota.dailyTokens', 'GENERATE_INSIGHT_DAILY_TOKEN_QUOTA', number({ integer: true, min: 0 }), 0],
+
+  ['breaker.failureThreshold', 'GENERATE_INSIGHT_BREAKER_THRESHOLD', number({ integer: true, min: 0 }), 5],
+  ['breaker.cooldownMs', 'GENERATE_INSIGHT_BREAKER_COOLDOWN_MS', number({ above: 0 }), 30_000],
+
+  ['batch.maxItems', 'GENERATE_INSIGHT_BATCH_MAX_ITEMS', number({ integer: true, min: 1 }), 20],
+  ['batch.concurrency', 'GENERATE_INSIGHT_BATCH_CONCURRENCY', number({ integer: true, min: 1 }), 3],
+  ['batch.itemCost', 'GENERATE_INSIGHT_BATCH_ITEM_COST', number({ min: 0 }), 0.5],
+
+  ['conversation.maxTurns', 'GENERATE_INSIGHT_MAX_HISTORY_TURNS', number({ integer: true, min: 0 }), 10],
+  ['conversation.maxChars', 'GENERATE_INSIGHT_MAX_CONVERSATION_CHARS', number({ integer: true, min: 1 }), 8000],
+
+  ['generation.maxTemperature', 'GENERATE_INSIGHT_MAX_TEMPERATURE', number({ min: 0, max: 2 }), 1],
+  ['generation.maxOutputTokens', 'GENERATE_INSIGHT_MAX_OUTPUT_TOKENS', number({ integer: true, min: 1 }), 1024],
+  ['generation.loosestSafetyThreshold', 'GENERATE_INSIGHT_LOOSEST_SAFETY_THRESHOLD',
+    oneOf(lazy('./generation-settings', 'SAFETY_THRESHOLDS')), 'BLOCK_ONLY_HIGH'],
+
+  ['guardrails.injectionPolicy', 'GENERATE_INSIGHT_INJECTION_POLICY', oneOf(lazy('./guardrails', 'INJECTION_POLICIES')), 'flag'],
+
+  ['session.serverKeyMode', 'GENERATE_INSIGHT_SERVER_KEY_MODE', flag(), false],
+  ['session.apiKey', 'GENERATE_INSIGHT_SERVER_API_KEY', text()],
+  ['session.secret', 'GENERATE_INSIGHT_SESSION_SECRET', text()],
+  ['session.ttlSeconds', 'GENERATE_INSIGHT_SESSION_TTL_SECONDS', number({ integer: true, min: 1 }), 900],
+  ['session.maxRequests', 'GENERATE_INSIGHT_SESSION_MAX_REQUESTS', number({ integer: true, min: 0 }), 10],
+
+  ['audit.file', 'GENERATE_INSIGHT_AUDIT_LOG', text()],
+  ['audit.maxBytes', 'GENERATE_INSIGHT_AUDIT_MAX_BYTES', number({ integer: true, min: 1 }), 5 * 1024 * 1024],
+  ['audit.maxFiles', 'GENERATE_INSIGHT_AUDIT_MAX_FILES', number({ integer: true, min: 0 }), 5],
+  ['audit.redact', 'GENERATE_INSIGHT_AUDIT_REDACT', list(oneOf(() => Object.keys(require('./audit').REDACTION_RULES))),
+    ['email', 'phone', 'secrets']],
+  ['audit.omit', 'GENERATE_INSIGHT_AUDIT_OMIT', list(oneOf(lazy('./audit', 'AUDIT_FIELDS'))), []],
+
+  ['providers.default', 'LLM_PROVIDER', oneOf(lazy('./providers', 'PROVIDER_NAMES')), 'gemini'],
+  ['providers.allowed', 'LLM_ALLOWED_PROVIDERS', list(oneOf(lazy('./providers', 'PROVIDER_NAMES'))), []],
+  ['providers.gemini.baseUrl', 'GEMINI_BASE_URL', url(), 'https://generativelanguage.googleapis.com/v1beta/models'],
+  ['providers.gemini.model', 'GEMINI_MODEL', text(), 'gemini-2.5-flash'],
+  ['providers.gemini.allowedModels', 'GEMINI_ALLOWED_MODELS', list(), []],
+  ['providers.openai.baseUrl', 'OPENAI_BASE_URL', url(), 'https://api.openai.com/v1'],
+  ['providers.openai.model', 'OPENAI_MODEL', text(), 'gpt-4o-mini'],
+  ['providers.openai.allowedModels', 'OPENAI_ALLOWED_MODELS', list(), []],
+  ['providers.local.url', 'LOCAL_LLM_URL', url(), 'http://127.0.0.1:8787/generate'],
+  ['providers.local.model', 'LOCAL_LLM_MODEL', text(), 'local-dev'],
+  ['providers.local.allowedModels', 'LOCAL_LLM_ALLOWED_MODELS', list(), []],
+
+  ['metrics.token', 'METRICS_TOKEN', text()]
+]);
+
+const SETTING_PATHS = new Set(SETTINGS.map(([key]) => key));
+
+// Rules that span settings; each returns a problem or null.
+const CROSS_CHECKS = [
+  (config) => (config.rateLimit.store === 'redis' && !config.rateLimit.redisUrl
+    ? 'GENERATE_INSIGHT_REDIS_URL is required when GENERATE_INSIGHT_RATE_LIMIT_STORE is redis.'
+    : null)
+];
+
+/* ------------------------------ loading ------------------------------ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const getPath = (object, key) => key.split('.').reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), object);
+
+const setPath = (object, key, value) => {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((node, part) => {
+    node[part] = node[part] || {};
+    return node[part];
+  }, object);
+  parent[parts[parts.length - 1]] = value;
+};
+
+// Keys of a file/override object that are not settings, e.g. "rateLimit.maxRequest".
+const unknownKeys = (object, prefix = '') => Object.entries(object).flatMap(([name, value]) => {
+  const key = `${prefix}${name}`;
+  if (SETTING_PATHS.has(key)) return [];
+  const isSection = [...SETTING_PATHS].some(settingPath => settingPath.startsWith(`${key}.`));
+  return isSection && isPlainObject(value) ? unknownKeys(value, `${key}.`) : [key];
+});
+
+const deepFreeze = (value) => {
+  if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+const readConfigFile = (env, problems) => {
+  const explicit = (env[CONFIG_FILE_ENV] || '').trim();
+  const file = explicit ? path.resolve(explicit) : DEFAULT_CONFIG_FILE;
+  const label = path.basename(file);
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT' && !explicit) return { label, values: {} };
+    problems.push(err instanceof SyntaxError
+      ? `${label} is not valid JSON: ${err.message}.`
+      : `${CONFIG_FILE_ENV}: cannot read ${file} (${err.code || err.message}).`);
+    return { label, values: {} };
+  }
+  if (!isPlainObject(values)) {
+    problems.push(`${label} must contain a JSON object.`);
+    return { label, values: {} };
+  }
+  unknownKeys(values).forEach(key => problems.push(`${label}: unknown setting "${key}".`));
+  return { label, values };
+};
+
+/**
+ * Builds the validated, frozen config from `defaults`, the JSON file `env` points to (if any),
+ * `env` and `overrides` (all but env in the file's shape). Throws a ConfigError listing every problem.
+ */
+const loadConfig = (env = process.env, overrides = {}, defaults = {}) => {
+  const problems = [];
+  const file = readConfigFile(env, problems);
+  unknownKeys(defaults).forEach(key => problems.push(`Config default: unknown setting "${key}".`));
+  unknownKeys(overrides).forEach(key => problems.push(`Config override: unknown setting "${key}".`));
+
+  const config = {};
+  for (const [key, envName, parse, fallback = null] of SETTINGS) {
+    const sources = [
+      [`Config default ${key}`, getPath(defaults, key)],
+      [`${file.label} ${key}`, getPath(file.values, key)],
+      [envName, env[envName]],
+      [`Config override ${key}`, getPath(overrides, key)]
+    ];
+    let value = fallback;
+    for (const [source, raw] of sources) {
+      if (isBlank(raw)) continue;
+      try {
+        value = parse(raw);
+      } catch (err) {
+        problems.push(`${source} ${err.message}`);
+      }
+    }
+    setPath(config, key, value);
+  }
+  if (!problems.length) {
+    problems.push(...CROSS_CHECKS.map(check => check(config)).filter(Boolean));
+  }
+  if (problems.length) throw new ConfigError(problems);
+  return deepFreeze(config);
+};
+
+/* ------------------------------- access ------------------------------ */
+
+let defaults = {};
+let overrides = {};
+let loaded = null; // { config, error, reported }
+
+/** The config, loaded on first use; throws the ConfigError when it is invalid. */
+const getConfig = () => {
+  if (!loaded) {
+    try {
+      loaded = { config: loadConfig(process.env, overrides, defaults), error: null };
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      loaded = { config: null, error: err, reported: false };
+    }
+  }
+  if (loaded.error) throw loaded.error;
+  return loaded.config;
+};
+
+/**
+ * Layers `values` (same shape as the JSON file) under the file and env, e.g. the dev server's
+ * mock upstream address, which is only known once it listens. Reloads the config.
+ */
+const setConfigDefaults = (values) => {
+  defaults = values;
+  loaded = null;
+};
+
+/** Layers `values` (same shape as the JSON file) over every other source until reset. For tests. */
+const setConfigOverrides = (values) => {
+  overrides = values;
+  loaded = null;
+};
+
+const resetConfigOverrides = () => setConfigOverrides({});
+
+/** Logs every problem, once per load, when the config is invalid. Returns whether it is valid. */
+const checkConfig = (log) => {
+  try {
+    getConfig();
+    return true;
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    if (!loaded.reported) {
+      log.error('invalid configuration', { problems: err.problems });
+      loaded.reported = true;
+    }
+    return false;
+  }
+};
+
+/**
+ * Answers SERVER_MISCONFIGURED when the config is invalid. Returns false when the response has
+ * been sent, true otherwise.
+ */
+const requireValidConfig = (res, log) => {
+  if (checkConfig(log)) return true;
+  sendError(res, 'SERVER_MISCONFIGURED', "The server configuration is invalid.");
+  return false;
+};
+
+module.exports = {
+  ConfigError,
+  SETTINGS,
+  loadConfig,
+  getConfig,
+  setConfigDefaults,
+  setConfigOverrides,
+  resetConfigOverrides,
+  checkConfig,
+  requireValidConfig
+};
@@ -0,0 +1,57 @@
+/**
+ * Follow-up turns on a generated insight. The first user turn is always the server-built prompt;
+ * the client sends the turns since then plus its new question:
+ *   history: [{ role: 'model', text }, { role: 'user', text }, ..., { role: 'model', text }]
+ *   followUp: 'next question'
+ * Limits: GENERATE_INSIGHT_MAX_HISTORY_TURNS (default 10) and GENERATE_INSIGHT_MAX_CONVERSATION_CHARS
+ * (default 8000, history and follow-up together). Turn shapes and the follow-up length are checked by
+ * lib/request-schema first.
+ */
+
+const { getConfig } = require('./config');
+const { validationFailure } = require('./errors');
+
+const getConversationConfig = () => getConfig().conversation;
+
+/**
+ * Validates `{ history, followUp }`. Returns `{ conversation }` — the turns to append after the
+ * prompt, ending with the follow-up as a user turn (empty for single-turn requests) —
+ * or `{ status, code, error }`.
+ */
+const validateConversation = ({ history, followUp } = {}) => {
+  if (history === undefined && followUp === undefined) return { conversation: [] };
+
+  const { maxTurns, maxChars } = getConversationConfig();
+  if (!history?.length) {
+    return validationFailure('INVALID_REQUEST', 'History must be a non-empty array when sending a follow-up.');
+  }
+  if (history.length > maxTurns) {
+    return validationFailure('INVALID_REQUEST', `History may contain at most ${maxTurns} turns.`);
+  }
+  for (const [index, turn] of history.entries()) {
+    // Turns alternate model/user, starting and ending with a model answer.
+    const expectedRole = index % 2 === 0 ? 'model' : 'user';
+    if (turn.role !== expectedRole) {
+      return validationFailure('INVALID_REQUEST', `History turn ${index + 1} must be a ${expectedRole} turn.`);
+    }
+  }
+  if (history.length % 2 === 0) {
+    return validationFailure('INVALID_REQUEST', 'History must end with a model turn.');
+  }
+  if (followUp === undefined) {
+    return validationFailure('INVALID_REQUEST', 'Follow-up is required.');
+  }
+  const totalChars = history.reduce((sum, turn) => sum + turn.text.length, followUp.length);
+  if (totalChars > maxChars) {
+    return validationFailure('PROMPT_TOO_LONG', 'Conversation is too long. Start a new insight.');
+  }
+
+  return {
+    conversation: [
+      ...history.map(({ role, text }) => ({ role, text })),
+      { role: 'user', text: followUp.trim() }
+    ]
+  };
+};
+
+module.exports = { validateConversation, getConversationConfig };
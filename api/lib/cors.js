@@ -0,0 +1,79 @@
+/**
+ * CORS for the serverless handlers: same-origin allowed, ALLOWED_ORIGINS allow-list of "*", exact
+ * origins and patterns with schemes, ports and one- or multi-level wildcards ("https://*.example.com",
+ * "**.example.com", "http://localhost:*"; see lib/origin-pattern). Patterns are checked by lib/config.
+ */
+
+const { getConfig } = require('./config');
+const { isProductionEnvironment } = require('./env');
+const { sendError } = require('./http');
+const { compileOriginPattern, matchesOriginPattern } = require('./origin-pattern');
+
+const parseAllowedOrigins = () => {
+  const { allowedOrigins } = getConfig().cors;
+  if (allowedOrigins) {
+    return new Set(allowedOrigins);
+  }
+  // In non-prod, default to permissive CORS if not configured.
+  if (!isProductionEnvironment()) return new Set(['*']);
+  // In prod with no config: empty set means we’ll error with a clear message.
+  return new Set();
+};
+
+// Compiled once per pattern string; the allow-list rarely changes within an instance.
+const compiledPatterns = new Map();
+
+const matchesAllowedPattern = (origin, allowed) => {
+  for (const entry of allowed) {
+    if (!compiledPatterns.has(entry)) compiledPatterns.set(entry, compileOriginPattern(entry));
+    if (matchesOriginPattern(origin, compiledPatterns.get(entry))) return true;
+  }
+  return false;
+};
+
+const isOriginAllowed = (origin, allowed) => {
+  // Same-origin or non-CORS requests often have no Origin header -> allow.
+  if (!origin) return true;
+  if (allowed.has('*')) return true;
+  if (allowed.has(origin)) return true;
+  return matchesAllowedPattern(origin, allowed);
+};
+
+const corsOriginToEcho = (origin, allowed) => {
+  if (!origin) return null;               // only echo for cross-origin cases
+  if (allowed.has('*')) return '*';
+  if (allowed.has(origin)) return origin;
+  return matchesAllowedPattern(origin, allowed) ? origin : null;
+};
+
+/**
+ * Applies the CORS decision and headers. Returns false when the request was
+ * rejected (the response has already been sent), true otherwise.
+ */
+const applyCors = (req, res, { methods, allowHeaders, exposeHeaders }) => {
+  const allowed = parseAllowedOrigins();
+  const origin = req.headers.origin || '';
+
+  // Require CORS config in production.
+  if (allowed.size === 0 && isProductionEnvironment()) {
+    sendError(res, 'SERVER_MISCONFIGURED', "CORS configuration is missing on the server.");
+    return false;
+  }
+
+  if (!isOriginAllowed(origin, allowed)) {
+    sendError(res, 'ORIGIN_DENIED');
+    return false;
+  }
+  const echo = corsOriginToEcho(origin, allowed);
+  if (echo) {
+    res.setHeader('Access-Control-Allow-Origin', echo);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', allowHeaders);
+  if (exposeHeaders) res.setHeader('Access-Control-Expose-Headers', exposeHeaders);
+  res.setHeader('Access-Control-Max-Age', '600');
+  return true;
+};
+
+module.exports = { parseAllowedOrigins, isOriginAllowed, corsOriginToEcho, applyCors };
@@ -0,0 +1,18 @@
+/**
+ * Environment helpers shared by the serverless handlers (VERCEL_ENV / NODE_ENV via lib/config).
+ */
+
+const { getConfig } = require('./config');
+
+const normalizeEnvironmentValue = (v) => typeof v === 'string' ? v.trim().toLowerCase() : '';
+
+const isProductionEnvironment = () => {
+  const { vercelEnv, nodeEnv } = getConfig().environment;
+  const ve = normalizeEnvironmentValue(vercelEnv);
+  if (ve) return ve === 'production';
+  const ne = normalizeEnvironmentValue(nodeEnv);
+  if (ne) return ne === 'production';
+  return false;
+};
+
+module.exports = { normalizeEnvironmentValue, isProductionEnvironment };
@@ -0,0 +1,95 @@
+/**
+ * Stable error taxonomy for the API. Every error body is `{ error, code, requestId }`;
+ * `code` is the machine-readable part clients should branch on, `error` is for humans.
+ */
+
+const ERROR_CODES = Object.freeze({
+  INVALID_REQUEST: { status: 400, message: 'The request is invalid.' },
+  PROVIDER_NOT_ALLOWED: { status: 400, message: 'Provider is not allowed.' },
+  API_KEY_REQUIRED: { status: 401, message: 'An API key is required.' },
+  INVALID_API_KEY: { status: 401, message: 'The provider rejected the API key.' },
+  SESSION_INVALID: { status: 401, message: 'Session token is invalid or expired.' },
+  SERVER_KEY_MODE_DISABLED: { status: 401, message: 'Server-managed key mode is disabled.' },
+  UNAUTHORIZED: { status: 401, message: 'Unauthorized.' },
+  ORIGIN_DENIED: { status: 403, message: 'Origin not allowed.' },
+  NOT_FOUND: { status: 404, message: 'Not Found' },
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Method Not Allowed' },
+  PROMPT_TOO_LONG: { status: 413, message: 'Prompt is too long.' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, message: 'Content-Type must be application/json.' },
+  SAFETY_BLOCKED: { status: 422, message: 'The provider blocked this request for safety reasons.' },
+  INPUT_REJECTED: { status: 422, message: 'This request looks like an attempt to change the insight instructions. Please rephrase it.' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests. Please slow down.' },
+  SESSION_QUOTA_EXHAUSTED: { status: 429, message: 'Session quota exhausted. Please try again later.' },
+  TOKEN_QUOTA_EXHAUSTED: { status: 429, message: 'Daily token quota exhausted. Please try again tomorrow.' },
+  UPSTREAM_QUOTA: { status: 429, message: 'The provider quota for this API key is exhausted.' },
+  SERVER_MISCONFIGURED: { status: 500, message: 'The server is misconfigured.' },
+  INTERNAL_ERROR: { status: 500, message: 'Failed to generate insight.' },
+  UPSTREAM_ERROR: { status: 502, message: 'Failed to generate insight.' },
+  UPSTREAM_UNAVAILABLE: { status: 502, message: 'The provider is temporarily unavailable.' },
+  CIRCUIT_OPEN: { status: 503, message: 'The provider is failing repeatedly, so requests are paused briefly. Please try again shortly.' },
+  UPSTREAM_TIMEOUT: { status: 504, message: 'The provider did not respond in time.' }
+});
+
+class ApiError extends Error {
+  constructor(code, message, { status, cause, upstreamStatus, retryAfterMs, fields } = {}) {
+    const spec = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    super(message || spec.message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = status || spec.status;
+    if (upstreamStatus) this.upstreamStatus = upstreamStatus;
+    // Surfaced to clients as Retry-After by sendError.
+    if (Number.isFinite(retryAfterMs)) this.retryAfterMs = retryAfterMs;
+    // Per-field validation problems, `[{ field, message }]`, listed in the error body.
+    if (Array.isArray(fields)) this.fields = fields;
+  }
+}
+
+const API_KEY_HINT = /api[\s_-]?key|API_KEY_INVALID|invalid_api_key|PERMISSION_DENIED/i;
+const SAFETY_FINISH_REASONS = new Set(['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY', 'content_filter']);
+
+/** Maps a non-OK upstream response onto the taxonomy. */
+const classifyUpstreamResponse = (status, bodyText = '', { retryAfterMs } = {}) => {
+  const details = { upstreamStatus: status, retryAfterMs: retryAfterMs ?? undefined };
+  if (status === 401 || status === 403 || (status === 400 && API_KEY_HINT.test(bodyText))) {
+    return new ApiError('INVALID_API_KEY', undefined, { upstreamStatus: status });
+  }
+  if (status === 429) return new ApiError('UPSTREAM_QUOTA', undefined, details);
+  if (status >= 500) return new ApiError('UPSTREAM_UNAVAILABLE', undefined, details);
+  return new ApiError('UPSTREAM_ERROR', undefined, { upstreamStatus: status });
+};
+
+/** Wraps failures that never produced a usable upstream response (aborts, resets, malformed JSON). */
+const classifyTransportError = (err) => {
+  if (err instanceof ApiError) return err;
+  if (err?.name === 'AbortError') return new ApiError('UPSTREAM_TIMEOUT', undefined, { cause: err });
+  if (err?.name === 'SyntaxError') return new ApiError('UPSTREAM_ERROR', undefined, { cause: err });
+  return new ApiError('UPSTREAM_UNAVAILABLE', undefined, { cause: err });
+};
+
+// A completion stopped for a safety reason is reported as SAFETY_BLOCKED, even when it carries partial text.
+const isSafetyBlocked = (result) => SAFETY_FINISH_REASONS.has(result?.finishReason);
+
+/**
+ * What a validator returns for a bad request instead of throwing: `{ status, code, error }` plus
+ * any `extra` properties (e.g. `fields`). `error` defaults to the code's message; sendError()
+ * answers it with its status.
+ */
+const validationFailure = (code, error = ERROR_CODES[code].message, extra = {}) => ({
+  status: ERROR_CODES[code].status,
+  code,
+  error,
+  ...extra
+});
+
+const toApiError = (err) => (err instanceof ApiError ? err : new ApiError('INTERNAL_ERROR', undefined, { cause: err }));
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  classifyUpstreamResponse,
+  classifyTransportError,
+  isSafetyBlocked,
+  validationFailure,
+  toApiError
+};
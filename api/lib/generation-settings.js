@@ -0,0 +1,85 @@
+/**
+ * Optional generation settings in the request body. lib/request-schema checks their types and fixed
+ * ranges; the env-configured bounds are checked here:
+ * - model: the provider's default model or one listed in <PROVIDER>_ALLOWED_MODELS
+ *   (GEMINI_ALLOWED_MODELS, OPENAI_ALLOWED_MODELS, LOCAL_LLM_ALLOWED_MODELS; comma-separated)
+ * - temperature: 0..GENERATE_INSIGHT_MAX_TEMPERATURE (default 1)
+ * - maxOutputTokens: integer 1..GENERATE_INSIGHT_MAX_OUTPUT_TOKENS (default 1024)
+ * - topP: 0..1
+ * - safety: { harassment, hateSpeech, sexuallyExplicit, dangerousContent } thresholds, none looser
+ *   than GENERATE_INSIGHT_LOOSEST_SAFETY_THRESHOLD (default BLOCK_ONLY_HIGH)
+ */
+
+const { getConfig } = require('./config');
+const { validationFailure } = require('./errors');
+
+// Strictest first; a threshold's index is its looseness.
+const SAFETY_THRESHOLDS = Object.freeze([
+  'BLOCK_LOW_AND_ABOVE',
+  'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_ONLY_HIGH',
+  'BLOCK_NONE'
+]);
+
+const SAFETY_CATEGORIES = Object.freeze({
+  harassment: 'HARM_CATEGORY_HARASSMENT',
+  hateSpeech: 'HARM_CATEGORY_HATE_SPEECH',
+  sexuallyExplicit: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  dangerousContent: 'HARM_CATEGORY_DANGEROUS_CONTENT'
+});
+
+const getSettingsBounds = () => getConfig().generation;
+
+const checkSafety = (safety, loosest) => {
+  const limit = SAFETY_THRESHOLDS.indexOf(loosest);
+  for (const [category, threshold] of Object.entries(safety)) {
+    if (SAFETY_THRESHOLDS.indexOf(threshold) > limit) {
+      return `Safety threshold for ${category} must be one of: ${SAFETY_THRESHOLDS.slice(0, limit + 1).join(', ')}.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks the settings fields of a request body against the env bounds for the given provider;
+ * types, categories and fixed ranges were already checked by lib/request-schema.
+ * Returns `{ settings }` (model always resolved, other keys only when sent)
+ * or `{ status, code, error }` when a field is out of bounds.
+ */
+const validateGenerationSettings = ({ model, temperature, maxOutputTokens, topP, safety } = {}, provider) => {
+  const bounds = getSettingsBounds();
+  const settings = { model: provider.getModel() };
+
+  if (model !== undefined) {
+    if (!provider.getAllowedModels().includes(model.trim())) {
+      return validationFailure('INVALID_REQUEST', 'Model is not allowed.');
+    }
+    settings.model = model.trim();
+  }
+  if (temperature !== undefined) {
+    if (temperature > bounds.maxTemperature) {
+      return validationFailure('INVALID_REQUEST', `Temperature must be a number between 0 and ${bounds.maxTemperature}.`);
+    }
+    settings.temperature = temperature;
+  }
+  if (maxOutputTokens !== undefined) {
+    if (maxOutputTokens > bounds.maxOutputTokens) {
+      return validationFailure('INVALID_REQUEST', `maxOutputTokens must be an integer between 1 and ${bounds.maxOutputTokens}.`);
+    }
+    settings.maxOutputTokens = maxOutputTokens;
+  }
+  if (topP !== undefined) settings.topP = topP;
+  if (safety !== undefined) {
+    const error = checkSafety(safety, bounds.loosestSafetyThreshold);
+    if (error) return validationFailure('INVALID_REQUEST', error);
+    settings.safety = { ...safety };
+  }
+  return { settings };
+};
+
+module.exports = {
+  SAFETY_THRESHOLDS,
+  SAFETY_CATEGORIES,
+  getSettingsBounds,
+  validateGenerationSettings
+};
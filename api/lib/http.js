@@ -0,0 +1,56 @@
+/**
+ * Request helpers shared by the serverless handlers.
+ */
+
+const crypto = require('node:crypto');
+const { ApiError } = require('./errors');
+
+// Accept caller-supplied ids (e.g. from a proxy) only when they are short and log-safe.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const requestIds = new WeakMap();
+
+const getClientIp = (req) => {
+  const fwd = req.headers['x-forwarded-for'];
+  if (typeof fwd === 'string' && fwd.trim()) return fwd.split(',')[0].trim();
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Reuses a valid incoming X-Request-Id or generates one, echoes it on the
+ * response and remembers it so error bodies can carry it.
+ */
+const assignRequestId = (req, res) => {
+  const incoming = req.headers['x-request-id'];
+  const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  requestIds.set(res, requestId);
+  res.setHeader('X-Request-Id', requestId);
+  return requestId;
+};
+
+const getRequestId = (res) => requestIds.get(res);
+
+/**
+ * Sends `{ error, code, requestId }` (plus `fields` for validation errors that carry them).
+ * Accepts an ApiError, a validator's `{ status, code, error, fields }` failure (lib/errors
+ * validationFailure) or a code from lib/errors (the message defaults to the code's generic one).
+ */
+const sendError = (res, codeOrError, message) => {
+  let err = codeOrError;
+  if (typeof codeOrError === 'string') {
+    err = new ApiError(codeOrError, message);
+  } else if (!(codeOrError instanceof ApiError)) {
+    const { code, error, status, fields } = codeOrError;
+    err = new ApiError(code, error, { status, fields });
+  }
+  if (err.retryAfterMs != null) res.setHeader('Retry-After', Math.max(1, Math.ceil(err.retryAfterMs / 1000)));
+  const requestId = requestIds.get(res);
+  const body = { error: err.message, code: err.code };
+  if (requestId) body.requestId = requestId;
+  if (err.fields) body.fields = err.fields;
+  return res.status(err.status).json(body);
+};
+
+module.exports = { getClientIp, assignRequestId, getRequestId, sendError };
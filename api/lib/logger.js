@@ -0,0 +1,73 @@
+/**
+ * Structured JSON logger. One line per entry:
+ *   {"ts":"…","level":"info","msg":"…","requestId":"…",…}
+ * Key material is redacted from field names that look sensitive and from string values
+ * (API keys in URLs, bearer tokens, Google/OpenAI-style key formats).
+ * LOG_LEVEL=debug|info|warn|error|silent (default info); tests set it with setLogLevel().
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const REDACTED = '[REDACTED]';
+const TRUNCATED = '[Truncated]';
+const MAX_DEPTH = 5;
+
+const SENSITIVE_FIELD = /(api[-_]?key|authorization|token|secret|password|cookie)/i;
+const SENSITIVE_VALUE_PATTERNS = [
+  [/([?&](?:key|api_key|apikey|token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+  [/\bAIza[0-9A-Za-z_-]{20,}/g, REDACTED],
+  [/\bsk-[A-Za-z0-9_-]{16,}/g, REDACTED]
+];
+
+const redactString = (value) =>
+  SENSITIVE_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: redactString(String(err.message || '')),
+  ...(err.code ? { code: err.code } : {}),
+  ...(err.status ? { status: err.status } : {}),
+  ...(err.cause?.code ? { cause: err.cause.code } : {})
+});
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object') return value;
+  // Past this depth nothing is inspected, so nothing is logged.
+  if (depth > MAX_DEPTH) return TRUNCATED;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  const out = {};
+  for (const [key, inner] of Object.entries(value)) {
+    out[key] = SENSITIVE_FIELD.test(key) ? REDACTED : redact(inner, depth + 1);
+  }
+  return out;
+};
+
+let levelOverride = null;
+
+/** Replaces LOG_LEVEL until called with null. For tests. */
+const setLogLevel = (level) => {
+  levelOverride = level;
+};
+
+const getThreshold = () => LEVELS[(levelOverride ?? process.env.LOG_LEVEL ?? '').trim().toLowerCase()] ?? LEVELS.info;
+
+const WRITERS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+const createLogger = (bindings = {}) => {
+  const log = (level, msg, fields = {}) => {
+    if (LEVELS[level] < getThreshold()) return;
+    const entry = { ts: new Date().toISOString(), level, msg, ...redact({ ...bindings, ...fields }) };
+    console[WRITERS[level]](JSON.stringify(entry));
+  };
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+};
+
+module.exports = { createLogger, redact, setLogLevel, logger: createLogger() };
@@ -0,0 +1,121 @@
+/**
+ * In-process Prometheus registry (text exposition format 0.0.4).
+ * Values live in the memory of one serverless instance and reset on cold start;
+ * scrape frequently and aggregate with `sum()` in Prometheus.
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+};
+
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines.join('\n');
+    },
+    reset: () => series.clear()
+  };
+};
+
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+  return {
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      const entry = series.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join('\n');
+    },
+    reset: () => series.clear()
+  };
+};
+
+const metrics = {
+  requests: createCounter({
+    name: 'generate_insight_requests_total',
+    help: 'Requests handled by /api/generate-insight, by HTTP status.',
+    labelNames: ['status']
+  }),
+  upstreamDuration: createHistogram({
+    name: 'generate_insight_upstream_duration_seconds',
+    help: 'Latency of individual upstream attempts.',
+    labelNames: ['provider', 'outcome']
+  }),
+  upstreamRetries: createCounter({
+    name: 'generate_insight_upstream_retries_total',
+    help: 'Upstream attempts that were retried.',
+    labelNames: ['provider']
+  }),
+  circuitRejections: createCounter({
+    name: 'generate_insight_circuit_open_rejections_total',
+    help: 'Calls rejected without contacting the provider because its circuit was open.',
+    labelNames: ['provider']
+  }),
+  rateLimitRejections: createCounter({
+    name: 'generate_insight_rate_limit_rejections_total',
+    help: 'Requests rejected by the rate limiter, a session quota or the daily token quota.',
+    labelNames: ['scope']
+  }),
+  tokens: createCounter({
+    name: 'generate_insight_tokens_total',
+    help: 'Tokens reported by the provider for fresh (uncached) results, by mode and type (prompt or output).',
+    labelNames: ['provider', 'mode', 'type']
+  }),
+  guardrailFlags: createCounter({
+    name: 'generate_insight_guardrail_flags_total',
+    help: 'Visitor fields matching a prompt-injection rule, by rule and action (flagged or rejected).',
+    labelNames: ['rule', 'action']
+  }),
+  cacheLookups: createCounter({
+    name: 'generate_insight_cache_lookups_total',
+    help: 'Response cache lookups, by result (hit or miss).',
+    labelNames: ['result']
+  })
+};
+
+const renderMetrics = () => `${Object.values(metrics).map(metric => metric.render()).join('\n')}\n`;
+
+const resetMetrics = () => Object.values(metrics).forEach(metric => metric.reset());
+
+module.exports = { metrics, renderMetrics, resetMetrics, createCounter, createHistogram };
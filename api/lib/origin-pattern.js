@@ -0,0 +1,77 @@
+/**
+ * Origin patterns for the ALLOWED_ORIGINS allow-list: "*" or `[scheme://]host[:port]`.
+ * - scheme: http or https; omitted means either.
+ * - host: dot-separated labels. A "*" label matches exactly one label, a "**" label one or more
+ *   (so "**.example.com" covers every subdomain depth but not example.com itself), and "*" inside
+ *   a label matches part of it ("preview-*.vercel.app").
+ * - port: a number or "*" for any; omitted means the scheme's default port only.
+ * - A leading "*." without a port keeps the allow-list's original meaning: the domain itself and
+ *   every subdomain, on any port ("*.vercel.app" covers vercel.app and a.b.vercel.app:3000). Add a
+ *   port to get the single-label match ("https://*.example.com:443").
+ * Examples: "https://example.com", "*.vercel.app", "http://localhost:*",
+ * "**.staging.example.com:8443".
+ */
+
+const DEFAULT_PORTS = Object.freeze({ http: '80', https: '443' });
+const LABEL_CHARS = '[a-z0-9-]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const hostLabelSource = (label) => {
+  if (label === '**') return `${LABEL_CHARS}+(?:\\.${LABEL_CHARS}+)*`;
+  if (label === '*') return `${LABEL_CHARS}+`;
+  return label.split('*').map(escapeRegExp).join(`${LABEL_CHARS}*`);
+};
+
+/**
+ * Compiles a pattern to a RegExp over normalized origins (`new URL(origin).origin`).
+ * Throws an Error saying what is wrong with the pattern.
+ */
+const compileOriginPattern = (pattern) => {
+  const match = /^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/:?#]+|\[[0-9a-f:.]+\])(?::(\d{1,5}|\*))?$/i.exec(pattern.trim());
+  if (!match) throw new Error(`"${pattern}" is not an origin pattern (expected [scheme://]host[:port], without a path).`);
+  const [, rawScheme, rawHost, port] = match;
+  const scheme = rawScheme?.toLowerCase();
+  if (scheme && !DEFAULT_PORTS[scheme]) throw new Error(`"${pattern}" must use http or https.`);
+  if (port && port !== '*' && !(Number(port) >= 1 && Number(port) <= 65535)) {
+    throw new Error(`"${pattern}" has an invalid port.`);
+  }
+
+  const host = rawHost.toLowerCase();
+  // The original "*.example.com" meaning: the domain and any subdomain depth, on any port.
+  const suffixWildcard = !port && host.startsWith('*.');
+  let hostSource;
+  if (host.startsWith('[')) {
+    hostSource = escapeRegExp(host);
+  } else {
+    const labels = host.split('.');
+    if (labels.some(label => !label || !/^(?:\*\*|[a-z0-9*-]+)$/.test(label))) {
+      throw new Error(`"${pattern}" has an invalid host.`);
+    }
+    hostSource = suffixWildcard
+      ? `(?:${LABEL_CHARS}+\\.)*${labels.slice(1).map(hostLabelSource).join('\\.')}`
+      : labels.map(hostLabelSource).join('\\.');
+  }
+
+  let portSource = '';
+  if (port === '*' || suffixWildcard) {
+    portSource = '(?::\\d+)?';
+  } else if (port && !(scheme && DEFAULT_PORTS[scheme] === port)) {
+    // URL#origin drops the default port, so "https://x:443" is the same as "https://x".
+    portSource = `:${port}`;
+  }
+  return new RegExp(`^${scheme || 'https?'}://${hostSource}${portSource}$`);
+};
+
+/** Whether `origin` (an Origin header value) matches a compiled pattern. */
+const matchesOriginPattern = (origin, compiled) => {
+  let normalized;
+  try {
+    normalized = new URL(origin).origin;
+  } catch {
+    return false;
+  }
+  return compiled.test(normalized);
+};
+
+module.exports = { compileOriginPattern, matchesOriginPattern };
@@ -0,0 +1,87 @@
+/**
+ * Server-side prompt templates. Clients send a structured request
+ * `{ mode, itemId, topic, question }` and never the prompt text itself, so the
+ * endpoint cannot be used as a general-purpose proxy. Visitor text (topic, question)
+ * is delimited by lib/guardrails rather than quoted.
+ * Items are looked up in the profile model the page renders (public/js/data/catalog.js). It is an
+ * ES module, so it is imported once on first use.
+ * Bodies have already passed lib/request-schema (types, enums, lengths); only the fields each mode
+ * needs are checked here.
+ */
+
+const { delimitUserText } = require('./guardrails');
+const { validationFailure } = require('./errors');
+
+const PROMPT_MODES = Object.freeze(['project', 'publication', 'general', 'context']);
+
+let loading = null;
+
+const loadCatalog = () => {
+  loading ??= import('../public/js/data/catalog.js');
+  return loading;
+};
+
+const buildProjectPrompt = (title, description) => {
+  const safeTitle = title || 'the selected project';
+  const detailSentence = description ? ` Here are the available details: ${description}` : '';
+  return `Summarise the selected project "${safeTitle}".${detailSentence} Focus on the objectives, approach, and impact in two to three sentences.`;
+};
+
+const buildPublicationPrompt = (title, description) => {
+  const safeTitle = title || 'the selected publication';
+  const detailSentence = description ? ` Here are the available details: ${description}` : '';
+  return `Summarise the key contribution of the publication "${safeTitle}".${detailSentence} Highlight the research problem, methodology, findings, and potential real-world impact in two to three sentences suitable for an executive profile.`;
+};
+
+const buildGeneralPrompt = (topic) =>
+  `Generate a professional thought leadership insight on the topic given in the user_input tags below. The insight should be in a single paragraph, suitable for a resume or professional profile.\n\n${delimitUserText(topic)}`;
+
+const buildContextPrompt = (context, question) =>
+  `Based on the following context: "${context}", generate a professional insight that addresses the question given in the user_input tags below. The insight should be in a single paragraph, suitable for a resume or professional profile.\n\n${delimitUserText(question)}`;
+
+// The schema cannot say which text fields a mode needs, only how they look when sent.
+const requireText = (value, label) => (value === undefined ? validationFailure('INVALID_REQUEST', `${label} is required.`) : null);
+
+/**
+ * Builds the prompt for a structured request body.
+ * Resolves `{ prompt, mode, itemId }` on success or `{ status, code, error }` when the body is invalid.
+ */
+const buildPromptFromRequest = async ({ mode, itemId, topic, question } = {}) => {
+  if (!PROMPT_MODES.includes(mode)) {
+    return validationFailure('INVALID_REQUEST', `Mode must be one of: ${PROMPT_MODES.join(', ')}.`);
+  }
+
+  if (mode === 'general') {
+    const invalid = requireText(topic, 'Topic');
+    if (invalid) return invalid;
+    return { mode, itemId: null, prompt: buildGeneralPrompt(topic.trim()) };
+  }
+
+  const { findItem } = await loadCatalog();
+  const found = findItem(itemId);
+  if (!found || (mode !== 'context' && found.kind !== mode)) {
+    return validationFailure('INVALID_REQUEST', 'Unknown itemId for the requested mode.');
+  }
+  const { title, description } = found.item;
+
+  if (mode === 'project') {
+    return { mode, itemId, prompt: buildProjectPrompt(title, description) };
+  }
+  if (mode === 'publication') {
+    return { mode, itemId, prompt: buildPublicationPrompt(title, description) };
+  }
+
+  const invalid = requireText(question, 'Question');
+  if (invalid) return invalid;
+  return { mode, itemId, prompt: buildContextPrompt(description, question.trim()) };
+};
+
+module.exports = {
+  PROMPT_MODES,
+  buildProjectPrompt,
+  buildPublicationPrompt,
+  buildGeneralPrompt,
+  buildContextPrompt,
+  loadCatalog,
+  buildPromptFromRequest
+};
@@ -0,0 +1,112 @@
+/**
+ * Google Gemini (generativelanguage.googleapis.com) adapter.
+ * Generation settings map to `generationConfig` and `safetySettings`; a `responseSchema` (structured
+ * insights) becomes a JSON `responseMimeType` plus Gemini's own schema dialect, and a
+ * `systemInstruction` is sent as Gemini's `systemInstruction` content.
+ * GEMINI_BASE_URL points the adapter at a compatible server (e.g. the mock in scripts/dev-server.js).
+ */
+
+const { getConfig } = require('../config');
+const { withDefaultModel } = require('./models');
+const { SAFETY_CATEGORIES } = require('../generation-settings');
+
+const getBaseUrl = () => getConfig().providers.gemini.baseUrl.replace(/\/+$/, '');
+const getModel = () => getConfig().providers.gemini.model;
+const getAllowedModels = () => withDefaultModel(getConfig().providers.gemini.allowedModels, getModel());
+
+// Gemini's Schema object uses upper-case types and has no additionalProperties.
+const toGeminiSchema = ({ type, description, properties, items, required }) => ({
+  type: type.toUpperCase(),
+  ...(description && { description }),
+  ...(properties && {
+    properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])),
+    propertyOrdering: Object.keys(properties)
+  }),
+  ...(items && { items: toGeminiSchema(items) }),
+  ...(required && { required })
+});
+
+const buildGenerationConfig = ({ temperature, maxOutputTokens, topP }, responseSchema) => {
+  const config = {};
+  if (temperature !== undefined) config.temperature = temperature;
+  if (maxOutputTokens !== undefined) config.maxOutputTokens = maxOutputTokens;
+  if (topP !== undefined) config.topP = topP;
+  if (responseSchema) {
+    config.responseMimeType = 'application/json';
+    config.responseSchema = toGeminiSchema(responseSchema);
+  }
+  return Object.keys(config).length ? config : undefined;
+};
+
+const buildSafetySettings = (safety) => {
+  if (!safety) return undefined;
+  const entries = Object.entries(safety).map(([key, threshold]) => ({ category: SAFETY_CATEGORIES[key], threshold }));
+  return entries.length ? entries : undefined;
+};
+
+// Follow-ups become a multi-turn `contents` array; single-turn requests keep the plain shape.
+const buildContents = (prompt, conversation) => {
+  if (!conversation.length) return [{ parts: [{ text: prompt }] }];
+  return [{ role: 'user', text: prompt }, ...conversation].map(({ role, text }) => ({ role, parts: [{ text }] }));
+};
+
+const buildRequest = ({ prompt, apiKey, stream, settings = {}, conversation = [], responseSchema, systemInstruction }) => {
+  const model = settings.model || getModel();
+  const key = encodeURIComponent(apiKey);
+  const url = stream
+    ? `${getBaseUrl()}/${model}:streamGenerateContent?alt=sse&key=${key}`
+    : `${getBaseUrl()}/${model}:generateContent?key=${key}`;
+  return {
+    url,
+    model,
+    init: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        systemInstruction: systemInstruction ? { parts: [{ text: systemInstruction }] } : undefined,
+        contents: buildContents(prompt, conversation),
+        generationConfig: buildGenerationConfig(settings, responseSchema),
+        safetySettings: buildSafetySettings(settings.safety)
+      })
+    }
+  };
+};
+
+const extractText = (data) =>
+  (data?.candidates?.[0]?.content?.parts || [])
+    .map(part => (typeof part?.text === 'string' ? part.text : ''))
+    .join('');
+
+const extractUsage = (data) => {
+  const meta = data?.usageMetadata;
+  if (!meta) return null;
+  return {
+    promptTokens: meta.promptTokenCount ?? 0,
+    outputTokens: meta.candidatesTokenCount ?? 0,
+    totalTokens: meta.totalTokenCount ?? 0
+  };
+};
+
+// `model: null` reports only what the response names, so a streamed chunk never overwrites the
+// requested model with the default.
+const parseResponse = (data, { model = getModel() } = {}) => ({
+  text: extractText(data),
+  model: data?.modelVersion || model,
+  usage: extractUsage(data),
+  // A blocked prompt has no candidates, only promptFeedback.blockReason.
+  finishReason: data?.candidates?.[0]?.finishReason || data?.promptFeedback?.blockReason || null
+});
+
+// Every streamed chunk is a full GenerateContentResponse carrying only the new text.
+const parseStreamEvent = (data) => parseResponse(data, { model: null });
+
+module.exports = {
+  name: 'gemini',
+  label: 'Gemini',
+  requiresKey: true,
+  getModel,
+  getAllowedModels,
+  buildRequest,
+  parseResponse,
+  parseStreamEvent
+};
@@ -0,0 +1,41 @@
+/**
+ * Provider registry. The active provider comes from LLM_PROVIDER (default "gemini");
+ * clients may pick another one via the `provider` body field only when it is listed
+ * in LLM_ALLOWED_PROVIDERS (comma-separated).
+ *
+ * Adapter contract:
+ * - getModel() -> default model name
+ * - getAllowedModels() -> models a request may pick (always includes the default)
+ * - buildRequest({ prompt, apiKey, stream, settings, conversation, responseSchema, systemInstruction })
+ *   -> { url, model, init }, where `settings` comes from lib/generation-settings, `conversation`
+ *   (follow-up turns after the prompt, roles 'model'/'user') from lib/conversation, the optional
+ *   `responseSchema` (a JSON Schema the reply must follow) from lib/structured and the optional
+ *   `systemInstruction` (rules kept apart from the user turns) from lib/guardrails
+ * - parseResponse(json, { model }) -> { text, model, usage, finishReason }
+ * - parseStreamEvent(json) -> partial of the same shape for one streamed chunk
+ */
+
+const { getConfig } = require('../config');
+const gemini = require('./gemini');
+const openai = require('./openai');
+const local = require('./local');
+
+const PROVIDERS = new Map([gemini, openai, local].map(p => [p.name, p]));
+const PROVIDER_NAMES = Object.freeze([...PROVIDERS.keys()]);
+
+const normalizeName = (v) => (typeof v === 'string' ? v.trim().toLowerCase() : '');
+
+const getDefaultProviderName = () => getConfig().providers.default;
+
+const getAllowedProviderNames = () => new Set([getDefaultProviderName(), ...getConfig().providers.allowed]);
+
+/** Returns the adapter for the requested name, or null when it is not allow-listed. */
+const resolveProvider = (requested) => {
+  if (requested === undefined || requested === null || requested === '') {
+    return PROVIDERS.get(getDefaultProviderName());
+  }
+  const name = normalizeName(requested);
+  return getAllowedProviderNames().has(name) ? PROVIDERS.get(name) : null;
+};
+
+module.exports = { PROVIDER_NAMES, resolveProvider, getAllowedProviderNames };
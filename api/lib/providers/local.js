@@ -0,0 +1,48 @@
+/**
+ * Local HTTP stand-in for offline development.
+ * Expects a server at LOCAL_LLM_URL that accepts
+ * `{ prompt, model, stream, conversation, responseSchema?, systemInstruction?, ...settings }` and answers
+ * with the normalized shape `{ text, model, usage, finishReason }` (or SSE events of it).
+ * No API key is required.
+ */
+
+const { getConfig } = require('../config');
+const { withDefaultModel } = require('./models');
+
+const getUrl = () => getConfig().providers.local.url;
+const getModel = () => getConfig().providers.local.model;
+const getAllowedModels = () => withDefaultModel(getConfig().providers.local.allowedModels, getModel());
+
+const buildRequest = ({ prompt, stream, settings = {}, conversation = [], responseSchema, systemInstruction }) => {
+  const { model: requestedModel, ...generation } = settings;
+  const model = requestedModel || getModel();
+  return {
+    url: getUrl(),
+    model,
+    init: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt, model, stream: Boolean(stream), conversation, responseSchema, systemInstruction, ...generation })
+    }
+  };
+};
+
+const parseResponse = (data, { model = getModel() } = {}) => ({
+  text: typeof data?.text === 'string' ? data.text : '',
+  model: data?.model || model,
+  usage: data?.usage || null,
+  finishReason: data?.finishReason || null
+});
+
+const parseStreamEvent = (data) => parseResponse(data, { model: null });
+
+module.exports = {
+  name: 'local',
+  label: 'Local',
+  requiresKey: false,
+  getModel,
+  getAllowedModels,
+  buildRequest,
+  parseResponse,
+  parseStreamEvent
+};
@@ -0,0 +1,8 @@
+/**
+ * Model allow-list helper shared by the adapters.
+ */
+
+// The default model is always allowed; extra ones come from the <PROVIDER>_ALLOWED_MODELS list.
+const withDefaultModel = (allowedModels, defaultModel) => [...new Set([defaultModel, ...allowedModels])];
+
+module.exports = { withDefaultModel };
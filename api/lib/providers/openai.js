@@ -0,0 +1,83 @@
+/**
+ * OpenAI-compatible Chat Completions adapter (OpenAI, Azure-style proxies, vLLM, etc.).
+ * Safety thresholds have no Chat Completions equivalent and are ignored; a `responseSchema` is sent
+ * as a strict `json_schema` response format and a `systemInstruction` as a leading system message.
+ */
+
+const { getConfig } = require('../config');
+const { withDefaultModel } = require('./models');
+
+const getBaseUrl = () => getConfig().providers.openai.baseUrl.replace(/\/+$/, '');
+const getModel = () => getConfig().providers.openai.model;
+const getAllowedModels = () => withDefaultModel(getConfig().providers.openai.allowedModels, getModel());
+
+const buildRequest = ({ prompt, apiKey, stream, settings = {}, conversation = [], responseSchema, systemInstruction }) => {
+  const model = settings.model || getModel();
+  const messages = [{ role: 'user', text: prompt }, ...conversation]
+    .map(({ role, text }) => ({ role: role === 'model' ? 'assistant' : 'user', content: text }));
+  if (systemInstruction) messages.unshift({ role: 'system', content: systemInstruction });
+  const body = { model, messages };
+  if (settings.temperature !== undefined) body.temperature = settings.temperature;
+  if (settings.maxOutputTokens !== undefined) body.max_tokens = settings.maxOutputTokens;
+  if (settings.topP !== undefined) body.top_p = settings.topP;
+  if (responseSchema) {
+    body.response_format = { type: 'json_schema', json_schema: { name: 'insight', strict: true, schema: responseSchema } };
+  }
+  if (stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+  return {
+    url: `${getBaseUrl()}/chat/completions`,
+    model,
+    init: {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify(body)
+    }
+  };
+};
+
+const extractUsage = (data) => {
+  const usage = data?.usage;
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens ?? 0,
+    outputTokens: usage.completion_tokens ?? 0,
+    totalTokens: usage.total_tokens ?? 0
+  };
+};
+
+const parseResponse = (data, { model } = {}) => {
+  const choice = data?.choices?.[0];
+  return {
+    text: typeof choice?.message?.content === 'string' ? choice.message.content : '',
+    model: data?.model || model || getModel(),
+    usage: extractUsage(data),
+    finishReason: choice?.finish_reason || null
+  };
+};
+
+const parseStreamEvent = (data) => {
+  const choice = data?.choices?.[0];
+  return {
+    text: typeof choice?.delta?.content === 'string' ? choice.delta.content : '',
+    model: data?.model || null,
+    usage: extractUsage(data),
+    finishReason: choice?.finish_reason || null
+  };
+};
+
+module.exports = {
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  requiresKey: true,
+  getModel,
+  getAllowedModels,
+  buildRequest,
+  parseResponse,
+  parseStreamEvent
+};
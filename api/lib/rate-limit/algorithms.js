@@ -0,0 +1,80 @@
+/**
+ * Rate-limit algorithms as pure functions over a JSON-serializable state, so every
+ * store only has to persist opaque values.
+ *
+ * apply(state, { maxRequests, windowMs }, cost, now) ->
+ *   { allowed, state, ttlMs, remaining, resetAt, retryAfterMs }
+ * A cost of 0 peeks without consuming anything.
+ */
+
+const fixedWindow = (state, { maxRequests, windowMs }, cost, now) => {
+  const current = state && state.expiresAt > now ? state : { count: 0, expiresAt: now + windowMs };
+  const allowed = current.count + cost <= maxRequests;
+  const next = allowed ? { ...current, count: current.count + cost } : current;
+  return {
+    allowed,
+    state: next,
+    ttlMs: next.expiresAt - now,
+    remaining: Math.max(0, maxRequests - next.count),
+    resetAt: next.expiresAt,
+    retryAfterMs: allowed ? 0 : next.expiresAt - now
+  };
+};
+
+// Sliding-window counter: the previous window's count is weighted by how much of it still overlaps.
+const slidingWindow = (state, { maxRequests, windowMs }, cost, now) => {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let current = state || { windowStart, current: 0, previous: 0 };
+  if (current.windowStart !== windowStart) {
+    const previous = current.windowStart === windowStart - windowMs ? current.current : 0;
+    current = { windowStart, current: 0, previous };
+  }
+  const overlap = 1 - (now - windowStart) / windowMs;
+  const estimate = (count) => current.previous * overlap + count;
+  const allowed = estimate(current.current + cost) <= maxRequests;
+  const next = allowed ? { ...current, current: current.current + cost } : current;
+  const windowEnd = windowStart + windowMs;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    const headroom = maxRequests - cost - next.current;
+    retryAfterMs = headroom >= 0 && next.previous > 0
+      ? Math.max(1, Math.ceil(windowStart + windowMs * (1 - headroom / next.previous) - now))
+      : windowEnd - now;
+  }
+
+  return {
+    allowed,
+    state: next,
+    ttlMs: windowEnd + windowMs - now,
+    remaining: Math.max(0, Math.floor(maxRequests - estimate(next.current))),
+    resetAt: allowed ? windowEnd : now + retryAfterMs,
+    retryAfterMs
+  };
+};
+
+// Token bucket: holds up to maxRequests tokens and refills all of them over windowMs.
+const tokenBucket = (state, { maxRequests, windowMs }, cost, now) => {
+  const refillPerMs = maxRequests / windowMs;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  const available = state ? Math.min(maxRequests, state.tokens + elapsed * refillPerMs) : maxRequests;
+  const allowed = available >= cost;
+  const tokens = allowed ? available - cost : available;
+  const msUntilFull = Math.ceil((maxRequests - tokens) / refillPerMs);
+  return {
+    allowed,
+    state: { tokens, updatedAt: now },
+    ttlMs: msUntilFull + 1,
+    remaining: Math.floor(tokens),
+    resetAt: now + msUntilFull,
+    retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs)
+  };
+};
+
+const ALGORITHMS = Object.freeze({
+  'fixed-window': fixedWindow,
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket
+});
+
+module.exports = { ALGORITHMS, fixedWindow, slidingWindow, tokenBucket };
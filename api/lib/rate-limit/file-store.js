@@ -0,0 +1,54 @@
+/**
+ * JSON-file store for single-host deployments (e.g. `vercel dev` or a long-lived Node server)
+ * where several processes share a disk. Writes go through a temp file + rename so readers never
+ * see a torn file. Operations are serialized within a process only; concurrent processes may
+ * occasionally over-admit a request.
+ */
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const createFileStore = (filePath) => {
+  let queue = Promise.resolve();
+
+  // Serialize read-modify-write cycles issued by this process.
+  const exclusive = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const readEntries = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8')) || {};
+    } catch (err) {
+      if (err.code === 'ENOENT' || err instanceof SyntaxError) return {};
+      throw err;
+    }
+  };
+
+  const writeEntries = async (entries) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entries));
+    await fs.rename(tmpPath, filePath);
+  };
+
+  return {
+    get: (key, now = Date.now()) => exclusive(async () => {
+      const entry = (await readEntries())[key];
+      return entry && entry.expiresAt > now ? entry.state : null;
+    }),
+    set: (key, state, ttlMs, now = Date.now()) => exclusive(async () => {
+      const entries = await readEntries();
+      for (const [k, entry] of Object.entries(entries)) {
+        if (entry.expiresAt <= now) delete entries[k];
+      }
+      entries[key] = { state, expiresAt: now + ttlMs };
+      await writeEntries(entries);
+    }),
+    clear: () => exclusive(() => fs.rm(filePath, { force: true }))
+  };
+};
+
+module.exports = { createFileStore };
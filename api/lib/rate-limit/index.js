@@ -0,0 +1,89 @@
+/**
+ * Rate limiter = algorithm + store, both picked by env:
+ * - GENERATE_INSIGHT_MAX_REQUESTS / GENERATE_INSIGHT_WINDOW_MS: limit per window (<= 0 disables)
+ * - GENERATE_INSIGHT_RATE_LIMIT_ALGORITHM: fixed-window (default) | sliding-window | token-bucket
+ * - GENERATE_INSIGHT_RATE_LIMIT_STORE: memory (default) | file | redis
+ * - GENERATE_INSIGHT_RATE_LIMIT_FILE: path for the file store (default: OS temp dir)
+ * - GENERATE_INSIGHT_REDIS_URL: redis://[user:password@]host:port[/db] for the redis store
+ *
+ * Store contract: get(key, now) -> state | null, set(key, state, ttlMs, now).
+ */
+
+const os = require('node:os');
+const path = require('node:path');
+const { getConfig } = require('../config');
+const { ALGORITHMS } = require('./algorithms');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { createRedisStore } = require('./redis-store');
+
+const DEFAULT_FILE_PATH = path.join(os.tmpdir(), 'generate-insight-rate-limit.json');
+
+const memoryStore = createMemoryStore();
+const fileStores = new Map();
+const redisStores = new Map();
+
+const normalize = (v) => (typeof v === 'string' ? v.trim().toLowerCase() : '');
+
+const getStore = () => {
+  const { store: kind, file, redisUrl } = getConfig().rateLimit;
+  if (kind === 'file') {
+    const filePath = file || DEFAULT_FILE_PATH;
+    if (!fileStores.has(filePath)) fileStores.set(filePath, createFileStore(filePath));
+    return fileStores.get(filePath);
+  }
+  if (kind === 'redis') {
+    if (!redisUrl) throw new Error('GENERATE_INSIGHT_REDIS_URL is required for the redis rate-limit store.');
+    if (!redisStores.has(redisUrl)) redisStores.set(redisUrl, createRedisStore(redisUrl));
+    return redisStores.get(redisUrl);
+  }
+  return memoryStore;
+};
+
+const getRateLimitConfig = () => {
+  const { maxRequests, windowMs } = getConfig().rateLimit;
+  return { maxRequests, windowMs };
+};
+
+const getAlgorithm = (name = getConfig().rateLimit.algorithm) => ALGORITHMS[normalize(name)];
+
+const createRateLimiter = ({ store, algorithm }) => {
+  const evaluate = async (key, cfg, cost, now) => {
+    if (!(cfg.maxRequests > 0)) return null; // disabled
+    const outcome = algorithm(await store.get(key, now), cfg, cost, now);
+    if (cost > 0 && outcome.allowed) await store.set(key, outcome.state, outcome.ttlMs, now);
+    return {
+      allowed: outcome.allowed,
+      limit: cfg.maxRequests,
+      remaining: outcome.remaining,
+      resetAt: outcome.resetAt,
+      retryAfterMs: outcome.retryAfterMs
+    };
+  };
+
+  return {
+    /** Charges `cost` units; resolves null when limiting is disabled. */
+    consume: (key, cfg, { cost = 1, now = Date.now() } = {}) => evaluate(key, cfg, cost, now),
+    /** Reports the current allowance without charging anything. */
+    peek: (key, cfg, { now = Date.now() } = {}) => evaluate(key, cfg, 0, now)
+  };
+};
+
+/** Limiter on the configured store; `algorithm` overrides the configured algorithm (e.g. for quotas). */
+const getRateLimiter = ({ algorithm } = {}) => createRateLimiter({ store: getStore(), algorithm: getAlgorithm(algorithm) });
+
+const applyRateLimitHeaders = (res, decision) => {
+  if (!decision) return;
+  res.setHeader('X-RateLimit-Limit', decision.limit);
+  res.setHeader('X-RateLimit-Remaining', decision.remaining);
+  // Unix epoch seconds, as used by GitHub and most X-RateLimit-* implementations.
+  res.setHeader('X-RateLimit-Reset', Math.ceil(decision.resetAt / 1000));
+};
+
+module.exports = {
+  createRateLimiter,
+  getRateLimiter,
+  getRateLimitConfig,
+  applyRateLimitHeaders,
+  memoryStore
+};
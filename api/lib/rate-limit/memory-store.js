@@ -0,0 +1,37 @@
+/**
+ * Per-instance store. Resets on cold start and is not shared between instances.
+ */
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+const createMemoryStore = () => {
+  const entries = new Map();
+  let lastSweepAt = 0;
+
+  const sweep = (now) => {
+    if (now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+    lastSweepAt = now;
+    for (const [key, entry] of entries.entries()) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key, now = Date.now()) {
+      sweep(now);
+      const entry = entries.get(key);
+      return entry && entry.expiresAt > now ? entry.state : null;
+    },
+    async set(key, state, ttlMs, now = Date.now()) {
+      entries.set(key, { state, expiresAt: now + ttlMs });
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,161 @@
+/**
+ * Store backed by any server speaking the Redis protocol (RESP2): Redis, Valkey,
+ * KeyDB, Upstash over TCP, or a local stand-in during tests.
+ * Only GET / SET ... PX / DEL are used, so reads and writes are not atomic across
+ * instances; under heavy contention a request may occasionally be over-admitted.
+ */
+
+const net = require('node:net');
+
+const KEY_PREFIX = 'generate-insight:rl:';
+const DEFAULT_TIMEOUT_MS = 1_000;
+
+const encodeCommand = (args) =>
+  `*${args.length}\r\n` + args.map((arg) => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }).join('');
+
+/**
+ * Parses one RESP reply from the front of the buffer.
+ * Returns `{ value, offset }`, or null when the buffer does not hold a full reply yet.
+ */
+const parseReply = (buffer, start = 0) => {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: Object.assign(new Error(line), { name: 'RedisError' }), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i += 1) {
+        const item = parseReply(buffer, offset);
+        if (!item) return null;
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}".`);
+  }
+};
+
+const parseRedisUrl = (redisUrl) => {
+  const url = new URL(redisUrl);
+  const db = url.pathname.replace(/^\//, '');
+  return {
+    host: url.hostname || '127.0.0.1',
+    port: Number(url.port) || 6379,
+    username: decodeURIComponent(url.username || ''),
+    password: decodeURIComponent(url.password || ''),
+    db: db ? Number(db) : 0
+  };
+};
+
+const createRedisClient = (redisUrl, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const options = parseRedisUrl(redisUrl);
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const failAll = (err) => {
+    while (pending.length) pending.shift().reject(err);
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let reply;
+    while (pending.length && (reply = parseReply(buffer))) {
+      buffer = buffer.subarray(reply.offset);
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) reject(reply.value);
+      else resolve(reply.value);
+    }
+    if (!pending.length && socket) socket.setTimeout(0);
+  };
+
+  // The timeout only runs while a reply is awaited, so an idle connection stays open between bursts.
+  const send = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.setTimeout(timeoutMs);
+    socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const conn = net.createConnection({ host: options.host, port: options.port });
+      socket = conn;
+      conn.setTimeout(timeoutMs);
+      conn.on('timeout', () => conn.destroy(new Error('Redis connection timed out.')));
+      conn.on('data', onData);
+      conn.on('error', (err) => {
+        reject(err);
+        failAll(err);
+      });
+      conn.on('close', () => failAll(new Error('Redis connection closed.')));
+      conn.once('connect', async () => {
+        conn.unref();
+        try {
+          if (options.password) {
+            await send(options.username ? ['AUTH', options.username, options.password] : ['AUTH', options.password]);
+          }
+          if (options.db) await send(['SELECT', options.db]);
+          conn.setTimeout(0);
+          resolve();
+        } catch (err) {
+          conn.destroy(err);
+        }
+      });
+    });
+    return ready;
+  };
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+    close() {
+      if (socket) socket.destroy();
+    }
+  };
+};
+
+const createRedisStore = (redisUrl, clientOptions) => {
+  const client = createRedisClient(redisUrl, clientOptions);
+  return {
+    async get(key) {
+      const raw = await client.command('GET', KEY_PREFIX + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(key, state, ttlMs) {
+      await client.command('SET', KEY_PREFIX + key, JSON.stringify(state), 'PX', Math.max(1, Math.ceil(ttlMs)));
+    },
+    close: () => client.close()
+  };
+};
+
+module.exports = { createRedisStore, createRedisClient, parseReply, encodeCommand };
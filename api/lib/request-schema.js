@@ -0,0 +1,38 @@
+/**
+ * Declarative checks for the generate-insight body and headers, using the schemas the frontend
+ * also validates with (public/js/data/request-schemas.js, public/js/modules/schema.js). Those are
+ * ES modules, so they are imported once on first use.
+ * Every invalid field is reported in one response: `{ status, code, error, fields }`, where
+ * `fields` is `[{ field, message }]`. Over-long text alone answers PROMPT_TOO_LONG (413); any
+ * other problem INVALID_REQUEST (400).
+ */
+
+const { validationFailure } = require('./errors');
+
+let loading = null;
+
+const loadRequestSchemas = () => {
+  loading ??= Promise.all([
+    import('../public/js/modules/schema.js'),
+    import('../public/js/data/request-schemas.js')
+  ]).then(([engine, schemas]) => ({ ...engine, ...schemas }));
+  return loading;
+};
+
+const toFailure = (issues) => {
+  const code = issues.every(({ keyword }) => keyword === 'maxLength') ? 'PROMPT_TOO_LONG' : 'INVALID_REQUEST';
+  const error = issues.length === 1 ? issues[0].message : `The request has ${issues.length} invalid fields.`;
+  return validationFailure(code, error, { fields: issues.map(({ field, message }) => ({ field, message })) });
+};
+
+/** Resolves null when the request's body and headers fit the schemas, otherwise the failure. */
+const validateInsightRequest = async (req) => {
+  const { validateSchema, insightRequestSchema, insightHeadersSchema } = await loadRequestSchemas();
+  const issues = [
+    ...validateSchema(insightHeadersSchema, req.headers || {}, 'headers'),
+    ...validateSchema(insightRequestSchema, req.body ?? {})
+  ];
+  return issues.length ? toFailure(issues) : null;
+};
+
+module.exports = { loadRequestSchemas, validateInsightRequest };
@@ -0,0 +1,73 @@
+/**
+ * Server-managed key mode: the server holds the upstream API key and hands out short-lived,
+ * HMAC-signed, origin-bound session tokens instead of asking visitors for their own key.
+ *
+ * Env:
+ * - GENERATE_INSIGHT_SERVER_KEY_MODE=true      turns the mode on
+ * - GENERATE_INSIGHT_SERVER_API_KEY            upstream key for the default provider
+ * - GENERATE_INSIGHT_SESSION_SECRET            HMAC secret (at least 32 characters)
+ * - GENERATE_INSIGHT_SESSION_TTL_SECONDS       token lifetime (default 900)
+ * - GENERATE_INSIGHT_SESSION_MAX_REQUESTS      upstream calls allowed per session (default 10)
+ *
+ * Token format: "v1.<base64url(JSON claims)>.<base64url(HMAC-SHA256)>", claims = { sid, origin, iat, exp }.
+ */
+
+const crypto = require('node:crypto');
+const { getConfig } = require('./config');
+
+const TOKEN_VERSION = 'v1';
+const MIN_SECRET_LENGTH = 32;
+
+const isServerKeyModeEnabled = () => getConfig().session.serverKeyMode;
+
+/**
+ * Returns the session settings, or null when the mode is on but incomplete
+ * (callers answer with a 500 rather than silently falling back to client keys).
+ */
+const getSessionConfig = () => {
+  const { apiKey, secret, ttlSeconds, maxRequests } = getConfig().session;
+  if (!apiKey || !secret || secret.length < MIN_SECRET_LENGTH) return null;
+  return { apiKey, secret, ttlSeconds, maxRequests };
+};
+
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const signSessionToken = ({ origin = '' }, { secret, ttlSeconds }, now = Date.now()) => {
+  const iat = Math.floor(now / 1000);
+  const claims = { sid: crypto.randomUUID(), origin, iat, exp: iat + ttlSeconds };
+  const body = `${TOKEN_VERSION}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  return { token: `${body}.${sign(secret, body)}`, claims };
+};
+
+/**
+ * Verifies signature, expiry and origin binding.
+ * Returns `{ ok: true, claims }` or `{ ok: false, reason }`.
+ */
+const verifySessionToken = (token, { origin = '' }, { secret }, now = Date.now()) => {
+  if (typeof token !== 'string') return { ok: false, reason: 'malformed' };
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_VERSION) return { ok: false, reason: 'malformed' };
+
+  const expected = Buffer.from(sign(secret, `${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: 'signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return { ok: false, reason: 'malformed' };
+  }
+  if (!Number.isFinite(claims?.exp) || claims.exp * 1000 <= now) return { ok: false, reason: 'expired' };
+  if (claims.origin !== origin) return { ok: false, reason: 'origin' };
+  return { ok: true, claims };
+};
+
+module.exports = {
+  isServerKeyModeEnabled,
+  getSessionConfig,
+  signSessionToken,
+  verifySessionToken
+};
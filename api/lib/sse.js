@@ -0,0 +1,39 @@
+/**
+ * Minimal Server-Sent Events helpers shared by the serverless handlers.
+ * - readSseEvents: incremental parser for an upstream `text/event-stream` body. The parser is the
+ *   one the frontend uses (public/js/modules/sse.js); it is an ES module, so it is imported once on
+ *   first use.
+ * - startEventStream / writeEvent: relay events to the client response.
+ */
+
+let loading = null;
+
+const loadSseParser = () => {
+  loading ??= import('../public/js/modules/sse.js');
+  return loading;
+};
+
+/**
+ * Iterates over the events of an SSE body (a web ReadableStream or anything async-iterable that
+ * yields strings or Uint8Arrays). Yields `{ event, data }` where data lines are joined with "\n".
+ */
+async function* readSseEvents(body) {
+  const parser = await loadSseParser();
+  yield* parser.readSseEvents(body);
+}
+
+const startEventStream = (res) => {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering so chunks reach the browser as they are written.
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.status(200);
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+};
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+module.exports = { readSseEvents, startEventStream, writeEvent };
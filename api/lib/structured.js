@@ -0,0 +1,81 @@
+/**
+ * Structured insights (`format: 'structured'`) for project and publication requests: the provider
+ * is asked for JSON matching INSIGHT_SCHEMA (Gemini responseSchema, OpenAI json_schema), and the
+ * reply is parsed and checked before it is returned as `structured` next to the raw `text`.
+ */
+
+const { ApiError, validationFailure } = require('./errors');
+
+const STRUCTURED_MODES = Object.freeze(['project', 'publication']);
+const MAX_SKILLS = 10;
+
+const STRING_FIELDS = Object.freeze(['headline', 'problem', 'approach', 'impact', 'oneLiner']);
+
+// JSON Schema subset understood by both Gemini's responseSchema and OpenAI's strict json_schema.
+const INSIGHT_SCHEMA = Object.freeze({
+  type: 'object',
+  properties: {
+    headline: { type: 'string', description: 'A short title for the work, at most 12 words.' },
+    problem: { type: 'string', description: 'The problem or research question, in one or two sentences.' },
+    approach: { type: 'string', description: 'The methods used, in one or two sentences.' },
+    impact: { type: 'string', description: 'The outcome or real-world impact, in one or two sentences.' },
+    skills: { type: 'array', items: { type: 'string' }, description: `Up to ${MAX_SKILLS} skills or technologies.` },
+    oneLiner: { type: 'string', description: 'A single sentence suitable for a CV.' }
+  },
+  required: ['headline', 'problem', 'approach', 'impact', 'skills', 'oneLiner'],
+  additionalProperties: false
+});
+
+const STRUCTURED_INSTRUCTION =
+  ' Respond only with a JSON object with the fields headline, problem, approach, impact, skills (an array of strings) and oneLiner.';
+
+/**
+ * Checks that the `format` field (already one of the schema's formats) fits the request's mode and
+ * streaming. Returns `{ structured: boolean }` or `{ status, code, error }`.
+ */
+const validateResponseFormat = ({ format = 'text', mode, stream } = {}) => {
+  if (format === 'text') return { structured: false };
+  if (!STRUCTURED_MODES.includes(mode)) {
+    return validationFailure('INVALID_REQUEST', 'Structured format is only available for project and publication insights.');
+  }
+  if (stream === true) {
+    return validationFailure('INVALID_REQUEST', 'Structured insights cannot be streamed.');
+  }
+  return { structured: true };
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/** Checks a parsed reply against INSIGHT_SCHEMA. Returns the trimmed insight or null. */
+const validateStructuredInsight = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  if (!STRING_FIELDS.every(field => isNonEmptyString(value[field]))) return null;
+  if (!Array.isArray(value.skills) || !value.skills.every(isNonEmptyString)) return null;
+  const insight = Object.fromEntries(STRING_FIELDS.map(field => [field, value[field].trim()]));
+  insight.skills = [...new Set(value.skills.map(skill => skill.trim()))].slice(0, MAX_SKILLS);
+  return insight;
+};
+
+// Models sometimes wrap JSON in a ```json fence despite the MIME type.
+const stripCodeFence = (text) => text.trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+
+/** Adds `structured` to a provider result, or throws UPSTREAM_ERROR when the reply does not fit the schema. */
+const attachStructuredInsight = (result) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFence(result.text));
+  } catch {
+    parsed = null;
+  }
+  const structured = validateStructuredInsight(parsed);
+  if (!structured) throw new ApiError('UPSTREAM_ERROR', 'The provider returned an invalid structured insight.');
+  return { ...result, structured };
+};
+
+module.exports = {
+  INSIGHT_SCHEMA,
+  STRUCTURED_INSTRUCTION,
+  validateResponseFormat,
+  validateStructuredInsight,
+  attachStructuredInsight
+};
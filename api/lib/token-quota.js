@@ -0,0 +1,37 @@
+/**
+ * Optional daily token budget per client bucket (API key hash or IP), kept on the
+ * rate-limit store with a fixed 24-hour window that starts at the bucket's first charge.
+ * - GENERATE_INSIGHT_DAILY_TOKEN_QUOTA: tokens per bucket per day (default 0 = off)
+ * Requests are refused once the budget is spent. A response is charged after it completes, from
+ * the provider's reported usage and capped at what is left, so the last answer of the day may
+ * overshoot the budget slightly.
+ */
+
+const { getConfig } = require('./config');
+const { getRateLimiter } = require('./rate-limit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getTokenQuotaConfig = () => ({ maxRequests: getConfig().tokenQuota.dailyTokens, windowMs: DAY_MS });
+
+const quotaKey = (bucketKey) => `token-quota:${bucketKey}`;
+const limiter = () => getRateLimiter({ algorithm: 'fixed-window' });
+
+/** Current allowance `{ limit, remaining, resetAt, ... }`; null when the quota is off. */
+const peekTokenQuota = async (bucketKey, cfg = getTokenQuotaConfig()) =>
+  limiter().peek(quotaKey(bucketKey), cfg);
+
+/** Charges `tokens` (capped at what is left) and resolves the allowance afterwards. */
+const chargeTokens = async (bucketKey, tokens, cfg = getTokenQuotaConfig()) => {
+  const current = await peekTokenQuota(bucketKey, cfg);
+  if (!current) return null;
+  const cost = Math.min(Math.max(0, Math.floor(tokens) || 0), current.remaining);
+  return cost > 0 ? limiter().consume(quotaKey(bucketKey), cfg, { cost }) : current;
+};
+
+/** The `quota` object added to responses. */
+const toQuotaView = (decision) => (decision
+  ? { limit: decision.limit, remaining: decision.remaining, resetAt: new Date(decision.resetAt).toISOString() }
+  : null);
+
+module.exports = { getTokenQuotaConfig, peekTokenQuota, chargeTokens, toQuotaView };
@@ -0,0 +1,210 @@
+/**
+ * Upstream transport shared by every provider adapter:
+ * - one overall deadline (cfg.deadlineMs) across attempts; each attempt's timeout is capped by what is left
+ * - retries for 5xx/network failures with exponential backoff and full jitter
+ * - an upstream Retry-After (e.g. on 429/503) is honoured when it fits in the remaining deadline
+ * - a per-provider circuit breaker (lib/circuit-breaker) fails fast after repeated provider failures
+ * Streams use an idle timeout between text chunks, still bounded by the deadline, and retry only
+ * while nothing has been relayed yet.
+ */
+
+const { readSseEvents } = require('./sse');
+const { logger: defaultLogger } = require('./logger');
+const { metrics } = require('./metrics');
+const { getCircuitBreaker, getBreakerConfig } = require('./circuit-breaker');
+const { ApiError, classifyUpstreamResponse, classifyTransportError } = require('./errors');
+const { checkCompletion } = require('./guardrails');
+
+const BACKOFF_BASE_MS = 200;
+const BACKOFF_CAP_MS = 2_000;
+// A retry is only worth scheduling if the next attempt still gets this long before the deadline.
+const MIN_ATTEMPT_MS = 500;
+
+const fetchWithTimeout = async (url, options, timeoutMs) => {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(id);
+  }
+};
+
+const RETRYABLE_NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENETDOWN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'EHOSTDOWN'
+]);
+
+const isRetryableError = (err) => {
+  if (err instanceof ApiError) {
+    // Quota errors are only retried when the upstream said when to come back.
+    return err.code === 'UPSTREAM_UNAVAILABLE' || (err.code === 'UPSTREAM_QUOTA' && err.retryAfterMs != null);
+  }
+  const causeCode = err?.cause?.code || err?.code;
+  const networkError = err.name === 'TypeError' || (typeof causeCode === 'string' && RETRYABLE_NETWORK_ERROR_CODES.has(causeCode));
+  return (
+    err.name === 'AbortError' ||
+    err.name === 'FetchError' ||
+    networkError
+  );
+};
+
+// Failures that say something about the provider's health (as opposed to the caller's key or prompt).
+const isProviderFailure = (err) => err.code === 'UPSTREAM_UNAVAILABLE' || err.code === 'UPSTREAM_TIMEOUT';
+
+// Full jitter: a random delay in [0, min(cap, base * 2^(attempt - 1))).
+const backoffDelay = (attempt, random = Math.random) =>
+  Math.floor(random() * Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1)));
+
+/** Parses a Retry-After header (delta-seconds or HTTP-date) into milliseconds. */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Returns a recorder that observes the attempt's latency once, whichever path finishes it.
+const timeAttempt = (provider) => {
+  const startedAt = Date.now();
+  let observed = false;
+  return (outcome) => {
+    if (observed) return;
+    observed = true;
+    metrics.upstreamDuration.observe({ provider: provider.name, outcome }, (Date.now() - startedAt) / 1000);
+  };
+};
+
+const readFailure = async (provider, resp, attempt, log) => {
+  const txt = await resp.text().catch(() => '');
+  log.warn('upstream non-OK response', { provider: provider.name, attempt, status: resp.status, body: txt.slice(0, 500) });
+  return classifyUpstreamResponse(resp.status, txt, {
+    retryAfterMs: parseRetryAfter(resp.headers?.get?.('retry-after'))
+  });
+};
+
+/**
+ * Runs `runAttempt({ attempt, timeoutMs, deadlineAt })` under the circuit breaker, the overall
+ * deadline and the retry policy. `canRetry()` lets a caller veto retries (streams, once output was
+ * relayed). Only provider failures and successes move the breaker; other outcomes (a rejected key,
+ * a blocked prompt, an aborted call) leave its state as it was.
+ */
+const withRetries = async (provider, cfg, runAttempt, canRetry = () => true) => {
+  const { timeoutMs, maxRetries, deadlineMs = timeoutMs * (maxRetries + 1), logger: log = defaultLogger } = cfg;
+  const breaker = getCircuitBreaker(provider.name);
+  const breakerCfg = getBreakerConfig();
+  const gate = breaker.acquire(breakerCfg);
+  if (!gate.allowed) {
+    metrics.circuitRejections.inc({ provider: provider.name });
+    throw new ApiError('CIRCUIT_OPEN', undefined, { retryAfterMs: gate.retryAfterMs });
+  }
+
+  const deadlineAt = Date.now() + deadlineMs;
+  let attempt = 0;
+  while (true) {
+    attempt += 1;
+    const observe = timeAttempt(provider);
+    try {
+      const result = await runAttempt({
+        attempt,
+        timeoutMs: Math.max(1, Math.min(timeoutMs, deadlineAt - Date.now())),
+        deadlineAt
+      });
+      observe('success');
+      breaker.recordSuccess();
+      return result;
+    } catch (err) {
+      observe('error');
+      const apiError = err instanceof ApiError ? err : classifyTransportError(err);
+      const delay = apiError.retryAfterMs ?? backoffDelay(attempt);
+      const retry = attempt <= maxRetries &&
+        canRetry() &&
+        isRetryableError(err) &&
+        Date.now() + delay + MIN_ATTEMPT_MS <= deadlineAt;
+      if (!retry) {
+        if (isProviderFailure(apiError)) breaker.recordFailure(breakerCfg);
+        else breaker.release();
+        throw apiError;
+      }
+      metrics.upstreamRetries.inc({ provider: provider.name });
+      log.info('retrying upstream request', { provider: provider.name, attempt, delayMs: delay, code: apiError.code });
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * One-shot generation. `cfg` = { timeoutMs, maxRetries, deadlineMs, logger? } where the logger is
+ * request-scoped; attempts feed the upstream latency histogram and retry counter in lib/metrics.
+ */
+const callWithRetry = async (provider, request, cfg) => {
+  const { logger: log = defaultLogger } = cfg;
+  const { url, model, init } = provider.buildRequest({ ...request, stream: false });
+  return withRetries(provider, cfg, async ({ attempt, timeoutMs }) => {
+    const resp = await fetchWithTimeout(url, init, timeoutMs);
+    if (!resp.ok) throw await readFailure(provider, resp, attempt, log);
+    return checkCompletion(provider.parseResponse(await resp.json(), { model }));
+  });
+};
+
+/**
+ * Streams a generation, calling onText for every text fragment, and resolves
+ * with the normalized result assembled from all chunks.
+ * Until the first text arrives the attempt is bounded by its timeout; afterwards each text chunk
+ * restarts an idle timer of `timeoutMs`. Events without text are not progress, and no timer runs
+ * past the overall deadline.
+ */
+const streamWithRetry = async (provider, request, cfg, onText) => {
+  const { timeoutMs: idleTimeoutMs, logger: log = defaultLogger } = cfg;
+  const { url, model, init } = provider.buildRequest({ ...request, stream: true });
+  let relayed = false;
+  return withRetries(provider, cfg, async ({ attempt, timeoutMs, deadlineAt }) => {
+    const controller = new AbortController();
+    let timer;
+    const resetTimer = (ms) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), Math.max(1, Math.min(ms, deadlineAt - Date.now())));
+    };
+    resetTimer(timeoutMs);
+    try {
+      const resp = await fetch(url, { ...init, signal: controller.signal });
+      if (!resp.ok) throw await readFailure(provider, resp, attempt, log);
+      const result = { text: '', model, usage: null, finishReason: null };
+      for await (const event of readSseEvents(resp.body)) {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch {
+          continue; // e.g. OpenAI's "[DONE]" sentinel
+        }
+        const chunk = provider.parseStreamEvent(data);
+        if (chunk.model) result.model = chunk.model;
+        if (chunk.usage) result.usage = chunk.usage;
+        if (chunk.finishReason) result.finishReason = chunk.finishReason;
+        if (chunk.text) {
+          relayed = true;
+          resetTimer(idleTimeoutMs);
+          result.text += chunk.text;
+          onText(chunk.text);
+        }
+      }
+      return checkCompletion(result);
+    } finally {
+      clearTimeout(timer);
+    }
+  }, () => !relayed);
+};
+
+module.exports = { callWithRetry, streamWithRetry, backoffDelay, parseRetryAfter };
@@ -0,0 +1,46 @@
+/**
+ * Vercel Serverless Function: Prometheus metrics for /api/generate-insight.
+ * - GET -> text exposition format 0.0.4 (see lib/metrics for the metric names).
+ * - METRICS_TOKEN, when set, must be sent as `Authorization: Bearer <token>`.
+ *   In production the route stays hidden (404) until a token is configured.
+ * - The registry is in-process, so vercel.json routes /api/metrics to the generate-insight
+ *   function, which delegates here; each scrape reports one warm instance.
+ */
+
+const crypto = require('node:crypto');
+const { getConfig, requireValidConfig } = require('./lib/config');
+const { isProductionEnvironment } = require('./lib/env');
+const { sendError } = require('./lib/http');
+const { logger } = require('./lib/logger');
+const { renderMetrics } = require('./lib/metrics');
+
+const hasValidToken = (req, expected) => {
+  const rawAuth = req.headers?.authorization || '';
+  const match = typeof rawAuth === 'string' ? rawAuth.match(/^Bearer\s+(.+)$/i) : null;
+  if (!match) return false;
+  const actual = Buffer.from(match[1].trim());
+  const wanted = Buffer.from(expected);
+  return actual.length === wanted.length && crypto.timingSafeEqual(actual, wanted);
+};
+
+module.exports = async (req, res) => {
+  if (!requireValidConfig(res, logger.child({ route: '/api/metrics' }))) return;
+
+  const token = getConfig().metrics.token;
+  if (!token && isProductionEnvironment()) {
+    return sendError(res, 'NOT_FOUND');
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendError(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  if (token && !hasValidToken(req, token)) {
+    return sendError(res, 'UNAUTHORIZED', "Metrics token is missing or invalid.");
+  }
+
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).send(renderMetrics());
+};
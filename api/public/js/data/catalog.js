@@ -1,25 +1,152 @@
+// The profile model: every section of index.html is rendered from this file at startup
+// (modules/profile-renderer.js), and the API imports it to build prompts from item IDs
+// (lib/prompts.js), so editing the profile means editing only this file.
+// Dates are "YYYY-MM" (end: null = current role).
+// `npm run resume -- import <resume.json> --write` regenerates its data exports from a JSON Resume
+// document (see scripts/json-resume.js).
+
+export const profile = Object.freeze({
+  name: 'Dr. Sundar Raman S',
+  headline: 'AI & Digital Transformation Leader — Supply Chain & Smart Manufacturing',
+  photo: { src: 'profile-image.jpg', alt: 'A professional photo of Dr. Sundar Raman S' },
+  summary:
+    'Strategic AI transformation leader with 20+ years of experience (10+ in senior management) driving enterprise AI adoption, supply chain intelligence, and Industry 4.0 initiatives across consumer goods, energy, and technology. Proven track record building multi-year AI roadmaps, leading global teams (50+), and converting high-value use cases to production with multimillion-dollar impact.',
+  highlights: [
+    'Kimberly-Clark',
+    'Shell',
+    'IBM',
+    'AI Strategy',
+    'Digital Transformation',
+    'Supply Chain',
+    'Smart Manufacturing',
+    'Industry 4.0 focus'
+  ],
+  email: 'sundar021180@gmail.com',
+  links: [{ label: 'LinkedIn', url: 'https://www.linkedin.com/in/sundar-raman-s-14a044116' }],
+  publicationCount: '22+'
+});
+
+export const experience = Object.freeze([
+  {
+    role: 'Lead AI Strategist (Senior Manager)',
+    organization: 'Kimberly-Clark',
+    start: '2022-06',
+    end: null,
+    highlights: [
+      'Defined and executed a 5-year AI roadmap for supply chain transformation, aligning with enterprise goals on efficiency and resilience.',
+      'Launched IntelliPlan, an enterprise AI platform for demand planning, forecasting, and supply chain intelligence; enabled segment-aware planning and faster decisions.',
+      'Built an Advanced Manufacturing roadmap (30+ AI use cases); converted 8+ to production-ready, with go-lives in 2025; areas include predictive maintenance, production-rate prediction, and procurement fraud detection.',
+      'Drove portfolio governance and value realization, prioritizing initiatives with measurable financial impact; coached leaders on adoption/change.',
+      'Incubating agentic AI capability (“AI Agency”) to generate software from executive-level problem statements and accelerate solution delivery.'
+    ]
+  },
+  {
+    role: 'Capability Centre Lead (C3.ai) & Manager, Digital & Business Transformation',
+    organization: 'Shell India',
+    start: '2017-11',
+    end: '2022-06',
+    highlights: [
+      'Led and mentored a 50-member global team (data scientists, engineers, developers) to deliver AI/ML apps across upstream/downstream and new energy portfolios.',
+      'Established predictive maintenance at scale; platform projected ~$35M annual savings by reducing downtime and improving asset reliability.',
+      'Drove digitalization processes and embedded AI best practices across assets and regions; launched dozens of high-impact digital propositions.',
+      'Expanded data science community across Asia & the Middle East; instituted standards for model lifecycle, MLOps, and value tracking.'
+    ]
+  },
+  {
+    role: 'Deputy Manager, Marketing Analytics',
+    organization: 'IBM India Pvt. Ltd.',
+    start: '2016-06',
+    end: '2017-11',
+    highlights: [
+      'Delivered advanced marketing analytics and dashboards for healthcare clients, enabling data-driven decisions.',
+      'Fostered innovation through brainstorming sessions and developed market-mix models.',
+      'Built dashboards for real-time sales performance tracking and insights.'
+    ]
+  },
+  {
+    role: 'Data Scientist',
+    organization: 'ADF Data Science Pvt. Ltd.',
+    start: '2015-07',
+    end: '2016-05',
+    highlights: [
+      'Automated customer segmentation and developed predictive response models.',
+      'Built risk-based segmentation tools and monitoring dashboards for financial portfolios.',
+      'Applied advanced statistical algorithms for risk assessment.'
+    ]
+  }
+]);
+
+export const skills = Object.freeze([
+  {
+    name: 'AI Strategy & Digital Transformation',
+    description: 'Enterprise-wide AI adoption, strategic roadmapping, business case development.'
+  },
+  {
+    name: 'Supply Chain & Manufacturing Intelligence',
+    description: 'AI for demand forecasting, inventory management, and operational efficiency.'
+  },
+  {
+    name: 'Business Impact & ROI',
+    description:
+      'Defining key performance indicators, tracking value realization, and communicating results to executive stakeholders.'
+  },
+  {
+    name: 'Platform & Ecosystem Development',
+    description: 'Building scalable AI/ML platforms and integrating technology into core business functions.'
+  },
+  {
+    name: 'Global Team Leadership',
+    description: 'Mentoring and managing multi-disciplinary teams of data scientists and engineers.'
+  },
+  {
+    name: 'Innovation & Thought Leadership',
+    description: 'Conceptualizing AI Agents, developing thought leadership, and exploring Industry 4.0 applications.'
+  }
+]);
+
+export const education = Object.freeze([
+  { degree: 'PhD', field: 'Computational Biology/Biophysics', institution: 'University of Madras, Chennai' },
+  { degree: 'MSc', field: 'Biophysics & Crystallography', institution: 'University of Madras' },
+  { degree: 'BSc', field: 'Physics', institution: 'TBML College, Bharathidasan University' }
+]);
+
+export const awards = Object.freeze([
+  { title: 'Special Recognition Awards', awarder: 'Shell India', date: '2018, 2019' },
+  { title: 'DAAD Fellowship, Germany', awarder: null, date: '2008' },
+  { title: 'International Postdoctoral Fellowship', awarder: 'University of Pittsburgh', date: '2012-2015' }
+]);
+
 export const publications = Object.freeze([
   {
     id: 'pub1',
     title: 'Computational Estimation of Microsecond to Second Atomistic Folding Times',
+    venue: 'Journal of the American Chemical Society',
+    year: 2019,
     description:
       'A research paper on developing computational methods for simulating and analyzing protein-ligand binding, which has implications for drug discovery.'
   },
   {
     id: 'pub2',
-    title: 'Middle-way flexible docking',
+    title: 'Middle-way flexible docking: Pose prediction using mixed-resolution Monte Carlo in estrogen receptor α',
+    venue: 'PloS one',
+    year: 2019,
     description:
       'A publication focused on using a combined resolution approach with Monte Carlo simulations to predict the poses of molecules binding to estrogen receptors, a key step in computational drug design.'
   },
   {
     id: 'pub3',
     title: 'Role of length-dependent stability of collagen-like peptides',
+    venue: 'The Journal of Physical Chemistry B',
+    year: 2008,
     description:
       'An early career research paper using molecular dynamics to investigate the stability of collagen-like peptides based on their length, highlighting foundational work in molecular simulation.'
   },
   {
     id: 'pub4',
-    title: 'Exploring the changes in the structure of α-helical peptides adsorbed onto a single walled carbon nanotube',
+    title:
+      'Exploring the changes in the structure of α-helical peptides adsorbed onto a single walled carbon nanotube using classical molecular dynamics simulation',
+    venue: 'The Journal of Physical Chemistry B',
+    year: 2010,
     description:
       'A research article detailing the use of classical molecular dynamics to analyze how the structure of α-helical peptides changes when they interact with carbon nanotubes, a topic with applications in bionanotechnology.'
   }
@@ -59,3 +186,13 @@ export const projects = Object.freeze([
 ]);
 
 export const contextOptions = Object.freeze({ publications, projects });
+
+/** `{ kind: 'project' | 'publication', item }` for a catalog ID, or null. */
+export const findItem = (id) => {
+  const publication = publications.find((entry) => entry.id === id);
+  if (publication) {
+    return { kind: 'publication', item: publication };
+  }
+  const project = projects.find((entry) => entry.id === id);
+  return project ? { kind: 'project', item: project } : null;
+};
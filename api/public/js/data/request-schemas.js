@@ -0,0 +1,92 @@
+// Schemas for POST /api/generate-insight, in the subset understood by ../modules/schema.js.
+// The API validates every request against them (lib/request-schema.js) and the frontend checks
+// its requests before sending. They cover types, enums and fixed bounds; limits that depend on
+// server env (allowed models, temperature ceiling, batch size, history turns) are checked after.
+// The text limits here are the only copy. The modes and safety enums mirror server constants;
+// test/request-schema.test.js fails when they drift.
+
+export const MAX_PROMPT_LENGTH = 4000;
+export const MAX_TOPIC_LENGTH = 200;
+export const MAX_QUESTION_LENGTH = 500;
+export const MAX_FOLLOW_UP_LENGTH = 500;
+
+export const REQUEST_MODES = Object.freeze(['project', 'publication', 'general', 'context', 'batch']);
+export const RESPONSE_FORMATS = Object.freeze(['text', 'structured']);
+export const HISTORY_ROLES = Object.freeze(['model', 'user']);
+export const SAFETY_THRESHOLDS = Object.freeze([
+  'BLOCK_LOW_AND_ABOVE',
+  'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_ONLY_HIGH',
+  'BLOCK_NONE'
+]);
+
+const threshold = (title) => ({ type: 'string', title, enum: SAFETY_THRESHOLDS });
+const text = (title, maxLength, examples) => ({ type: 'string', title, minLength: 1, maxLength, examples });
+
+export const insightRequestSchema = Object.freeze({
+  type: 'object',
+  title: 'Request body',
+  properties: {
+    provider: { type: 'string', title: 'Provider', examples: ['gemini'] },
+    mode: { type: 'string', title: 'Mode', enum: REQUEST_MODES },
+    prompt: text('Prompt', MAX_PROMPT_LENGTH, ['Summarise my experience.']),
+    itemId: { type: 'string', title: 'ItemId', examples: ['proj1'] },
+    itemIds: {
+      type: 'array',
+      title: 'ItemIds',
+      minItems: 1,
+      items: { type: 'string', title: 'Each itemId', examples: ['proj1'] }
+    },
+    topic: text('Topic', MAX_TOPIC_LENGTH, ['Data science leadership']),
+    question: text('Question', MAX_QUESTION_LENGTH, ['What did this work change?']),
+    history: {
+      type: 'array',
+      title: 'History',
+      items: {
+        type: 'object',
+        title: 'Each history turn',
+        properties: {
+          role: { type: 'string', title: 'Role', enum: HISTORY_ROLES },
+          text: { type: 'string', title: 'Text', minLength: 1, examples: ['An earlier answer.'] }
+        },
+        required: ['role', 'text']
+      }
+    },
+    followUp: text('Follow-up', MAX_FOLLOW_UP_LENGTH, ['Can you shorten it?']),
+    stream: { type: 'boolean', title: 'Stream' },
+    fresh: { type: 'boolean', title: 'Fresh' },
+    format: { type: 'string', title: 'Format', enum: RESPONSE_FORMATS },
+    model: { type: 'string', title: 'Model', minLength: 1, examples: ['gemini-2.5-flash'] },
+    temperature: { type: 'number', title: 'Temperature', minimum: 0, maximum: 2 },
+    maxOutputTokens: { type: 'integer', title: 'maxOutputTokens', minimum: 1 },
+    topP: { type: 'number', title: 'topP', minimum: 0, maximum: 1 },
+    safety: {
+      type: 'object',
+      title: 'Safety',
+      properties: {
+        harassment: threshold('Safety threshold for harassment'),
+        hateSpeech: threshold('Safety threshold for hateSpeech'),
+        sexuallyExplicit: threshold('Safety threshold for sexuallyExplicit'),
+        dangerousContent: threshold('Safety threshold for dangerousContent')
+      },
+      additionalProperties: false
+    }
+  }
+});
+
+// Node lower-cases incoming header names.
+export const insightHeadersSchema = Object.freeze({
+  type: 'object',
+  title: 'Headers',
+  properties: {
+    'x-gemini-api-key': { type: 'string', title: 'X-Gemini-Api-Key' },
+    'x-session-token': { type: 'string', title: 'X-Session-Token' },
+    'x-deadline-ms': {
+      type: 'string',
+      title: 'X-Deadline-Ms',
+      pattern: '^[1-9][0-9]*$',
+      errorMessage: 'X-Deadline-Ms must be a positive integer.',
+      examples: ['10000']
+    }
+  }
+});
@@ -1,13 +1,22 @@
+import { renderProfile } from './modules/profile-renderer.js';
 import { initContactModal } from './modules/contact-modal.js';
 import { initTimeline } from './modules/timeline.js';
 import { initCollapsibleSections } from './modules/collapsible.js';
 import { initNavigation } from './modules/navigation.js';
 import { initAiGenerator } from './modules/ai-generator.js';
+import { initResumeDownload } from './modules/resume-download.js';
+import { initProfileExport } from './modules/profile-export.js';
+import { createHistoryStore } from './modules/history-store.js';
 
 document.addEventListener('DOMContentLoaded', () => {
+  // Shared so exports include the insights the generator saves.
+  const historyStore = createHistoryStore();
+  renderProfile();
   initContactModal();
   initTimeline();
   initCollapsibleSections();
   initNavigation();
-  initAiGenerator();
+  initAiGenerator({ historyStore });
+  initResumeDownload();
+  initProfileExport({ historyStore });
 });
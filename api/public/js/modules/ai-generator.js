@@ -1,14 +1,48 @@
-import { contextOptions } from '../data/catalog.js';
+import { contextOptions, findItem } from '../data/catalog.js';
 import {
   byId,
+  query,
   queryAll,
   toggleHidden,
   setText,
   safeScrollIntoView
 } from './dom.js';
 import { copyText } from './clipboard.js';
+import { readSseEvents, isEventStream } from './sse.js';
+import { createSessionClient } from './session.js';
+import { readGenerationSettings, readInsightFormat, populateModelSelect } from './generation-settings.js';
+import { renderMarkdown, markdownToPlainText } from './markdown.js';
+import { renderInsightCard, insightCardToPlainText } from './insight-card.js';
+import { validateSchema } from './schema.js';
+import { insightRequestSchema } from '../data/request-schemas.js';
+import { expandSectionById } from './collapsible.js';
+import { createHistoryStore } from './history-store.js';
+import { initHistoryDrawer } from './history-drawer.js';
+import { createRequestController } from './request-controller.js';
 
 const STORAGE_KEY = 'ai-generator-access-token';
+// Mirrors the server's default GENERATE_INSIGHT_MAX_HISTORY_TURNS.
+const MAX_HISTORY_TURNS = 10;
+
+// Keyed by the API's error `code`; unknown codes fall back to the server's message.
+const ERROR_MESSAGES = {
+  API_KEY_REQUIRED: 'Please enter your Gemini API key before generating insights.',
+  INVALID_API_KEY: 'Your API key was rejected. Check that it is correct and enabled for the Gemini API.',
+  UPSTREAM_QUOTA: 'Your API key has run out of quota. Wait for the quota to reset or use a different key.',
+  SAFETY_BLOCKED: 'The AI provider declined this request for safety reasons. Try rephrasing your topic or question.',
+  INPUT_REJECTED: 'This request was declined because it reads like instructions to the AI. Please ask about a topic or question instead.',
+  PROMPT_TOO_LONG: 'Your request is too long. Please shorten the topic or question and try again.',
+  RATE_LIMITED: 'You are generating insights too quickly. Please wait a moment and try again.',
+  SESSION_INVALID: 'Your session has expired. Please try again.',
+  SESSION_QUOTA_EXHAUSTED: 'This session has used all of its insights. Please try again later.',
+  ORIGIN_DENIED: 'This site is not allowed to use the insight service.',
+  UPSTREAM_TIMEOUT: 'The AI provider took too long to respond. Please try again.',
+  UPSTREAM_UNAVAILABLE: 'The AI provider is temporarily unavailable. Please try again in a moment.',
+  CIRCUIT_OPEN: 'The AI provider is having trouble right now, so requests are paused briefly. Please try again in about a minute.',
+  TOKEN_QUOTA_EXHAUSTED: 'You have used today\'s insight allowance. Please come back tomorrow.'
+};
+
+export const describeApiError = (code, fallback) => ERROR_MESSAGES[code] || fallback;
 
 export const populateContextSelect = (selectElement, { publications, projects } = contextOptions, rootDocument = document) => {
   if (!selectElement || !rootDocument) {
@@ -17,7 +51,7 @@ export const populateContextSelect = (selectElement, { publications, projects }
 
   const createOption = (item) => {
     const option = rootDocument.createElement('option');
-    option.value = item.description;
+    option.value = item.id;
     option.textContent = item.title;
     return option;
   };
@@ -33,22 +67,6 @@ export const populateContextSelect = (selectElement, { publications, projects }
   selectElement.append(publicationGroup, projectGroup);
 };
 
-export const buildProjectPrompt = (title, description) => {
-  const safeTitle = title || 'the selected project';
-  const detailSentence = description ? ` Here are the available details: ${description}` : '';
-  return `Summarise the selected project "${safeTitle}".${detailSentence} Focus on the objectives, approach, and impact in two to three sentences.`;
-};
-
-export const buildPublicationPrompt = (title, description) => {
-  const safeTitle = title || 'the selected publication';
-  const detailSentence = description ? ` Here are the available details: ${description}` : '';
-  return `Summarise the key contribution of the publication "${safeTitle}".${detailSentence} Highlight the research problem, methodology, findings, and potential real-world impact in two to three sentences suitable for an executive profile.`;
-};
-
-export const buildGeneralPrompt = (topic) => {
-  return `Generate a professional thought leadership insight on the topic "${topic}". The insight should be in a single paragraph, suitable for a resume or professional profile.`;
-};
-
 const loadToken = (storage) => {
   try {
     return storage?.getItem?.(STORAGE_KEY) || '';
@@ -90,14 +108,39 @@ const withToken = (input, storage) => {
   return extractToken(input);
 };
 
-const showError = (container, messageElement, message) => {
+const showError = (container, messageElement, message, requestId) => {
   if (!container || !messageElement) {
     return;
   }
   setText(messageElement, message);
+  const requestIdElement = query('.error-request-id', container);
+  if (requestIdElement) {
+    setText(requestIdElement, requestId ? `Request ID: ${requestId}` : '');
+    toggleHidden(requestIdElement, !requestId);
+  }
   toggleHidden(container, false);
 };
 
+const createRequestError = (message, { code, requestId } = {}) => {
+  const error = new Error(describeApiError(code, message));
+  if (code) {
+    error.code = code;
+  }
+  if (requestId) {
+    error.requestId = requestId;
+  }
+  return error;
+};
+
+// Checks a request body against the API's schema so obvious mistakes never leave the browser.
+const checkRequestBody = (body) => {
+  const [issue] = validateSchema(insightRequestSchema, body);
+  if (issue) {
+    throw createRequestError(issue.message, { code: issue.keyword === 'maxLength' ? 'PROMPT_TOO_LONG' : undefined });
+  }
+  return body;
+};
+
 const hideError = (container) => {
   if (!container) {
     return;
@@ -105,16 +148,73 @@ const hideError = (container) => {
   toggleHidden(container, true);
 };
 
-const showResult = (container, textElement, text, copyButton) => {
-  if (textElement) {
+// Model output per insight text element, the fields of structured results, and the elements
+// currently showing their output unformatted.
+const insightSources = new WeakMap();
+const structuredInsights = new WeakMap();
+const rawViews = new WeakSet();
+
+// Shows the raw output, the structured card (when the panel has one) or the rendered Markdown.
+const applyInsightView = (container, textElement) => {
+  const text = insightSources.get(textElement);
+  const structured = structuredInsights.get(textElement);
+  const raw = rawViews.has(textElement);
+  const card = query('.insight-card', container);
+  const showCard = Boolean(structured && card) && !raw;
+  const rootDocument = textElement.ownerDocument || document;
+
+  textElement.classList?.toggle('insight-raw', raw);
+  if (raw) {
     setText(textElement, text);
+  } else if (showCard) {
+    setText(textElement, '');
+    renderInsightCard(card, structured, rootDocument);
+  } else {
+    renderMarkdown(textElement, text, rootDocument);
+  }
+  toggleHidden(card, !showCard);
+  toggleHidden(textElement, showCard);
+};
+
+const renderInsight = (container, textElement, text, structured) => {
+  if (!textElement) {
+    return;
+  }
+  insightSources.set(textElement, text);
+  if (structured) {
+    structuredInsights.set(textElement, structured);
+  } else {
+    structuredInsights.delete(textElement);
+  }
+  applyInsightView(container, textElement);
+};
+
+// What the copy button copies: the raw output or the formatted view as plain text.
+export const visibleInsightText = (textElement) => {
+  const source = insightSources.get(textElement);
+  if (source === undefined) {
+    return textElement?.textContent || '';
+  }
+  if (rawViews.has(textElement)) {
+    return source;
   }
+  const structured = structuredInsights.get(textElement);
+  return structured ? insightCardToPlainText(structured) : markdownToPlainText(source);
+};
+
+const showResult = (container, textElement, text, copyButton, structured) => {
+  renderInsight(container, textElement, text, structured);
   if (copyButton) {
     toggleHidden(copyButton, false);
   }
   toggleHidden(container, false);
 };
 
+const showPartialResult = (container, textElement, text) => {
+  renderInsight(container, textElement, text);
+  toggleHidden(container, false);
+};
+
 const hideResult = (container, copyButton) => {
   toggleHidden(container, true);
   if (copyButton) {
@@ -122,6 +222,25 @@ const hideResult = (container, copyButton) => {
   }
 };
 
+// e.g. "312 tokens · 4,120 left today"; empty when the response reported neither.
+export const formatUsage = (usage, quota) => {
+  const parts = [];
+  if (Number.isFinite(usage?.totalTokens)) {
+    parts.push(`${usage.totalTokens.toLocaleString('en-US')} tokens`);
+  }
+  if (Number.isFinite(quota?.remaining)) {
+    parts.push(`${quota.remaining.toLocaleString('en-US')} left today`);
+  }
+  return parts.join(' · ');
+};
+
+const showUsage = (resultElement, usage, quota) => {
+  const usageElement = query('.insight-usage', resultElement);
+  const readout = formatUsage(usage, quota);
+  setText(usageElement, readout);
+  toggleHidden(usageElement, !readout);
+};
+
 const setLoading = (element, isLoading) => {
   if (!element) {
     return;
@@ -129,14 +248,57 @@ const setLoading = (element, isLoading) => {
   toggleHidden(element, !isLoading);
 };
 
+// While a panel's request runs its Cancel button shows and the buttons that would start another
+// request into it are disabled.
+const setBusy = ({ cancelButton, triggers = [] }, busy) => {
+  toggleHidden(cancelButton, !busy);
+  triggers.forEach((trigger) => {
+    if (trigger) {
+      trigger.disabled = busy;
+    }
+  });
+};
+
+// Resolves the `done` payload ({ text, usage, quota, ... }), or the relayed text if none arrived.
+const consumeInsightStream = async (body, onChunk) => {
+  let insight = '';
+  let done = null;
+  for await (const { event, data } of readSseEvents(body)) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      continue;
+    }
+
+    if (event === 'chunk' && typeof payload?.text === 'string') {
+      insight += payload.text;
+      onChunk(insight);
+    } else if (event === 'done' && typeof payload?.text === 'string') {
+      done = payload;
+    } else if (event === 'error') {
+      throw createRequestError(payload?.error || 'The insight stream was interrupted. Please try again.', payload || {});
+    }
+  }
+  return done || { text: insight };
+};
+
 const createRequest = async ({
-  prompt,
+  request,
   fetcher,
-  token,
+  resolveAuthHeaders,
+  onUnauthorized,
+  stream = false,
   onSuccess,
   onError,
+  requests,
   ui
 }) => {
+  // `requests` is the panel's request controller; an identical request already running is kept.
+  const signal = requests.begin(JSON.stringify(request));
+  if (!signal) {
+    return;
+  }
   const {
     loadingElement,
     resultElement,
@@ -148,27 +310,36 @@ const createRequest = async ({
 
   hideError(errorElement);
   hideResult(resultElement, copyButton);
+  showUsage(resultElement);
   setLoading(loadingElement, true);
-
-  if (!token) {
-    setLoading(loadingElement, false);
-    showError(errorElement, errorMessageElement, 'Please enter your Gemini API key before generating insights.');
-    return;
-  }
+  setBusy(ui, true);
 
   try {
+    const body = checkRequestBody(stream ? { ...request, stream: true } : request);
+    const authHeaders = await resolveAuthHeaders();
+    signal.throwIfAborted();
+    if (!authHeaders) {
+      setLoading(loadingElement, false);
+      showError(errorElement, errorMessageElement, describeApiError('API_KEY_REQUIRED'));
+      return;
+    }
+
     const response = await fetcher('/api/generate-insight', {
       method: 'POST',
       headers: {
          'Content-Type': 'application/json',
-         'X-Gemini-Api-Key': token
+         ...authHeaders
       },
-      body: JSON.stringify({ prompt })
+      body: JSON.stringify(body),
+      signal
     });
 
     let data;
 
     if (!response.ok) {
+      if (response.status === 401 && typeof onUnauthorized === 'function') {
+        onUnauthorized();
+      }
       try {
         data = await response.json();
       } catch {
@@ -176,39 +347,73 @@ const createRequest = async ({
       }
 
       const message = data?.error || data?.message || `Request failed with status ${response.status}`;
-      const details = data?.details;
-      throw new Error(details ? `${message} (${details})` : message);
+      // Validation errors for several fields summarise in `error` and list each one in `fields`.
+      const details = data?.details || (data?.fields?.length > 1 ? data.fields.map(({ message }) => message).join(' ') : undefined);
+      const requestId = data?.requestId || response.headers?.get?.('X-Request-Id');
+      throw createRequestError(details ? `${message} (${details})` : message, { code: data?.code, requestId });
     }
 
-    data = data || (await response.json());
-    const insight = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (stream && isEventStream(response)) {
+      data = await consumeInsightStream(response.body, (partial) => {
+        signal.throwIfAborted();
+        setLoading(loadingElement, false);
+        showPartialResult(resultElement, textElement, partial);
+      });
+    } else {
+      data = data || (await response.json());
+    }
+    signal.throwIfAborted();
 
+    const insight = data?.text;
     if (!insight) {
       throw new Error('No insight generated. Please try again.');
     }
 
-    showResult(resultElement, textElement, insight, copyButton);
+    showResult(resultElement, textElement, insight, copyButton, data.structured);
+    showUsage(resultElement, data.usage, data.quota);
     if (typeof onSuccess === 'function') {
-      onSuccess(insight);
+      onSuccess(insight, data);
     }
   } catch (error) {
+    // A cancelled or superseded request leaves the panel to whoever took it over.
+    if (signal.aborted) {
+      return;
+    }
     console.error('Failed to generate insight:', error);
-    showError(errorElement, errorMessageElement, error.message);
+    hideResult(resultElement, copyButton);
+    showError(errorElement, errorMessageElement, error.message, error.requestId);
     if (typeof onError === 'function') {
       onError(error);
     }
   } finally {
-    setLoading(loadingElement, false);
+    if (requests.owns(signal)) {
+      requests.end(signal);
+      setLoading(loadingElement, false);
+      setBusy(ui, false);
+    }
   }
 };
 
+const stopRequest = (ui, requests) => {
+  requests?.cancel();
+  setLoading(ui.loadingElement, false);
+  setBusy(ui, false);
+};
+
+const registerCancelHandler = (ui, requests) => {
+  ui.cancelButton?.addEventListener('click', () => {
+    stopRequest(ui, requests);
+    hideResult(ui.resultElement, ui.copyButton);
+  });
+};
+
 const registerCopyHandler = (button, textElement) => {
   if (!button || !textElement) {
     return;
   }
 
   button.addEventListener('click', async () => {
-    const textToCopy = textElement.textContent || '';
+    const textToCopy = visibleInsightText(textElement);
     try {
       await copyText(textToCopy);
       const originalMarkup = button.innerHTML;
@@ -222,33 +427,259 @@ const registerCopyHandler = (button, textElement) => {
   });
 };
 
-const resolveContextDetails = (item) => {
-  if (!item) {
-    return { title: '', description: '' };
+const registerViewToggle = (resultElement, textElement) => {
+  const toggle = query('.markdown-toggle', resultElement);
+  if (!toggle || !textElement) {
+    return;
   }
 
-  const titleElement = item.querySelector('[data-title]');
-  const descriptionElement = item.querySelector('[data-description]');
-  const title = titleElement?.getAttribute('data-title')?.trim() || titleElement?.textContent?.trim() || '';
-  const description =
-    descriptionElement?.getAttribute('data-description')?.trim() || descriptionElement?.textContent?.trim() || '';
+  toggle.addEventListener('click', () => {
+    const showRaw = !rawViews.has(textElement);
+    if (showRaw) {
+      rawViews.add(textElement);
+    } else {
+      rawViews.delete(textElement);
+    }
+    setText(toggle, showRaw ? 'Show formatted' : 'Show raw text');
+    toggle.setAttribute('aria-pressed', String(showRaw));
+    if (insightSources.has(textElement)) {
+      applyInsightView(resultElement, textElement);
+    }
+  });
+};
+
+const registerRegenerateHandler = (button, resultElement, lastRequests, sendRequest) => {
+  if (!button || !resultElement) {
+    return;
+  }
 
-  return { title, description };
+  button.addEventListener('click', () => {
+    const last = lastRequests.get(resultElement);
+    if (!last) {
+      return;
+    }
+    sendRequest({ ...last.request, fresh: true }, last.uiOverrides, last.callbacks);
+  });
 };
 
-const buildUiContext = (rootDocument) => ({
-  loadingElement: byId('loadingIndicator', rootDocument),
-  resultElement: byId('resultContainer', rootDocument),
-  errorElement: byId('errorContainer', rootDocument),
-  errorMessageElement: byId('errorMessage', rootDocument),
-  textElement: byId('insightText', rootDocument),
-  copyButton: byId('copyInsightBtn', rootDocument)
+// A project or publication request, structured only when the Advanced toggle asks for it.
+export const itemInsightRequest = (mode, itemId, rootDocument = document) => {
+  const format = readInsightFormat(rootDocument);
+  return format ? { mode, itemId, format } : { mode, itemId };
+};
+
+// Structured insights are validated as a whole on the server, so they are never streamed.
+export const streamsInsight = (request, stream) => Boolean(stream) && request.format !== 'structured';
+
+// The thread a successful answer leaves behind: the structured request that started it
+// and the model/user turns since, ending with the new answer.
+export const nextThread = ({ history, followUp, ...request }, insight) => ({
+  request,
+  history: followUp
+    ? [...history, { role: 'user', text: followUp }, { role: 'model', text: insight }]
+    : [{ role: 'model', text: insight }]
 });
 
+// Earlier turns are listed above the latest answer, which stays in the panel's text element.
+const renderThread = (threadElement, history, rootDocument) => {
+  if (!threadElement) {
+    return;
+  }
+  setText(threadElement, '');
+  const earlier = history.slice(0, -1);
+  earlier.forEach(({ role, text }) => {
+    const item = rootDocument.createElement('li');
+    item.className = role === 'user' ? 'follow-up-turn font-semibold' : 'follow-up-turn';
+    setText(item, role === 'user' ? `You: ${text}` : text);
+    threadElement.appendChild(item);
+  });
+  toggleHidden(threadElement, earlier.length === 0);
+};
+
+const registerFollowUpHandler = (resultElement, threads, lastRequests, sendRequest) => {
+  const form = query('.follow-up-form', resultElement);
+  const input = query('.follow-up-input', form);
+  if (!form || !input) {
+    return;
+  }
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const thread = threads.get(resultElement);
+    const last = lastRequests.get(resultElement);
+    const followUp = input.value.trim();
+    if (!thread || !last || !followUp) {
+      return;
+    }
+    if (thread.history.length > MAX_HISTORY_TURNS) {
+      showError(
+        last.ui.errorElement,
+        last.ui.errorMessageElement,
+        'This conversation has reached its limit. Generate a new insight to start over.'
+      );
+      return;
+    }
+    input.value = '';
+    // Follow-ups are answered in prose, even on a thread that started as a structured card.
+    const { format, ...request } = thread.request;
+    sendRequest({ ...request, history: thread.history, followUp }, last.uiOverrides, last.callbacks);
+  });
+};
+
+// Item IDs of every project and publication in the profile model, in page order.
+const collectItemIds = () => [...contextOptions.projects, ...contextOptions.publications].map(({ id }) => id);
+
+// Writes each batch result into the `.item-insight` area of its catalog item; returns the failure count.
+export const fillItemInsights = (results, rootDocument = document) => {
+  let failed = 0;
+  results.forEach(({ itemId, ok, text, code, error }) => {
+    const area = query('.item-insight', query(`[data-item-id="${itemId}"]`, rootDocument));
+    if (!ok) {
+      failed += 1;
+    }
+    if (!area) {
+      return;
+    }
+    if (ok) {
+      renderMarkdown(area, text, rootDocument);
+    } else {
+      setText(area, describeApiError(code, error || 'No insight generated.'));
+    }
+    area.classList.toggle('text-red-700', !ok);
+    toggleHidden(area, false);
+  });
+  return failed;
+};
+
+// The batch has its own request controller, so its Cancel button and the panels' never abort each other.
+export const registerGenerateAllHandler = ({
+  button,
+  cancelButton,
+  statusElement,
+  rootDocument,
+  fetcher,
+  resolveAuthHeaders,
+  onUnauthorized
+}) => {
+  if (!button) {
+    return;
+  }
+  const requests = createRequestController();
+  const ui = { cancelButton, triggers: [button] };
+
+  cancelButton?.addEventListener('click', () => {
+    requests.cancel();
+    setBusy(ui, false);
+    setText(statusElement, 'Generation cancelled.');
+  });
+
+  button.addEventListener('click', async () => {
+    const itemIds = collectItemIds();
+    if (itemIds.length === 0) {
+      return;
+    }
+    const signal = requests.begin(JSON.stringify(itemIds));
+    if (!signal) {
+      return;
+    }
+    setBusy(ui, true);
+    setText(statusElement, `Generating ${itemIds.length} insights...`);
+    toggleHidden(statusElement, false);
+
+    try {
+      const body = checkRequestBody({ ...readGenerationSettings(rootDocument), mode: 'batch', itemIds });
+      const authHeaders = await resolveAuthHeaders();
+      signal.throwIfAborted();
+      if (!authHeaders) {
+        throw createRequestError(describeApiError('API_KEY_REQUIRED'));
+      }
+
+      const response = await fetcher('/api/generate-insight', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch {
+        data = null;
+      }
+      signal.throwIfAborted();
+      if (!response.ok) {
+        if (response.status === 401 && typeof onUnauthorized === 'function') {
+          onUnauthorized();
+        }
+        const requestId = data?.requestId || response.headers?.get?.('X-Request-Id');
+        throw createRequestError(data?.error || `Request failed with status ${response.status}`, { code: data?.code, requestId });
+      }
+
+      const results = Array.isArray(data?.results) ? data.results : [];
+      const failed = fillItemInsights(results, rootDocument);
+      setText(
+        statusElement,
+        failed
+          ? `Generated ${results.length - failed} of ${results.length} insights; ${failed} failed.`
+          : `Generated ${results.length} insights.`
+      );
+    } catch (error) {
+      // Cancel has already updated the status.
+      if (signal.aborted) {
+        return;
+      }
+      console.error('Failed to generate insights:', error);
+      setText(statusElement, error.requestId ? `${error.message} (Request ID: ${error.requestId})` : error.message);
+    } finally {
+      if (requests.owns(signal)) {
+        requests.end(signal);
+        setBusy(ui, false);
+      }
+    }
+  });
+};
+
+// The rendered item only carries its ID; the title comes from the profile model.
+export const resolveContextDetails = (item) => {
+  const itemId = item?.getAttribute('data-item-id')?.trim() || '';
+  return { itemId, title: findItem(itemId)?.item.title || '' };
+};
+
+// Heading of a saved insight: the item or topic it is about, then the visitor's question if any.
+export const historyTitle = ({ itemId, topic, question, followUp }) =>
+  [findItem(itemId)?.item.title || topic, followUp || question].filter(Boolean).join(' — ');
+
+const followUpButton = (resultElement) => query('.follow-up-form button[type="submit"]', resultElement);
+
+const buildUiContext = (rootDocument) => {
+  const resultElement = byId('resultContainer', rootDocument);
+  return {
+    loadingElement: byId('loadingIndicator', rootDocument),
+    resultElement,
+    errorElement: byId('errorContainer', rootDocument),
+    errorMessageElement: byId('errorMessage', rootDocument),
+    textElement: byId('insightText', rootDocument),
+    copyButton: byId('copyInsightBtn', rootDocument),
+    cancelButton: byId('cancelInsightBtn', rootDocument),
+    triggers: [
+      byId('generateBtn', rootDocument),
+      byId('generateContextBtn', rootDocument),
+      byId('regenerateInsightBtn', rootDocument),
+      followUpButton(resultElement)
+    ]
+  };
+};
+
 export const initAiGenerator = ({
   rootDocument = document,
   fetcher = globalThis.fetch,
-  storage = globalThis.localStorage
+  storage = globalThis.localStorage,
+  stream = typeof globalThis.TextDecoder === 'function',
+  historyStore = createHistoryStore({ storage })
 } = {}) => {
   if (typeof fetcher !== 'function') {
     console.error('Fetch implementation is not available.');
@@ -273,6 +704,7 @@ export const initAiGenerator = ({
   const publicationErrorContainer = byId('publicationErrorContainer', rootDocument);
   const publicationErrorMessage = byId('publicationErrorMessage', rootDocument);
   const accessTokenInput = byId('accessTokenInput', rootDocument);
+  const accessTokenSection = byId('accessTokenSection', rootDocument);
 
   const uiContext = buildUiContext(rootDocument);
 
@@ -288,31 +720,175 @@ export const initAiGenerator = ({
     activeToken = extractToken(accessTokenInput);
   });
 
-  const baseRequest = (prompt, uiOverrides = {}, callbacks = {}) => {
+  // In server-managed key mode visitors get a session token instead of pasting their own key.
+  const sessionClient = createSessionClient({ fetcher });
+  const serverManagedPromise = sessionClient.isServerManaged().then((serverManaged) => {
+    toggleHidden(accessTokenSection, serverManaged);
+    return serverManaged;
+  });
+  sessionClient.allowedModels().then((models) => {
+    populateModelSelect(byId('settingsModel', rootDocument), models, rootDocument);
+  });
+
+  const resolveAuthHeaders = async () => {
+    if (await serverManagedPromise) {
+      return { 'X-Session-Token': await sessionClient.getToken() };
+    }
+    return activeToken ? { 'X-Gemini-Api-Key': activeToken } : null;
+  };
+
+  const projectUi = {
+    loadingElement: projectLoadingIndicator,
+    resultElement: projectInsightContainer,
+    errorElement: projectErrorContainer,
+    errorMessageElement: projectErrorMessage,
+    textElement: projectInsightText,
+    cancelButton: byId('cancelProjectInsightBtn', rootDocument),
+    // Project links stay live: a different project supersedes the running request.
+    triggers: [byId('regenerateProjectInsightBtn', rootDocument), followUpButton(projectInsightContainer)]
+  };
+  const publicationUi = {
+    loadingElement: publicationLoadingIndicator,
+    resultElement: publicationInsightContainer,
+    errorElement: publicationErrorContainer,
+    errorMessageElement: publicationErrorMessage,
+    textElement: publicationInsightText,
+    cancelButton: byId('cancelPublicationInsightBtn', rootDocument),
+    triggers: [byId('regeneratePublicationInsightBtn', rootDocument), followUpButton(publicationInsightContainer)]
+  };
+  const projectCallbacks = { onSuccess: () => safeScrollIntoView(projectInsightContainer) };
+  const publicationCallbacks = { onSuccess: () => safeScrollIntoView(publicationInsightContainer) };
+
+  const setPanelTitle = (mode, title) => {
+    if (mode === 'project') {
+      setText(projectInsightTitle, title ? `Project Insight: ${title}` : 'Project Insight');
+    } else if (mode === 'publication') {
+      setText(publicationInsightTitle, title ? `Publication Insight: ${title}` : 'Publication Insight');
+    }
+  };
+
+  // Last request per result panel, replayed with `fresh: true` by the Regenerate buttons.
+  const lastRequests = new Map();
+  // Conversation per result panel, extended by the follow-up forms.
+  const threads = new Map();
+  // In-flight request per result panel (modules/request-controller.js).
+  const requestControllers = new Map(
+    [uiContext, projectUi, publicationUi].map((ui) => [ui.resultElement, createRequestController()])
+  );
+  [uiContext, projectUi, publicationUi].forEach((ui) => {
+    registerCancelHandler({ ...uiContext, ...ui }, requestControllers.get(ui.resultElement));
+  });
+
+  const showThread = (resultElement, request, insight) => {
+    const thread = nextThread(request, insight);
+    threads.set(resultElement, thread);
+    renderThread(query('.follow-up-thread', resultElement), thread.history, rootDocument);
+  };
+
+  let historyDrawer = { refresh: async () => {} };
+  const saveToHistory = async (request, insight, data) => {
+    try {
+      await historyStore.add({
+        mode: request.mode,
+        itemId: request.itemId,
+        title: historyTitle(request),
+        text: insight,
+        structured: data?.structured,
+        model: data?.model,
+        request
+      });
+      await historyDrawer.refresh();
+    } catch (error) {
+      console.warn('Unable to save insight history', error);
+    }
+  };
+
+  const baseRequest = (request, uiOverrides = {}, callbacks = {}) => {
     const combinedUi = { ...uiContext, ...uiOverrides };
+    const { fresh, ...replayable } = request;
+    lastRequests.set(combinedUi.resultElement, { request: replayable, uiOverrides, callbacks, ui: combinedUi });
+    const onSuccess = (insight, data) => {
+      showThread(combinedUi.resultElement, replayable, insight);
+      saveToHistory(replayable, insight, data);
+      if (typeof callbacks.onSuccess === 'function') {
+        callbacks.onSuccess(insight);
+      }
+    };
+    // Advanced settings are read at send time, so Regenerate picks up changed settings.
     return createRequest({
-      prompt,
+      request: { ...readGenerationSettings(rootDocument), ...request },
       fetcher,
-      token: activeToken,
-      onSuccess: callbacks.onSuccess,
+      resolveAuthHeaders,
+      onUnauthorized: sessionClient.invalidate,
+      stream: streamsInsight(request, stream),
+      onSuccess,
       onError: callbacks.onError,
+      requests: requestControllers.get(combinedUi.resultElement),
       ui: combinedUi
     });
   };
 
+  // Puts a saved insight back in its panel as if it had just been generated, so Regenerate and
+  // follow-ups continue from it.
+  const restoreFromHistory = (record) => {
+    const request = record.request || { mode: record.mode, itemId: record.itemId };
+    const uiOverrides = { project: projectUi, publication: publicationUi }[request.mode] || {};
+    const callbacks = { project: projectCallbacks, publication: publicationCallbacks }[request.mode] || {};
+    const ui = { ...uiContext, ...uiOverrides };
+    if (!ui.resultElement) {
+      return;
+    }
+    stopRequest(ui, requestControllers.get(ui.resultElement));
+    lastRequests.set(ui.resultElement, { request, uiOverrides, callbacks, ui });
+    setPanelTitle(request.mode, findItem(request.itemId)?.item.title);
+    hideError(ui.errorElement);
+    showThread(ui.resultElement, request, record.text);
+    showResult(ui.resultElement, ui.textElement, record.text, ui.copyButton, record.structured);
+    showUsage(ui.resultElement);
+    expandSectionById(ui.resultElement.closest?.('[data-collapsible]')?.id, rootDocument);
+    safeScrollIntoView(ui.resultElement);
+  };
+
+  historyDrawer = initHistoryDrawer({ rootDocument, store: historyStore, onRestore: restoreFromHistory });
+
+  registerRegenerateHandler(byId('regenerateInsightBtn', rootDocument), uiContext.resultElement, lastRequests, baseRequest);
+  registerRegenerateHandler(byId('regenerateProjectInsightBtn', rootDocument), projectInsightContainer, lastRequests, baseRequest);
+  registerRegenerateHandler(
+    byId('regeneratePublicationInsightBtn', rootDocument),
+    publicationInsightContainer,
+    lastRequests,
+    baseRequest
+  );
+  [uiContext.resultElement, projectInsightContainer, publicationInsightContainer].forEach((resultElement) => {
+    registerFollowUpHandler(resultElement, threads, lastRequests, baseRequest);
+  });
+  registerViewToggle(uiContext.resultElement, uiContext.textElement);
+  registerViewToggle(projectInsightContainer, projectInsightText);
+  registerViewToggle(publicationInsightContainer, publicationInsightText);
+
+  registerGenerateAllHandler({
+    button: byId('generateAllBtn', rootDocument),
+    cancelButton: byId('cancelGenerateAllBtn', rootDocument),
+    statusElement: byId('generateAllStatus', rootDocument),
+    rootDocument,
+    fetcher,
+    resolveAuthHeaders,
+    onUnauthorized: sessionClient.invalidate
+  });
+
   generateBtn?.addEventListener('click', () => {
     const topic = topicInput?.value?.trim();
     if (!topic) {
       showError(uiContext.errorElement, uiContext.errorMessageElement, 'Please enter a topic to generate a general insight.');
       return;
     }
-    baseRequest(buildGeneralPrompt(topic));
+    baseRequest({ mode: 'general', topic });
   });
 
   generateContextBtn?.addEventListener('click', () => {
-    const context = contextSelect?.value;
-    const userPrompt = contextPromptInput?.value?.trim();
-    if (!context || !userPrompt) {
+    const itemId = contextSelect?.value;
+    const question = contextPromptInput?.value?.trim();
+    if (!itemId || !question) {
       showError(
         uiContext.errorElement,
         uiContext.errorMessageElement,
@@ -320,7 +896,7 @@ export const initAiGenerator = ({
       );
       return;
     }
-    baseRequest(`Based on the following context: "${context}", generate a professional insight that addresses this question: "${userPrompt}". The insight should be in a single paragraph, suitable for a resume or professional profile.`);
+    baseRequest({ mode: 'context', itemId, question });
   });
 
   const projectLinks = queryAll('.project-item a', rootDocument);
@@ -333,25 +909,14 @@ export const initAiGenerator = ({
         return;
       }
 
-      const { title, description } = resolveContextDetails(projectItem);
-      if (!title && !description) {
+      const { itemId, title } = resolveContextDetails(projectItem);
+      if (!itemId) {
         showError(projectErrorContainer, projectErrorMessage, 'No details were found for the selected project. Please try another project.');
         return;
       }
 
-      if (projectInsightTitle) {
-        setText(projectInsightTitle, title ? `Project Insight: ${title}` : 'Project Insight');
-      }
-
-      baseRequest(buildProjectPrompt(title, description), {
-        loadingElement: projectLoadingIndicator,
-        resultElement: projectInsightContainer,
-        errorElement: projectErrorContainer,
-        errorMessageElement: projectErrorMessage,
-        textElement: projectInsightText
-      }, {
-        onSuccess: () => safeScrollIntoView(projectInsightContainer)
-      });
+      setPanelTitle('project', title);
+      baseRequest(itemInsightRequest('project', itemId, rootDocument), projectUi, projectCallbacks);
     });
   });
 
@@ -368,8 +933,8 @@ export const initAiGenerator = ({
         return;
       }
 
-      const { title, description } = resolveContextDetails(publicationItem);
-      if (!title && !description) {
+      const { itemId, title } = resolveContextDetails(publicationItem);
+      if (!itemId) {
         showError(
           publicationErrorContainer,
           publicationErrorMessage,
@@ -378,19 +943,8 @@ export const initAiGenerator = ({
         return;
       }
 
-      if (publicationInsightTitle) {
-        setText(publicationInsightTitle, title ? `Publication Insight: ${title}` : 'Publication Insight');
-      }
-
-      baseRequest(buildPublicationPrompt(title, description), {
-        loadingElement: publicationLoadingIndicator,
-        resultElement: publicationInsightContainer,
-        errorElement: publicationErrorContainer,
-        errorMessageElement: publicationErrorMessage,
-        textElement: publicationInsightText
-      }, {
-        onSuccess: () => safeScrollIntoView(publicationInsightContainer)
-      });
+      setPanelTitle('publication', title);
+      baseRequest(itemInsightRequest('publication', itemId, rootDocument), publicationUi, publicationCallbacks);
     });
   });
 };
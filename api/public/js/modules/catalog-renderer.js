@@ -0,0 +1,72 @@
+// Project and publication items, rendered from data/catalog.js. The classes and data-item-id
+// attributes are the hooks ai-generator.js binds its insight triggers to.
+import { append, createElement } from './dom.js';
+
+const ITEM_INSIGHT_CLASSES = 'item-insight insight-markdown hidden mt-3 p-3 rounded-md bg-blue-50 text-sm text-blue-900';
+
+const appendItemInsight = (item, rootDocument) => {
+  const insight = append(item, 'div', { className: ITEM_INSIGHT_CLASSES }, rootDocument);
+  insight.setAttribute('aria-live', 'polite');
+};
+
+export const createProjectItem = (project, rootDocument = document) => {
+  const item = createElement(
+    'div',
+    { className: 'project-item bg-gray-50 p-6 rounded-lg shadow-md hover:shadow-lg transition-shadow' },
+    rootDocument
+  );
+  item.setAttribute('data-item-id', project.id);
+  append(item, 'h3', { className: 'font-bold text-lg mb-2', text: project.title }, rootDocument);
+  append(item, 'p', { className: 'project-description text-gray-700 text-sm mb-4', text: project.description }, rootDocument);
+  appendItemInsight(item, rootDocument);
+  const link = append(
+    item,
+    'a',
+    { className: 'text-blue-600 hover:text-blue-800 font-semibold text-sm', text: 'View Project →' },
+    rootDocument
+  );
+  link.setAttribute('href', '#');
+  return item;
+};
+
+export const createPublicationItem = (publication, rootDocument = document) => {
+  const item = createElement(
+    'div',
+    { className: 'publication-item bg-gray-50 p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow' },
+    rootDocument
+  );
+  item.setAttribute('data-item-id', publication.id);
+  append(item, 'h4', { className: 'font-bold text-blue-700', text: publication.title }, rootDocument);
+  if (publication.venue) {
+    const venue = append(item, 'p', { className: 'text-sm mb-2', text: 'Published in ' }, rootDocument);
+    venue.appendChild(createElement('em', { text: publication.venue }, rootDocument));
+    if (publication.year) {
+      venue.appendChild(rootDocument.createTextNode(`, ${publication.year}`));
+    }
+  }
+  append(item, 'p', { className: 'publication-description', text: publication.description }, rootDocument);
+  appendItemInsight(item, rootDocument);
+
+  const button = append(
+    item,
+    'button',
+    {
+      className:
+        'generate-publication-insight mt-4 inline-flex items-center gap-2 text-sm font-semibold text-blue-700 hover:text-blue-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 rounded-md px-3 py-2 bg-blue-50 hover:bg-blue-100 transition'
+    },
+    rootDocument
+  );
+  button.setAttribute('type', 'button');
+  append(button, 'span', { text: 'Generate publication insight' }, rootDocument);
+  append(button, 'span', { text: '→' }, rootDocument).setAttribute('aria-hidden', 'true');
+  return item;
+};
+
+/** Replaces the container's content with `createItem(entry, rootDocument, index)` per entry. */
+export const renderItems = (container, entries, createItem, rootDocument = document) => {
+  if (!container) {
+    return;
+  }
+  container.textContent = '';
+  entries.forEach((entry, index) => container.appendChild(createItem(entry, rootDocument, index)));
+};
@@ -48,3 +48,20 @@ export const safeScrollIntoView = (element) => {
 
   element.scrollIntoView({ behavior: 'smooth', block: 'center' });
 };
+
+export const createElement = (tag, { className, text } = {}, rootDocument = document) => {
+  const element = rootDocument.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+};
+
+export const append = (parent, tag, options, rootDocument = document) => {
+  const element = createElement(tag, options, rootDocument);
+  parent.appendChild(element);
+  return element;
+};
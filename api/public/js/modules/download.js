@@ -0,0 +1,17 @@
+// Saves generated text as a file through a temporary object URL.
+
+export const downloadFile = (filename, text, type = 'text/plain', { rootDocument = document, url = globalThis.URL } = {}) => {
+  if (!rootDocument || typeof url?.createObjectURL !== 'function') {
+    throw new Error('Downloads are not supported in this browser.');
+  }
+  const href = url.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const link = rootDocument.createElement('a');
+  link.href = href;
+  link.download = filename;
+  link.style.display = 'none';
+  rootDocument.body.appendChild(link);
+  link.click();
+  rootDocument.body.removeChild(link);
+  // Revoked on the next task so the click has started the download first.
+  setTimeout(() => url.revokeObjectURL(href), 0);
+};
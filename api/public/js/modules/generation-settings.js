@@ -0,0 +1,63 @@
+import { byId } from './dom.js';
+
+const SAFETY_CATEGORIES = ['harassment', 'hateSpeech', 'sexuallyExplicit', 'dangerousContent'];
+
+const readNumber = (element) => {
+  const raw = element?.value?.trim();
+  if (!raw) {
+    return undefined;
+  }
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : undefined;
+};
+
+// Fills the model picker with the models the server allows, after its "Server default" option.
+export const populateModelSelect = (selectElement, models, rootDocument = document) => {
+  if (!selectElement || !rootDocument) {
+    return;
+  }
+  models.forEach((model) => {
+    const option = rootDocument.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    selectElement.appendChild(option);
+  });
+};
+
+// Project and publication insights come back as a structured card only when the visitor opts in.
+export const readInsightFormat = (rootDocument = document) =>
+  (byId('settingsStructured', rootDocument)?.checked ? 'structured' : undefined);
+
+// Reads the "Advanced" panel. Empty fields are omitted so the server defaults apply;
+// bounds are enforced server-side.
+export const readGenerationSettings = (rootDocument = document) => {
+  const settings = {};
+
+  const model = byId('settingsModel', rootDocument)?.value?.trim();
+  if (model) {
+    settings.model = model;
+  }
+
+  const temperature = readNumber(byId('settingsTemperature', rootDocument));
+  if (temperature !== undefined) {
+    settings.temperature = temperature;
+  }
+
+  const maxOutputTokens = readNumber(byId('settingsMaxOutputTokens', rootDocument));
+  if (maxOutputTokens !== undefined) {
+    settings.maxOutputTokens = Math.round(maxOutputTokens);
+  }
+
+  const topP = readNumber(byId('settingsTopP', rootDocument));
+  if (topP !== undefined) {
+    settings.topP = topP;
+  }
+
+  // One threshold in the UI applies to every category.
+  const safetyThreshold = byId('settingsSafety', rootDocument)?.value;
+  if (safetyThreshold) {
+    settings.safety = Object.fromEntries(SAFETY_CATEGORIES.map((category) => [category, safetyThreshold]));
+  }
+
+  return settings;
+};
@@ -0,0 +1,147 @@
+// The insight history drawer: search, pin, restore into its panel, delete and clear saved insights
+// (modules/history-store.js). Entries are built from text nodes only, like the Markdown renderer.
+import { byId, createElement, toggleHidden, setText } from './dom.js';
+import { searchHistory } from './history-store.js';
+import { markdownToPlainText } from './markdown.js';
+
+const SNIPPET_LENGTH = 160;
+
+const MODE_LABELS = {
+  general: 'General insight',
+  context: 'Context question',
+  project: 'Project insight',
+  publication: 'Publication insight'
+};
+
+const ACTION_CLASSES = 'text-xs font-semibold px-2 py-1 rounded-md hover:bg-gray-100 transition';
+
+const snippet = (record) => {
+  const text = record.structured?.headline || markdownToPlainText(record.text || '');
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH - 1)}…` : text;
+};
+
+const formatTimestamp = (iso) => {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const createActionButton = (action, label, rootDocument) => {
+  const button = createElement('button', { className: ACTION_CLASSES, text: label }, rootDocument);
+  button.setAttribute('type', 'button');
+  button.setAttribute('data-history-action', action);
+  return button;
+};
+
+export const createHistoryEntry = (record, rootDocument = document) => {
+  const item = createElement('li', { className: 'history-entry p-4 space-y-1' }, rootDocument);
+  item.setAttribute('data-history-id', record.id);
+  const heading = `${record.pinned ? '★ ' : ''}${record.title || MODE_LABELS[record.mode] || 'Insight'}`;
+  item.appendChild(createElement('p', { className: 'font-semibold text-gray-900', text: heading }, rootDocument));
+  const details = [MODE_LABELS[record.mode], formatTimestamp(record.createdAt), record.model].filter(Boolean).join(' · ');
+  item.appendChild(createElement('p', { className: 'text-xs text-gray-500', text: details }, rootDocument));
+  item.appendChild(createElement('p', { className: 'text-sm text-gray-700', text: snippet(record) }, rootDocument));
+
+  const actions = createElement('div', { className: 'flex gap-2 pt-1' }, rootDocument);
+  const pin = createActionButton('pin', record.pinned ? 'Unpin' : 'Pin', rootDocument);
+  pin.setAttribute('aria-pressed', String(Boolean(record.pinned)));
+  actions.appendChild(pin);
+  actions.appendChild(createActionButton('restore', 'Restore', rootDocument));
+  actions.appendChild(createActionButton('delete', 'Delete', rootDocument));
+  item.appendChild(actions);
+  return item;
+};
+
+/**
+ * Wires the drawer to `store`; `onRestore(record)` shows a saved insight in its panel. Returns
+ * `{ refresh }` so new generations can appear while the drawer is open.
+ */
+export const initHistoryDrawer = ({
+  rootDocument = document,
+  store,
+  onRestore,
+  confirmClear = (message) => (typeof globalThis.confirm === 'function' ? globalThis.confirm(message) : true)
+} = {}) => {
+  const drawer = byId('historyDrawer', rootDocument);
+  const list = byId('historyList', rootDocument);
+  if (!drawer || !list || !store) {
+    return { refresh: async () => {} };
+  }
+  const toggle = byId('historyToggle', rootDocument);
+  const search = byId('historySearch', rootDocument);
+  const emptyMessage = byId('historyEmpty', rootDocument);
+
+  let records = [];
+
+  const render = () => {
+    const visible = searchHistory(records, search?.value || '');
+    setText(list, '');
+    visible.forEach((record) => list.appendChild(createHistoryEntry(record, rootDocument)));
+    setText(emptyMessage, records.length ? 'No saved insights match your search.' : 'No saved insights yet.');
+    toggleHidden(emptyMessage, visible.length > 0);
+  };
+
+  const refresh = async () => {
+    try {
+      records = await store.list();
+    } catch (error) {
+      console.warn('Unable to load insight history', error);
+      records = [];
+    }
+    render();
+  };
+
+  const setOpen = (open) => {
+    toggleHidden(drawer, !open);
+    toggle?.setAttribute('aria-expanded', String(open));
+    if (open) {
+      refresh();
+      search?.focus?.();
+    }
+  };
+
+  toggle?.addEventListener('click', (event) => {
+    event.preventDefault();
+    setOpen(drawer.classList?.contains('hidden'));
+  });
+  byId('historyCloseBtn', rootDocument)?.addEventListener('click', () => setOpen(false));
+  search?.addEventListener('input', render);
+
+  byId('historyClearBtn', rootDocument)?.addEventListener('click', async () => {
+    if (!records.length || !confirmClear('Delete every saved insight, including pinned ones?')) {
+      return;
+    }
+    try {
+      await store.clear();
+    } catch (error) {
+      console.warn('Unable to clear insight history', error);
+    }
+    refresh();
+  });
+
+  list.addEventListener('click', async (event) => {
+    const button = event.target?.closest?.('[data-history-action]');
+    const id = button?.closest('[data-history-id]')?.getAttribute('data-history-id');
+    const record = records.find((entry) => entry.id === id);
+    if (!record) {
+      return;
+    }
+    const action = button.getAttribute('data-history-action');
+    if (action === 'restore') {
+      setOpen(false);
+      onRestore?.(record);
+      return;
+    }
+    try {
+      if (action === 'pin') {
+        await store.setPinned(id, !record.pinned);
+      } else if (action === 'delete') {
+        await store.remove(id);
+      }
+    } catch (error) {
+      console.warn('Unable to update insight history', error);
+    }
+    refresh();
+  });
+
+  return { refresh };
+};
@@ -0,0 +1,144 @@
+// Saved insights, newest first: IndexedDB when the browser has it, otherwise localStorage, otherwise
+// memory for the page's lifetime. Records are { id, createdAt, pinned, mode, itemId, title, text,
+// structured, model, request }; `request` is what Regenerate and follow-ups replay after a restore.
+
+const DB_NAME = 'ai-generator-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'insights';
+const STORAGE_KEY = 'ai-generator-history';
+
+// Pinned entries are kept regardless; beyond this many, the oldest unpinned ones are dropped.
+export const MAX_HISTORY_ENTRIES = 100;
+
+const settle = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = (indexedDB) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('The history database is blocked by another tab.'));
+  });
+
+const indexedDbBackend = async (indexedDB) => {
+  const db = await openDatabase(indexedDB);
+  const run = (mode, action) => settle(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  return {
+    getAll: () => run('readonly', (store) => store.getAll()),
+    put: (record) => run('readwrite', (store) => store.put(record)),
+    delete: (id) => run('readwrite', (store) => store.delete(id)),
+    clear: () => run('readwrite', (store) => store.clear())
+  };
+};
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key)
+  };
+};
+
+// The whole list as one JSON value; fine for MAX_HISTORY_ENTRIES records.
+const storageBackend = (storage) => {
+  const read = () => {
+    try {
+      const records = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(records) ? records : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (records) => storage.setItem(STORAGE_KEY, JSON.stringify(records));
+  return {
+    getAll: async () => read(),
+    put: async (record) => write([...read().filter(({ id }) => id !== record.id), record]),
+    delete: async (id) => write(read().filter((record) => record.id !== id)),
+    clear: async () => storage.removeItem(STORAGE_KEY)
+  };
+};
+
+const openBackend = async (indexedDB, storage) => {
+  if (indexedDB && typeof indexedDB.open === 'function') {
+    try {
+      return await indexedDbBackend(indexedDB);
+    } catch (error) {
+      console.warn('IndexedDB is unavailable, keeping insight history in localStorage', error);
+    }
+  }
+  return storageBackend(storage && typeof storage.getItem === 'function' ? storage : memoryStorage());
+};
+
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+const createId = (now) =>
+  globalThis.crypto?.randomUUID?.() || `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/** Pinned entries first, then newest first; `search` matches title, text, model and prompt type. */
+export const searchHistory = (records, search = '') => {
+  const needle = search.trim().toLowerCase();
+  const matches = needle
+    ? records.filter((record) =>
+        [record.title, record.text, record.model, record.mode].some((field) => field?.toLowerCase().includes(needle))
+      )
+    : records;
+  return [...matches].sort((a, b) => Number(b.pinned) - Number(a.pinned) || newestFirst(a, b));
+};
+
+export const createHistoryStore = ({
+  indexedDB = globalThis.indexedDB,
+  storage = globalThis.localStorage,
+  maxEntries = MAX_HISTORY_ENTRIES,
+  now = () => Date.now()
+} = {}) => {
+  let backendPromise;
+  const backend = () => {
+    backendPromise = backendPromise || openBackend(indexedDB, storage);
+    return backendPromise;
+  };
+
+  const list = async () => (await (await backend()).getAll()).sort(newestFirst);
+
+  const prune = async () => {
+    const store = await backend();
+    const unpinned = (await list()).filter((record) => !record.pinned);
+    await Promise.all(unpinned.slice(maxEntries).map(({ id }) => store.delete(id)));
+  };
+
+  return {
+    list,
+    async add(entry) {
+      const timestamp = now();
+      const record = { ...entry, id: createId(timestamp), createdAt: new Date(timestamp).toISOString(), pinned: false };
+      await (await backend()).put(record);
+      await prune();
+      return record;
+    },
+    async setPinned(id, pinned) {
+      const record = (await list()).find((entry) => entry.id === id);
+      if (!record) {
+        return null;
+      }
+      const updated = { ...record, pinned: Boolean(pinned) };
+      await (await backend()).put(updated);
+      if (!updated.pinned) {
+        await prune();
+      }
+      return updated;
+    },
+    async remove(id) {
+      await (await backend()).delete(id);
+    },
+    async clear() {
+      await (await backend()).clear();
+    }
+  };
+};
@@ -0,0 +1,47 @@
+// Labeled card for structured insights ({ headline, problem, approach, impact, skills, oneLiner }).
+// Built from text nodes only, like the Markdown renderer.
+
+import { append } from './dom.js';
+
+const CARD_FIELDS = [
+  ['problem', 'Problem'],
+  ['approach', 'Approach'],
+  ['impact', 'Impact']
+];
+
+/** Replaces the container's content with the card. */
+export const renderInsightCard = (container, insight, rootDocument = document) => {
+  if (!container || !insight || !rootDocument) {
+    return;
+  }
+  container.textContent = '';
+  append(container, 'p', { className: 'insight-card-headline font-semibold', text: insight.headline }, rootDocument);
+
+  const list = append(container, 'dl', { className: 'insight-card-fields' }, rootDocument);
+  CARD_FIELDS.forEach(([field, label]) => {
+    append(list, 'dt', { className: 'font-semibold', text: label }, rootDocument);
+    append(list, 'dd', { text: insight[field] }, rootDocument);
+  });
+
+  if (insight.skills?.length) {
+    append(list, 'dt', { className: 'font-semibold', text: 'Skills' }, rootDocument);
+    const skills = append(list, 'dd', {}, rootDocument);
+    const chips = append(skills, 'ul', { className: 'insight-card-skills flex flex-wrap gap-2' }, rootDocument);
+    insight.skills.forEach((skill) => {
+      append(chips, 'li', { className: 'px-2 py-0.5 rounded-full bg-white border border-blue-200 text-xs', text: skill }, rootDocument);
+    });
+  }
+
+  append(container, 'p', { className: 'insight-card-one-liner italic', text: insight.oneLiner }, rootDocument);
+};
+
+/** The card as plain text, for copying. */
+export const insightCardToPlainText = (insight) =>
+  [
+    insight.headline,
+    ...CARD_FIELDS.map(([field, label]) => `${label}: ${insight[field]}`),
+    insight.skills?.length ? `Skills: ${insight.skills.join(', ')}` : null,
+    insight.oneLiner
+  ]
+    .filter(Boolean)
+    .join('\n');
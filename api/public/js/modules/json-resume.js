@@ -0,0 +1,153 @@
+// Converts between the profile model (data/catalog.js) and the JSON Resume schema
+// (https://jsonresume.org/schema). Pure functions, shared by the download action and
+// scripts/json-resume.js.
+//
+// Site fields without a JSON Resume equivalent travel as extra properties, which the schema allows:
+// catalog item IDs (`id` on projects and publications), skill descriptions, the display form of
+// award dates (`period`, when it is not a plain year) and `meta.site` (overview chips, photo alt
+// text, publication count).
+
+export const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const DEFAULT_PHOTO = 'profile-image.jpg';
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+const entries = (value) => list(value).filter(isObject);
+
+// JSON Resume dates are YYYY, YYYY-MM or YYYY-MM-DD; the model keeps YYYY-MM at most.
+const toMonth = (value) => text(value).slice(0, 7) || null;
+
+export const slugify = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+const withoutEmpty = (entry) =>
+  Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+
+/** The profile model as a JSON Resume document. */
+export const toJsonResume = (model) => {
+  const { profile } = model;
+  return {
+    $schema: JSON_RESUME_SCHEMA,
+    basics: withoutEmpty({
+      name: profile.name,
+      label: profile.headline,
+      image: profile.photo.src,
+      email: profile.email,
+      summary: profile.summary,
+      profiles: profile.links.map(({ label, url }) => ({ network: label, url }))
+    }),
+    work: model.experience.map((role) =>
+      withoutEmpty({
+        name: role.organization,
+        position: role.role,
+        startDate: role.start,
+        endDate: role.end,
+        highlights: [...role.highlights]
+      })
+    ),
+    education: model.education.map(({ degree, field, institution }) => ({ institution, area: field, studyType: degree })),
+    awards: model.awards.map(({ title, awarder, date }) => {
+      const year = /\d{4}/.exec(date)?.[0] || null;
+      return withoutEmpty({ title, awarder, date: year, period: date === year ? null : date });
+    }),
+    publications: model.publications.map(({ id, title, venue, year, description }) =>
+      withoutEmpty({ id, name: title, publisher: venue, releaseDate: year ? String(year) : null, summary: description })
+    ),
+    skills: model.skills.map(({ name, description }) => withoutEmpty({ name, description })),
+    projects: model.projects.map(({ id, title, description }) => ({ id, name: title, description })),
+    meta: {
+      site: {
+        highlights: [...profile.highlights],
+        photoAlt: profile.photo.alt,
+        publicationCount: profile.publicationCount
+      }
+    }
+  };
+};
+
+/**
+ * A JSON Resume document as the profile model. Throws an Error listing what is missing; optional
+ * sections may be absent. Projects and publications without an `id` get proj1.. / pub1...
+ */
+export const fromJsonResume = (resume) => {
+  if (!isObject(resume) || !isObject(resume.basics)) {
+    throw new Error('Not a JSON Resume document: "basics" is missing.');
+  }
+  const { basics } = resume;
+  const site = isObject(resume.meta?.site) ? resume.meta.site : {};
+  const name = text(basics.name);
+
+  const problems = [];
+  const required = (value, where) => {
+    if (!text(value)) {
+      problems.push(`${where} is required.`);
+    }
+    return text(value);
+  };
+  required(basics.name, 'basics.name');
+
+  const publications = entries(resume.publications).map((entry, index) => {
+    const year = Number.parseInt(text(entry.releaseDate), 10);
+    return {
+      id: text(entry.id) || `pub${index + 1}`,
+      title: required(entry.name, `publications[${index}].name`),
+      venue: text(entry.publisher),
+      year: Number.isNaN(year) ? null : year,
+      description: text(entry.summary)
+    };
+  });
+  const model = {
+    profile: {
+      name,
+      headline: text(basics.label),
+      photo: { src: text(basics.image) || DEFAULT_PHOTO, alt: text(site.photoAlt) || `A professional photo of ${name}` },
+      summary: text(basics.summary),
+      highlights: list(site.highlights).map(text).filter(Boolean),
+      email: text(basics.email),
+      links: entries(basics.profiles)
+        .filter((entry) => text(entry.url))
+        .map((entry) => ({ label: text(entry.network) || text(entry.url), url: text(entry.url) })),
+      publicationCount: text(site.publicationCount) || String(publications.length)
+    },
+    experience: entries(resume.work).map((entry, index) => ({
+      role: required(entry.position, `work[${index}].position`),
+      organization: required(entry.name, `work[${index}].name`),
+      start: toMonth(entry.startDate),
+      end: toMonth(entry.endDate),
+      highlights: list(entry.highlights).map(text).filter(Boolean)
+    })),
+    skills: entries(resume.skills).map((entry, index) => ({
+      name: required(entry.name, `skills[${index}].name`),
+      description: text(entry.description) || list(entry.keywords).map(text).filter(Boolean).join(', ')
+    })),
+    education: entries(resume.education).map((entry, index) => ({
+      degree: text(entry.studyType),
+      field: text(entry.area),
+      institution: required(entry.institution, `education[${index}].institution`)
+    })),
+    awards: entries(resume.awards).map((entry, index) => ({
+      title: required(entry.title, `awards[${index}].title`),
+      awarder: text(entry.awarder) || null,
+      date: text(entry.period) || text(entry.date).slice(0, 4)
+    })),
+    projects: entries(resume.projects).map((entry, index) => ({
+      id: text(entry.id) || `proj${index + 1}`,
+      title: required(entry.name, `projects[${index}].name`),
+      description: text(entry.description)
+    })),
+    publications
+  };
+
+  if (problems.length) {
+    throw new Error(`Invalid JSON Resume:\n- ${problems.join('\n- ')}`);
+  }
+  return model;
+};
@@ -0,0 +1,193 @@
+// A deliberately small Markdown subset for model output: headings, paragraphs, bullet and
+// numbered lists, block quotes, fenced code, rules, bold, italics, inline code and links.
+// Output is built with createElement/createTextNode from an allow-list; model text never
+// reaches innerHTML.
+
+const ALLOWED_TAGS = new Set([
+  'p', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'hr', 'strong', 'em', 'a'
+]);
+const SAFE_LINK_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+// Insight panels sit under an h4, so "#" maps to h4 and deeper levels to h5/h6.
+const HEADING_TAGS = ['h4', 'h5', 'h6'];
+
+const INLINE_PATTERNS = [
+  { type: 'code', regex: /`([^`]+)`/ },
+  { type: 'strong', regex: /\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/ },
+  { type: 'em', regex: /\*(?=\S)(.+?)\*|\b_(?=\S)(.+?)_\b/ },
+  { type: 'a', regex: /\[([^\]]+)\]\(([^)\s]+)\)/ }
+];
+
+const BLOCK_PATTERNS = {
+  fence: /^\s*```/,
+  heading: /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/,
+  rule: /^\s*([-*_])(\s*\1){2,}\s*$/,
+  bullet: /^\s*[-*+]\s+(.*)$/,
+  numbered: /^\s*\d+[.)]\s+(.*)$/,
+  quote: /^\s*>\s?(.*)$/
+};
+
+/** Returns the URL when its scheme is allow-listed (http, https, mailto), otherwise null. */
+export const safeHref = (href) => {
+  try {
+    const url = new URL(href);
+    return SAFE_LINK_PROTOCOLS.has(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+export const parseInline = (text) => {
+  const nodes = [];
+  let rest = text;
+  while (rest) {
+    let best = null;
+    INLINE_PATTERNS.forEach(({ type, regex }) => {
+      const match = regex.exec(rest);
+      if (match && (!best || match.index < best.match.index)) {
+        best = { type, match };
+      }
+    });
+    if (!best) {
+      nodes.push(rest);
+      break;
+    }
+
+    const { type, match } = best;
+    if (match.index > 0) {
+      nodes.push(rest.slice(0, match.index));
+    }
+    if (type === 'code') {
+      nodes.push({ type, children: [match[1]] });
+    } else if (type === 'a') {
+      const href = safeHref(match[2]);
+      // Links to unsafe schemes keep their text and lose the link.
+      if (href) {
+        nodes.push({ type, href, children: parseInline(match[1]) });
+      } else {
+        nodes.push(...parseInline(match[1]));
+      }
+    } else {
+      nodes.push({ type, children: parseInline(match[1] ?? match[2]) });
+    }
+    rest = rest.slice(match.index + match[0].length);
+  }
+  return nodes;
+};
+
+/** Parses Markdown into `{ type, children, href? }` nodes whose leaves are plain strings. */
+export const parseMarkdown = (text = '') => {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let quote = null;
+
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push({ type: 'p', children: parseInline(paragraph.join(' ')) });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+    if (quote) {
+      blocks.push({ type: 'blockquote', children: parseInline(quote.join(' ')) });
+      quote = null;
+    }
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    let match;
+
+    if (BLOCK_PATTERNS.fence.test(line)) {
+      flush();
+      const code = [];
+      index += 1;
+      while (index < lines.length && !BLOCK_PATTERNS.fence.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'pre', children: [{ type: 'code', children: [code.join('\n')] }] });
+    } else if (!line.trim()) {
+      flush();
+    } else if ((match = BLOCK_PATTERNS.heading.exec(line))) {
+      flush();
+      const tag = HEADING_TAGS[Math.min(match[1].length, HEADING_TAGS.length) - 1];
+      blocks.push({ type: tag, children: parseInline(match[2]) });
+    } else if (BLOCK_PATTERNS.rule.test(line)) {
+      flush();
+      blocks.push({ type: 'hr', children: [] });
+    } else if ((match = BLOCK_PATTERNS.bullet.exec(line) || BLOCK_PATTERNS.numbered.exec(line))) {
+      const type = BLOCK_PATTERNS.bullet.test(line) ? 'ul' : 'ol';
+      if (!list || list.type !== type) {
+        flush();
+        list = { type, children: [] };
+      }
+      list.children.push({ type: 'li', children: parseInline(match[1]) });
+    } else if ((match = BLOCK_PATTERNS.quote.exec(line))) {
+      if (!quote) {
+        flush();
+        quote = [];
+      }
+      quote.push(match[1]);
+    } else if (list && /^\s+\S/.test(line)) {
+      // An indented line continues the previous list item.
+      list.children[list.children.length - 1].children.push(' ', ...parseInline(line.trim()));
+    } else {
+      if (list || quote) {
+        flush();
+      }
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  return blocks;
+};
+
+const appendNodes = (parent, nodes, rootDocument) => {
+  nodes.forEach((node) => {
+    if (typeof node === 'string') {
+      parent.appendChild(rootDocument.createTextNode(node));
+      return;
+    }
+    if (!ALLOWED_TAGS.has(node.type)) {
+      appendNodes(parent, node.children, rootDocument);
+      return;
+    }
+    const element = rootDocument.createElement(node.type);
+    if (node.type === 'a') {
+      element.setAttribute('href', node.href);
+      element.setAttribute('target', '_blank');
+      element.setAttribute('rel', 'noopener noreferrer nofollow');
+    }
+    appendNodes(element, node.children, rootDocument);
+    parent.appendChild(element);
+  });
+};
+
+/** Replaces the container's content with the rendered Markdown. */
+export const renderMarkdown = (container, text, rootDocument = document) => {
+  if (!container || !rootDocument) {
+    return;
+  }
+  container.textContent = '';
+  appendNodes(container, parseMarkdown(text), rootDocument);
+};
+
+const inlineText = (nodes) => nodes.map((node) => (typeof node === 'string' ? node : inlineText(node.children))).join('');
+
+/** The rendered view as plain text: one block per paragraph, list items as "• " or "1. " lines. */
+export const markdownToPlainText = (text) =>
+  parseMarkdown(text)
+    .map((block) => {
+      if (block.type === 'ul' || block.type === 'ol') {
+        return block.children
+          .map((item, index) => `${block.type === 'ul' ? '•' : `${index + 1}.`} ${inlineText(item.children)}`)
+          .join('\n');
+      }
+      return block.type === 'hr' ? '---' : inlineText(block.children);
+    })
+    .join('\n\n');
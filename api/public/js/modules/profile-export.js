@@ -0,0 +1,175 @@
+// Exports the profile model (data/catalog.js), plus saved insights, as Markdown or plain text, and
+// prints the page as a CV. Both formats come from one list of blocks, so they always match.
+import * as catalog from '../data/catalog.js';
+import { byId, queryAll, query } from './dom.js';
+import { expandSectionById } from './collapsible.js';
+import { downloadFile } from './download.js';
+import { formatMonth } from './profile-renderer.js';
+import { insightCardToPlainText } from './insight-card.js';
+import { markdownToPlainText } from './markdown.js';
+import { slugify } from './json-resume.js';
+
+// Inline runs are strings or { strong } / { em } spans; block text is a run or an array of runs.
+const strong = (text) => ({ strong: text });
+const em = (text) => ({ em: text });
+
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+
+const runsToMarkdown = (runs) =>
+  [].concat(runs)
+    .map((run) => {
+      if (typeof run === 'string') {
+        return escapeMarkdown(run);
+      }
+      return run.strong !== undefined ? `**${escapeMarkdown(run.strong)}**` : `*${escapeMarkdown(run.em)}*`;
+    })
+    .join('');
+
+const runsToText = (runs) =>
+  [].concat(runs)
+    .map((run) => (typeof run === 'string' ? run : (run.strong ?? run.em)))
+    .join('');
+
+const dateRange = ({ start, end }) => `${formatMonth(start)} – ${formatMonth(end)}`;
+
+// A level-2 section, or nothing when the profile has no entries for it.
+const section = (heading, entries, toBlocks) => (entries.length ? [{ heading, level: 2 }, ...toBlocks(entries)] : []);
+
+/**
+ * The profile as blocks: { heading, level }, { paragraph } and { list } hold inline runs;
+ * { insight } holds model output, which is Markdown already.
+ */
+export const profileBlocks = (model, insights = []) => {
+  const { profile } = model;
+  const contact = [profile.email, ...profile.links.map(({ label, url }) => `${label}: ${url}`)].filter(Boolean);
+  return [
+    { heading: profile.name, level: 1 },
+    { paragraph: strong(profile.headline) },
+    contact.length ? { paragraph: contact.join(' · ') } : null,
+    { paragraph: profile.summary },
+    ...section('Professional Experience', model.experience, (roles) =>
+      roles.flatMap((role) => [
+        { heading: `${role.role} — ${role.organization}`, level: 3 },
+        { paragraph: em(dateRange(role)) },
+        role.highlights.length ? { list: role.highlights } : null
+      ])
+    ),
+    ...section('Core Competencies', model.skills, (skills) => [
+      { list: skills.map(({ name, description }) => [strong(name), description ? `: ${description}` : '']) }
+    ]),
+    ...section('Education', model.education, (education) => [
+      { list: education.map(({ degree, field, institution }) => [strong(`${degree}, ${field}`), ` - ${institution}`]) }
+    ]),
+    ...section('Awards & Recognition', model.awards, (awards) => [
+      { list: awards.map(({ title, awarder, date }) => `${title}${awarder ? ` - ${awarder}` : ''}${date ? ` (${date})` : ''}`) }
+    ]),
+    ...section('Project Portfolio', model.projects, (projects) => [
+      { list: projects.map(({ title, description }) => [strong(title), description ? `: ${description}` : '']) }
+    ]),
+    ...section(`Academic Publications (${profile.publicationCount})`, model.publications, (publications) => [
+      {
+        list: publications.map(({ title, venue, year, description }) => [
+          strong(title),
+          venue ? '. ' : '',
+          venue ? em(venue) : '',
+          venue && year ? `, ${year}` : '',
+          description ? `. ${description}` : ''
+        ])
+      }
+    ]),
+    ...section('Insights', insights, (records) =>
+      records.flatMap((record) => {
+        const details = [record.model, record.createdAt?.slice(0, 10)].filter(Boolean).join(' · ');
+        return [
+          { heading: record.title || 'Insight', level: 3 },
+          details ? { paragraph: em(details) } : null,
+          record.structured ? { list: insightCardToPlainText(record.structured).split('\n') } : { insight: record.text }
+        ];
+      })
+    )
+  ].filter(Boolean);
+};
+
+export const profileToMarkdown = (model = catalog, insights = []) =>
+  `${profileBlocks(model, insights)
+    .map((block) => {
+      if (block.heading) {
+        return `${'#'.repeat(block.level)} ${escapeMarkdown(block.heading)}`;
+      }
+      if (block.list) {
+        return block.list.map((item) => `- ${runsToMarkdown(item)}`).join('\n');
+      }
+      return block.insight !== undefined ? block.insight.trim() : runsToMarkdown(block.paragraph);
+    })
+    .join('\n\n')}\n`;
+
+// Headings are underlined (= for the name, - for sections) so the structure survives in email.
+export const profileToPlainText = (model = catalog, insights = []) =>
+  `${profileBlocks(model, insights)
+    .map((block) => {
+      if (block.heading) {
+        const heading = block.level === 2 ? block.heading.toUpperCase() : block.heading;
+        return block.level > 2 ? heading : `${heading}\n${(block.level === 1 ? '=' : '-').repeat(heading.length)}`;
+      }
+      if (block.list) {
+        return block.list.map((item) => `• ${runsToText(item)}`).join('\n');
+      }
+      return block.insight !== undefined ? markdownToPlainText(block.insight) : runsToText(block.paragraph);
+    })
+    .join('\n\n')}\n`;
+
+/** Insights worth exporting: pinned ones and those generated since `since` (an ISO timestamp), oldest first. */
+export const exportableInsights = (records, since) =>
+  records.filter((record) => record.pinned || record.createdAt >= since).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+/**
+ * Expands every collapsible section, prints (styles.css hides the AI controls, the drawer and the
+ * fixed footer under @media print), then collapses the sections that were closed before.
+ */
+export const printCv = ({ rootDocument = document, view = globalThis.window } = {}) => {
+  if (typeof view?.print !== 'function') {
+    return;
+  }
+  const collapsed = queryAll('[data-collapsible]', rootDocument).filter((section) => {
+    const toggle = query('.section-toggle', section);
+    const content = byId(toggle?.getAttribute('data-target'), rootDocument);
+    return content?.classList?.contains('hidden');
+  });
+  collapsed.forEach((section) => expandSectionById(section.id, rootDocument));
+
+  const restore = () => {
+    view.removeEventListener?.('afterprint', restore);
+    collapsed.forEach((section) => query('.section-toggle', section)?.click());
+  };
+  view.addEventListener?.('afterprint', restore);
+  view.print();
+};
+
+export const initProfileExport = ({ rootDocument = document, historyStore, model = catalog } = {}) => {
+  const since = new Date().toISOString();
+  const baseName = slugify(model.profile.name) || 'profile';
+
+  const loadInsights = async () => {
+    try {
+      return historyStore ? exportableInsights(await historyStore.list(), since) : [];
+    } catch (error) {
+      console.warn('Unable to load insights for export', error);
+      return [];
+    }
+  };
+
+  const bind = (id, handler) => {
+    byId(id, rootDocument)?.addEventListener('click', (event) => {
+      event.preventDefault();
+      handler();
+    });
+  };
+
+  bind('exportMarkdown', async () => {
+    downloadFile(`${baseName}.md`, profileToMarkdown(model, await loadInsights()), 'text/markdown', { rootDocument });
+  });
+  bind('exportText', async () => {
+    downloadFile(`${baseName}.txt`, profileToPlainText(model, await loadInsights()), 'text/plain', { rootDocument });
+  });
+  bind('printCv', () => printCv({ rootDocument }));
+};
@@ -0,0 +1,114 @@
+// Builds every profile section of index.html from the model in data/catalog.js at startup;
+// the page itself only holds empty, id'd containers. Text nodes only, like the Markdown renderer.
+import * as catalog from '../data/catalog.js';
+import { append, byId, createElement, setText } from './dom.js';
+import { createProjectItem, createPublicationItem, renderItems } from './catalog-renderer.js';
+
+const MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December'
+];
+
+/** "2022-06" -> "June 2022"; a missing date is a current role ("Present"). */
+export const formatMonth = (value) => {
+  if (!value) {
+    return 'Present';
+  }
+  const [year, month] = value.split('-');
+  return month ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+};
+
+const createTimelineItem = (role, rootDocument, index) => {
+  const item = createElement('div', { className: `timeline-item group${index === 0 ? ' active' : ''}` }, rootDocument);
+  const heading = append(
+    append(item, 'div', { className: 'flex justify-between items-start' }, rootDocument),
+    'div',
+    {},
+    rootDocument
+  );
+  append(heading, 'h3', { className: 'font-bold text-lg text-gray-900', text: role.role }, rootDocument);
+  append(
+    heading,
+    'p',
+    { className: 'text-gray-600', text: `${role.organization} | ${formatMonth(role.start)} - ${formatMonth(role.end)}` },
+    rootDocument
+  );
+
+  const card = append(item, 'div', { className: 'timeline-card bg-gray-50 p-6 mt-4 rounded-lg shadow-inner' }, rootDocument);
+  const list = append(card, 'ul', { className: 'list-disc list-inside space-y-2 text-gray-700' }, rootDocument);
+  role.highlights.forEach((highlight) => append(list, 'li', { text: highlight }, rootDocument));
+  return item;
+};
+
+const createSkillCard = (skill, rootDocument) => {
+  const card = createElement('div', { className: 'bg-gray-50 p-6 rounded-lg shadow-inner' }, rootDocument);
+  append(card, 'h3', { className: 'font-semibold text-lg mb-2', text: skill.name }, rootDocument);
+  append(card, 'p', { className: 'text-gray-700', text: skill.description }, rootDocument);
+  return card;
+};
+
+const createEducationEntry = (entry, rootDocument) => {
+  const item = createElement('li', {}, rootDocument);
+  append(item, 'strong', { text: `${entry.degree}, ${entry.field}` }, rootDocument);
+  item.appendChild(rootDocument.createTextNode(` - ${entry.institution}`));
+  return item;
+};
+
+const createAwardEntry = (award, rootDocument) =>
+  createElement(
+    'li',
+    { text: `${award.title}${award.awarder ? ` - ${award.awarder}` : ''}${award.date ? ` (${award.date})` : ''}` },
+    rootDocument
+  );
+
+const createProfileLink = (link, rootDocument) => {
+  const anchor = createElement('a', { className: 'hover:text-blue-300 transition', text: link.label }, rootDocument);
+  anchor.setAttribute('href', link.url);
+  anchor.setAttribute('target', '_blank');
+  anchor.setAttribute('rel', 'noopener noreferrer');
+  return anchor;
+};
+
+const renderOverview = (profile, rootDocument) => {
+  rootDocument.title = `Interactive Resume - ${profile.name}`;
+  setText(byId('profileName', rootDocument), profile.name);
+  setText(byId('profileHeadline', rootDocument), profile.headline);
+  setText(byId('profileSummary', rootDocument), profile.summary);
+  setText(byId('contactEmail', rootDocument), profile.email);
+  setText(byId('publicationCount', rootDocument), `(${profile.publicationCount} publications)`);
+
+  const photo = byId('profilePhoto', rootDocument);
+  if (photo) {
+    photo.setAttribute('src', profile.photo.src);
+    photo.setAttribute('alt', profile.photo.alt);
+  }
+
+  renderItems(
+    byId('profileHighlights', rootDocument),
+    profile.highlights,
+    (highlight) => createElement('span', { className: 'bg-blue-100 text-blue-800 px-3 py-1 rounded-full', text: highlight }, rootDocument),
+    rootDocument
+  );
+  renderItems(byId('profileLinks', rootDocument), profile.links, createProfileLink, rootDocument);
+};
+
+/** Renders the whole profile; sections whose container is missing are skipped. */
+export const renderProfile = (model = catalog, rootDocument = document) => {
+  renderOverview(model.profile, rootDocument);
+  renderItems(byId('timeline', rootDocument), model.experience, createTimelineItem, rootDocument);
+  renderItems(byId('skillsGrid', rootDocument), model.skills, createSkillCard, rootDocument);
+  renderItems(byId('educationList', rootDocument), model.education, createEducationEntry, rootDocument);
+  renderItems(byId('awardsList', rootDocument), model.awards, createAwardEntry, rootDocument);
+  renderItems(byId('projectGrid', rootDocument), model.projects, createProjectItem, rootDocument);
+  renderItems(byId('publicationList', rootDocument), model.publications, createPublicationItem, rootDocument);
+};
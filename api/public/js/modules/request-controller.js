@@ -0,0 +1,39 @@
+// One generation request at a time per insight panel. Asking again for what is already running is a
+// no-op, asking for something else aborts the running request (superseded), and Cancel aborts it
+// outright. Only the active request may write to its panel; aborted ones finish silently.
+
+const SUPERSEDED = 'superseded';
+const CANCELLED = 'cancelled';
+
+export const createRequestController = () => {
+  let active = null;
+
+  const abort = (reason) => {
+    active?.controller.abort(reason);
+    active = null;
+  };
+
+  return {
+    /** A signal for a new request identified by `key`, or null when that request is already running. */
+    begin(key) {
+      if (active?.key === key) {
+        return null;
+      }
+      abort(SUPERSEDED);
+      active = { key, controller: new AbortController() };
+      return active.controller.signal;
+    },
+    /** Whether the request holding `signal` still owns the panel. */
+    owns(signal) {
+      return Boolean(signal) && active?.controller.signal === signal;
+    },
+    end(signal) {
+      if (this.owns(signal)) {
+        active = null;
+      }
+    },
+    cancel() {
+      abort(CANCELLED);
+    }
+  };
+};
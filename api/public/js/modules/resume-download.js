@@ -0,0 +1,22 @@
+// "Download JSON Resume": the profile model (data/catalog.js) exported as a JSON Resume file.
+import * as catalog from '../data/catalog.js';
+import { byId } from './dom.js';
+import { downloadFile } from './download.js';
+import { slugify, toJsonResume } from './json-resume.js';
+
+export const resumeFilename = (name) => `${slugify(name) || 'profile'}.resume.json`;
+
+export const initResumeDownload = (rootDocument = document, model = catalog) => {
+  const trigger = byId('downloadJsonResume', rootDocument);
+  if (!trigger) {
+    return;
+  }
+
+  trigger.addEventListener('click', (event) => {
+    event.preventDefault();
+    const resume = toJsonResume(model);
+    downloadFile(resumeFilename(model.profile.name), `${JSON.stringify(resume, null, 2)}\n`, 'application/json', {
+      rootDocument
+    });
+  });
+};
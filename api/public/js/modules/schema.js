@@ -0,0 +1,160 @@
+// A small JSON Schema subset shared by the API and the frontend: type (string, number, integer,
+// boolean, array, object), enum, minimum/maximum, minLength/maxLength, pattern, minItems/maxItems,
+// items, properties, required and additionalProperties: false. `title` names a field in messages
+// and `errorMessage` replaces them. No DOM access, so the API can import it too.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+const patterns = new Map();
+
+const matchesPattern = (pattern, value) => {
+  if (!patterns.has(pattern)) {
+    patterns.set(pattern, new RegExp(pattern));
+  }
+  return patterns.get(pattern).test(value);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: Array.isArray,
+  object: isPlainObject
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+const rangeText = ({ minimum, maximum }) => {
+  if (minimum !== undefined && maximum !== undefined) {
+    return ` between ${minimum} and ${maximum}`;
+  }
+  if (minimum !== undefined) {
+    return ` of at least ${minimum}`;
+  }
+  return maximum !== undefined ? ` of at most ${maximum}` : '';
+};
+
+const itemsText = (count) => `${count} ${count === 1 ? 'item' : 'items'}`;
+
+// Returns the first failing keyword and its message, or null.
+const checkValue = (schema, value, label) => {
+  const { type } = schema;
+  if (type && !TYPE_CHECKS[type](value)) {
+    const range = type === 'number' || type === 'integer' ? rangeText(schema) : '';
+    return { keyword: 'type', message: `${label} must be ${TYPE_NAMES[type]}${range}.` };
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { keyword: 'enum', message: `${label} must be one of: ${schema.enum.join(', ')}.` };
+  }
+  if (
+    (schema.minimum !== undefined && value < schema.minimum) ||
+    (schema.maximum !== undefined && value > schema.maximum)
+  ) {
+    return { keyword: 'range', message: `${label} must be ${TYPE_NAMES[type] || 'a number'}${rangeText(schema)}.` };
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      return { keyword: 'minLength', message: `${label} is required.` };
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return { keyword: 'maxLength', message: `${label} is too long.` };
+    }
+    if (schema.pattern && !matchesPattern(schema.pattern, value)) {
+      return { keyword: 'pattern', message: `${label} is not in the expected format.` };
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return { keyword: 'minItems', message: `${label} must contain at least ${itemsText(schema.minItems)}.` };
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return { keyword: 'maxItems', message: `${label} may contain at most ${itemsText(schema.maxItems)}.` };
+    }
+  }
+  return null;
+};
+
+const visit = (schema, value, path, issues) => {
+  const label = schema.title || path || 'Value';
+  const failed = checkValue(schema, value, label);
+  if (failed) {
+    issues.push({ field: path, keyword: failed.keyword, message: schema.errorMessage || failed.message });
+    return;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => visit(schema.items, item, `${path}[${index}]`, issues));
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        const field = joinPath(path, key);
+        issues.push({ field, keyword: 'required', message: `${properties[key]?.title || field} is required.` });
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (child === undefined) {
+        return;
+      }
+      if (properties[key]) {
+        visit(properties[key], child, joinPath(path, key), issues);
+      } else if (schema.additionalProperties === false) {
+        issues.push({ field: joinPath(path, key), keyword: 'additionalProperties', message: `${label} does not accept "${key}".` });
+      }
+    });
+  }
+};
+
+/** Validates `value` and returns every problem as `{ field, keyword, message }` (empty when valid). */
+export const validateSchema = (schema, value, path = '') => {
+  const issues = [];
+  visit(schema, value, path, issues);
+  return issues;
+};
+
+/**
+ * Builds a value that satisfies `schema`, for tests and examples: the first of `examples`, else the
+ * first enum value, else the smallest value the bounds allow. Optional properties are left out
+ * unless `includeOptional` is set.
+ */
+export const buildFixture = (schema, { includeOptional = false } = {}) => {
+  if (schema.examples?.length) {
+    return schema.examples[0];
+  }
+  if (schema.enum?.length) {
+    return schema.enum[0];
+  }
+  switch (schema.type) {
+    case 'string':
+      return 'x'.repeat(Math.max(schema.minLength || 0, 1));
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => buildFixture(schema.items, { includeOptional }));
+    case 'object': {
+      const required = new Set(schema.required || []);
+      return Object.fromEntries(
+        Object.entries(schema.properties || {})
+          .filter(([key]) => includeOptional || required.has(key))
+          .map(([key, property]) => [key, buildFixture(property, { includeOptional })])
+      );
+    }
+    default:
+      return null;
+  }
+};
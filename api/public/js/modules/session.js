@@ -0,0 +1,65 @@
+const SESSION_ENDPOINT = '/api/session';
+// Renew a little early so a token never expires mid-request.
+const RENEWAL_MARGIN_MS = 30_000;
+
+export const createSessionClient = ({ fetcher, now = () => Date.now() } = {}) => {
+  let session = null;
+  let infoPromise = null;
+  let pending = null;
+
+  // GET /api/session: { serverManaged, models }, fetched once.
+  const loadInfo = () => {
+    if (!infoPromise) {
+      infoPromise = fetcher(SESSION_ENDPOINT, { method: 'GET' })
+        .then((response) => (response.ok ? response.json() : null))
+        .then((data) => data || {})
+        .catch((error) => {
+          console.warn('Unable to determine the key mode', error);
+          return {};
+        });
+    }
+    return infoPromise;
+  };
+
+  const isServerManaged = () => loadInfo().then((info) => info.serverManaged === true);
+
+  // Models the server accepts in the Advanced settings; empty when it did not say.
+  const allowedModels = () => loadInfo().then((info) => (Array.isArray(info.models) ? info.models : []));
+
+  const issue = async () => {
+    const response = await fetcher(SESSION_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' }
+    });
+    let data = null;
+    try {
+      data = await response.json();
+    } catch {
+      data = null;
+    }
+    if (!response.ok || !data?.token) {
+      throw new Error(data?.error || 'Unable to start an insight session. Please try again later.');
+    }
+    session = data;
+    return session.token;
+  };
+
+  // Panels that start together share one POST; the next call after it settles (or fails) issues anew.
+  const getToken = () => {
+    if (session && Date.parse(session.expiresAt) - RENEWAL_MARGIN_MS > now()) {
+      return Promise.resolve(session.token);
+    }
+    if (!pending) {
+      pending = issue().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  };
+
+  const invalidate = () => {
+    session = null;
+  };
+
+  return { isServerManaged, allowedModels, getToken, invalidate };
+};
@@ -0,0 +1,87 @@
+// Incremental parser for `text/event-stream` bodies, used by the insight panels and, through
+// lib/sse.js, by the API for upstream streams.
+
+const LINE_BREAK = /\r\n|\r(?!$)|\n/;
+
+const iterateBody = async function* (body) {
+  if (typeof body?.getReader === 'function') {
+    const reader = body.getReader();
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          return;
+        }
+        yield value;
+      }
+    } finally {
+      reader.releaseLock?.();
+    }
+  }
+
+  if (body && typeof body[Symbol.asyncIterator] === 'function') {
+    yield* body;
+  }
+};
+
+export const readSseEvents = async function* (body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+
+  const consumeLine = (line) => {
+    if (line === '') {
+      if (dataLines.length === 0) {
+        eventName = '';
+        return null;
+      }
+      const dispatched = { event: eventName || 'message', data: dataLines.join('\n') };
+      eventName = '';
+      dataLines = [];
+      return dispatched;
+    }
+    if (line.startsWith(':')) {
+      return null;
+    }
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+    if (field === 'event') {
+      eventName = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+    return null;
+  };
+
+  for await (const chunk of iterateBody(body)) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let match;
+    while ((match = LINE_BREAK.exec(buffer))) {
+      const line = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      const dispatched = consumeLine(line);
+      if (dispatched) {
+        yield dispatched;
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  // Flush a trailing event that was not terminated by a blank line.
+  for (const line of [...buffer.split(/\r\n|\r|\n/), '']) {
+    const dispatched = consumeLine(line);
+    if (dispatched) {
+      yield dispatched;
+    }
+  }
+};
+
+export const isEventStream = (response) => {
+  const contentType = response?.headers?.get?.('content-type') || '';
+  return contentType.includes('text/event-stream') && Boolean(response.body);
+};
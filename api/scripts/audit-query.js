@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Queries the generation audit log (lib/audit) and prints matching records as JSONL, oldest first:
+ *   npm run audit:query -- --since 2026-10-01 --origin https://example.com
+ *   node scripts/audit-query.js --item proj3 --limit 20
+ * Options:
+ *   --file <path>      log file (default GENERATE_INSIGHT_AUDIT_LOG); rotated files are read too
+ *   --since <date>     records at or after this ISO date/time
+ *   --until <date>     records before this date/time; a bare date includes that whole day
+ *   --origin <origin>  exact origin, e.g. https://example.com
+ *   --item <itemId>    catalog item
+ *   --mode <mode>      project, publication, general, context, batch or raw
+ *   --limit <n>        only the last n matches
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const readline = require('node:readline');
+const { getAuditConfig, listAuditFiles } = require('../lib/audit');
+
+const OPTIONS = Object.freeze(['file', 'since', 'until', 'origin', 'item', 'mode', 'limit']);
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (raw, option) => {
+  const ms = Date.parse(raw);
+  if (Number.isNaN(ms)) throw new Error(`--${option} must be a date, e.g. 2026-10-01 or 2026-10-01T12:00:00Z.`);
+  return ms;
+};
+
+/** Parses `--name value` / `--name=value` pairs into `{ file, since, until, origin, item, mode, limit }`. */
+const parseArgs = (argv) => {
+  const raw = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(argv[index]);
+    if (!match || !OPTIONS.includes(match[1])) {
+      throw new Error(`Unknown argument "${argv[index]}". Options: ${OPTIONS.map(option => `--${option}`).join(', ')}.`);
+    }
+    const value = match[2] ?? argv[++index];
+    if (value === undefined || value === '') throw new Error(`--${match[1]} needs a value.`);
+    raw[match[1]] = value;
+  }
+
+  const query = { file: raw.file, origin: raw.origin, item: raw.item, mode: raw.mode };
+  if (raw.since) query.since = parseDate(raw.since, 'since');
+  if (raw.until) query.until = parseDate(raw.until, 'until') + (DATE_ONLY.test(raw.until) ? DAY_MS : 0);
+  if (raw.limit) {
+    query.limit = Number(raw.limit);
+    if (!Number.isInteger(query.limit) || query.limit <= 0) throw new Error('--limit must be a positive integer.');
+  }
+  return query;
+};
+
+const matches = (record, { since, until, origin, item, mode }) => {
+  const ts = Date.parse(record.ts);
+  if (since !== undefined && !(ts >= since)) return false;
+  if (until !== undefined && !(ts < until)) return false;
+  if (origin !== undefined && record.origin !== origin) return false;
+  if (item !== undefined && record.itemId !== item) return false;
+  return mode === undefined || record.mode === mode;
+};
+
+/** Reads every audit file for `query.file` (oldest first) and resolves the matching records. */
+const queryAuditLog = async (query) => {
+  const cfg = getAuditConfig();
+  const file = query.file ? path.resolve(query.file) : cfg?.file;
+  if (!file) throw new Error('No audit log: pass --file or set GENERATE_INSIGHT_AUDIT_LOG.');
+
+  const found = [];
+  for (const auditFile of await listAuditFiles(file, cfg?.maxFiles)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(auditFile, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // a torn last line from a crash
+      }
+      if (matches(record, query)) found.push(record);
+    }
+  }
+  return query.limit ? found.slice(-query.limit) : found;
+};
+
+if (require.main === module) {
+  (async () => {
+    const records = await queryAuditLog(parseArgs(process.argv.slice(2)));
+    records.forEach(record => process.stdout.write(`${JSON.stringify(record)}\n`));
+  })().catch((err) => {
+    console.error(`audit-query: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, queryAuditLog };
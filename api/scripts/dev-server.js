@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Zero-dependency local server, an offline alternative to `vercel dev`:
+ *   npm run dev:local                 real providers, as configured by env
+ *   npm run dev:mock                  Gemini answered by scripts/mock-gemini.js
+ *   node scripts/dev-server.js --mock=stream
+ * - Serves public/ and routes the paths vercel.json sends to a function (/api/*) to that handler.
+ * - Shims the Vercel helpers the handlers rely on: req.query, req.body (parsed JSON),
+ *   res.status(), res.json() and res.send().
+ * - `--mock[=mode]` or DEV_MOCK_UPSTREAM=<mode> points GEMINI_BASE_URL at the built-in mock, so
+ *   the whole app can be exercised without a network connection (any API key is accepted).
+ * Env: PORT (default 3000), HOST (default 127.0.0.1). The API settings (lib/config) are validated
+ * before listening.
+ */
+
+const fs = require('node:fs/promises');
+const http = require('node:http');
+const path = require('node:path');
+const { getConfig, setConfigDefaults } = require('../lib/config');
+const { sendError } = require('../lib/http');
+const { MOCK_MODES, MOCK_PATH_PREFIX, getMockConfig, isMockGeminiRequest, handleMockGemini } = require('./mock-gemini');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MAX_BODY_BYTES = 1024 * 1024;
+const defaultServerConfig = { port: 3000, host: '127.0.0.1' };
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/* ----------------------------- config ----------------------------- */
+
+// `--mock` alone means the canned mode; DEV_MOCK_UPSTREAM takes the same values.
+const parseMockMode = (argv = process.argv.slice(2), env = process.env) => {
+  const flag = argv.find(arg => arg === '--mock' || arg.startsWith('--mock='));
+  const raw = flag ? (flag.split('=')[1] || 'canned') : (env.DEV_MOCK_UPSTREAM || '').trim();
+  if (!raw || raw === 'false' || raw === 'off') return null;
+  const mode = raw === 'true' ? 'canned' : raw.toLowerCase();
+  if (!MOCK_MODES.includes(mode)) {
+    throw new Error(`Unknown mock mode "${raw}". Use one of: ${MOCK_MODES.join(', ')}.`);
+  }
+  return mode;
+};
+
+// Function routes from vercel.json, e.g. { src: '/api/session', dest: '/session.js' }.
+const loadFunctionRoutes = (rootDir) => {
+  const { routes = [] } = require(path.join(rootDir, 'vercel.json'));
+  return routes
+    .filter(route => route.dest.endsWith('.js'))
+    .map(route => ({ pattern: new RegExp(`^${route.src}$`), handler: require(path.join(rootDir, route.dest)) }));
+};
+
+/* ------------------------------ shims ----------------------------- */
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request body too large.'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+// Vercel parses JSON bodies and leaves other content types as text.
+const parseBody = (req, raw) => {
+  if (!raw) return undefined;
+  const contentType = req.headers['content-type'] || '';
+  return contentType.includes('application/json') ? JSON.parse(raw) : raw;
+};
+
+const withResponseHelpers = (res) => {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(payload));
+    return res;
+  };
+  res.send = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    res.end(body);
+    return res;
+  };
+  return res;
+};
+
+/* ------------------------------ static ---------------------------- */
+
+const serveStatic = async (publicDir, pathname, res) => {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname);
+  } catch {
+    return res.status(400).send('Bad request');
+  }
+  let filePath = path.resolve(publicDir, `.${relative}`);
+  // Never serve anything outside public/.
+  if (filePath !== publicDir && !filePath.startsWith(publicDir + path.sep)) {
+    return res.status(404).send('Not found');
+  }
+  try {
+    if ((await fs.stat(filePath)).isDirectory()) filePath = path.join(filePath, 'index.html');
+    const content = await fs.readFile(filePath);
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(content);
+  } catch {
+    return res.status(404).send('Not found');
+  }
+};
+
+/* ------------------------------ server ---------------------------- */
+
+/**
+ * Creates (but does not start) the dev server. `mockMode` enables the mock Gemini upstream, which
+ * becomes the default Gemini base URL once the server listens (an explicit GEMINI_BASE_URL still
+ * wins); `env` supplies the DEV_MOCK_* settings.
+ */
+const createDevServer = ({ rootDir = ROOT_DIR, mockMode = null, env = process.env } = {}) => {
+  const publicDir = path.join(rootDir, 'public');
+  const functionRoutes = loadFunctionRoutes(rootDir);
+
+  const server = http.createServer(async (req, res) => {
+    withResponseHelpers(res);
+    const url = new URL(req.url, 'http://localhost');
+    req.query = Object.fromEntries(url.searchParams);
+
+    try {
+      if (mockMode && isMockGeminiRequest(url.pathname)) {
+        req.body = parseBody(req, await readBody(req));
+        return await handleMockGemini(req, res, url.pathname, getMockConfig(mockMode, env));
+      }
+
+      const route = functionRoutes.find(({ pattern }) => pattern.test(url.pathname));
+      if (!route) return await serveStatic(publicDir, url.pathname, res);
+
+      try {
+        req.body = parseBody(req, await readBody(req));
+      } catch (err) {
+        if (err.status === 413) return sendError(res, 'PROMPT_TOO_LONG', 'Request body is too large.');
+        return sendError(res, 'INVALID_REQUEST', 'Request body is not valid JSON.');
+      }
+      return await route.handler(req, res);
+    } catch (err) {
+      console.error('dev server: request failed', err);
+      if (!res.headersSent) return sendError(res, 'INTERNAL_ERROR', 'Dev server error.');
+      res.end();
+    }
+  });
+  if (mockMode) {
+    server.on('listening', () => {
+      const { port } = server.address();
+      setConfigDefaults({ providers: { gemini: { baseUrl: `http://127.0.0.1:${port}${MOCK_PATH_PREFIX}` } } });
+    });
+  }
+  return server;
+};
+
+// Refuses to start on an invalid API configuration instead of failing every request.
+const startDevServer = () => {
+  try {
+    getConfig();
+  } catch (err) {
+    console.error(`dev server: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  const mockMode = parseMockMode();
+  const port = Number(process.env.PORT) || defaultServerConfig.port;
+  const host = (process.env.HOST || '').trim() || defaultServerConfig.host;
+  createDevServer({ mockMode }).listen(port, host, () => {
+    console.log(`Dev server on http://${host}:${port}${mockMode ? ` (mock Gemini upstream: ${mockMode})` : ''}`);
+  });
+};
+
+if (require.main === module) {
+  startDevServer();
+}
+
+module.exports = { createDevServer, parseMockMode };
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Converts the site profile (public/js/data/catalog.js) to and from JSON Resume
+ * (public/js/modules/json-resume.js has the field mapping):
+ *   npm run resume -- export --out resume.json
+ *   node scripts/json-resume.js import resume.json           prints the new catalog.js
+ *   node scripts/json-resume.js import resume.json --write   rewrites catalog.js
+ * Options:
+ *   --out <path>  export: write here instead of stdout
+ *   --write       import: update catalog.js in place; its comments, contextOptions and findItem
+ *                 are kept, only the data exports are regenerated
+ */
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public', 'js');
+const CATALOG_FILE = path.join(PUBLIC_DIR, 'data', 'catalog.js');
+const MODEL_SECTIONS = Object.freeze(['profile', 'experience', 'skills', 'education', 'awards', 'publications', 'projects']);
+const USAGE = 'Usage: json-resume.js export [--out <file>] | import <resume.json> [--write]';
+
+const loadModule = (file) => import(pathToFileURL(file).href);
+
+/** Parses `export [--out file]` / `import <file> [--write]`. */
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const args = { command };
+  for (let index = 0; index < rest.length; index += 1) {
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(rest[index]);
+    if (!match) {
+      if (args.file) throw new Error(`Unexpected argument "${rest[index]}". ${USAGE}`);
+      args.file = rest[index];
+    } else if (match[1] === 'out' && command === 'export') {
+      args.out = match[2] ?? rest[++index];
+      if (!args.out) throw new Error('--out needs a value.');
+    } else if (match[1] === 'write' && command === 'import' && match[2] === undefined) {
+      args.write = true;
+    } else {
+      throw new Error(`Unknown option "${rest[index]}". ${USAGE}`);
+    }
+  }
+  const valid = command === 'export' ? !args.file : command === 'import' && Boolean(args.file);
+  if (!valid) throw new Error(USAGE);
+  return args;
+};
+
+/* ---- catalog source ---- */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const MAX_WIDTH = 120;
+
+const quote = (text) => `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+
+// `key: value`, with long strings on their own line like the hand-written entries.
+const propertySource = (key, value, indent) => {
+  const name = `${IDENTIFIER.test(key) ? key : quote(key)}: `;
+  const source = toSource(value, indent, indent.length + name.length);
+  return typeof value === 'string' && indent.length + name.length + source.length >= MAX_WIDTH
+    ? `${name.trimEnd()}\n${indent}  ${source}`
+    : `${name}${source}`;
+};
+
+/**
+ * A JS literal in the catalog file's style: single quotes, bare keys, two-space indent, and
+ * objects or arrays on one line when they fit. `column` is where the literal starts on its line.
+ */
+const toSource = (value, indent = '', column = indent.length) => {
+  if (typeof value === 'string') return quote(value);
+  if (value === null || typeof value !== 'object') return String(value);
+
+  const inner = `${indent}  `;
+  const isArray = Array.isArray(value);
+  const items = isArray
+    ? value.map(item => toSource(item, inner))
+    : Object.entries(value).map(([key, item]) => propertySource(key, item, inner));
+  if (!items.length) return isArray ? '[]' : '{}';
+
+  const [open, close] = isArray ? ['[', ']'] : ['{ ', ' }'];
+  const inline = `${open}${items.join(', ')}${close}`;
+  if (!inline.includes('\n') && column + inline.length + 2 <= MAX_WIDTH) return inline;
+  return `${open.trim()}\n${items.map(item => `${inner}${item}`).join(',\n')}\n${indent}${close.trim()}`;
+};
+
+const frozenExport = (keyword, name, value) => {
+  const head = `${keyword} ${name} = Object.freeze(`;
+  return `${head}${toSource(value, '', head.length)});`;
+};
+
+/** catalog.js with its data exports replaced by `model`. */
+const renderCatalogModule = (model, currentSource) => {
+  const start = currentSource.indexOf('export const profile');
+  const end = currentSource.indexOf('export const contextOptions');
+  if (start < 0 || end < start) throw new Error(`${path.basename(CATALOG_FILE)}: cannot find the data section to replace.`);
+  const data = MODEL_SECTIONS.map(name => frozenExport('export const', name, model[name])).join('\n\n');
+  return `${currentSource.slice(0, start)}${data}\n\n${currentSource.slice(end)}`;
+};
+
+/* ---- commands ---- */
+
+const exportResume = async () => {
+  const [catalog, { toJsonResume }] = await Promise.all([
+    loadModule(CATALOG_FILE),
+    loadModule(path.join(PUBLIC_DIR, 'modules', 'json-resume.js'))
+  ]);
+  return `${JSON.stringify(toJsonResume(catalog), null, 2)}\n`;
+};
+
+/** Resolves the new source of catalog.js. */
+const importResume = async (file) => {
+  const { fromJsonResume } = await loadModule(path.join(PUBLIC_DIR, 'modules', 'json-resume.js'));
+  let resume;
+  try {
+    resume = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file}: ${err instanceof SyntaxError ? `not valid JSON (${err.message})` : err.message}`);
+  }
+  const model = fromJsonResume(resume);
+  return renderCatalogModule(model, await fs.readFile(CATALOG_FILE, 'utf8'));
+};
+
+if (require.main === module) {
+  (async () => {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.command === 'export') {
+      const resume = await exportResume();
+      if (args.out) {
+        await fs.writeFile(args.out, resume);
+      } else {
+        process.stdout.write(resume);
+      }
+      return;
+    }
+    const catalog = await importResume(args.file);
+    if (!args.write) {
+      process.stdout.write(catalog);
+      return;
+    }
+    await fs.writeFile(CATALOG_FILE, catalog);
+    console.error(`json-resume: updated ${path.relative(process.cwd(), CATALOG_FILE)}`);
+  })().catch((err) => {
+    console.error(`json-resume: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, toSource, exportResume, importResume };
@@ -0,0 +1,134 @@
+/**
+ * Mock Gemini upstream for scripts/dev-server.js. Answers `:generateContent` and
+ * `:streamGenerateContent?alt=sse` the way generativelanguage.googleapis.com does, so the real
+ * handler, provider adapter and retry logic run unchanged. Any API key is accepted. Requests with a
+ * JSON responseMimeType (structured insights) get a canned object with the requested fields.
+ *
+ * Modes (DEV_MOCK_UPSTREAM or `--mock=<mode>`):
+ * - canned   a canned insight built from the prompt (default)
+ * - delay    the canned insight after DEV_MOCK_DELAY_MS (default 3000)
+ * - error    DEV_MOCK_ERROR_STATUS (default 503) with a Google-style error body
+ * - safety   no text and finishReason SAFETY, as for a blocked response
+ * - stream   streamed word by word, DEV_MOCK_CHUNK_DELAY_MS (default 150) apart
+ */
+
+const MOCK_MODES = Object.freeze(['canned', 'delay', 'error', 'safety', 'stream']);
+const MOCK_PATH_PREFIX = '/__mock/gemini/v1beta/models/';
+const defaultMockConfig = { delayMs: 3000, errorStatus: 503, chunkDelayMs: 150 };
+
+const ERROR_STATUS_NAMES = { 400: 'INVALID_ARGUMENT', 403: 'PERMISSION_DENIED', 429: 'RESOURCE_EXHAUSTED', 500: 'INTERNAL', 503: 'UNAVAILABLE' };
+
+const getMockConfig = (mode, env = process.env) => {
+  const d = Number(env.DEV_MOCK_DELAY_MS ?? defaultMockConfig.delayMs);
+  const s = Number(env.DEV_MOCK_ERROR_STATUS ?? defaultMockConfig.errorStatus);
+  const c = Number(env.DEV_MOCK_CHUNK_DELAY_MS ?? defaultMockConfig.chunkDelayMs);
+  return {
+    mode,
+    delayMs: Number.isFinite(d) && d >= 0 ? d : defaultMockConfig.delayMs,
+    errorStatus: Number.isInteger(s) && s >= 400 && s <= 599 ? s : defaultMockConfig.errorStatus,
+    chunkDelayMs: Number.isFinite(c) && c >= 0 ? c : defaultMockConfig.chunkDelayMs
+  };
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// The latest user turn is the prompt (or the follow-up question in a multi-turn request).
+const lastUserText = (body) => {
+  const contents = Array.isArray(body?.contents) ? body.contents : [];
+  const turn = [...contents].reverse().find(c => c.role === undefined || c.role === 'user');
+  return (turn?.parts || []).map(p => p?.text || '').join('');
+};
+
+// Visitor text is delimited (lib/guardrails); catalog titles are quoted.
+const subjectOf = (prompt) =>
+  prompt.match(/<user_input>\s*([\s\S]+?)\s*<\/user_input>/)?.[1] || prompt.match(/"([^"]+)"/)?.[1];
+
+const cannedInsight = (prompt) => {
+  const subject = subjectOf(prompt) || 'this topic';
+  return `(Mock insight) ${subject} shows how a clear objective, a pragmatic data-driven approach and close ` +
+    'collaboration with stakeholders turn technical work into measurable business impact.';
+};
+
+const cannedStructuredInsight = (prompt) => {
+  const subject = subjectOf(prompt) || 'This work';
+  return {
+    headline: `(Mock) ${subject}`,
+    problem: 'A costly, recurring operational problem with little visibility into its causes.',
+    approach: 'A data-driven model built with domain experts and validated against historical records.',
+    impact: 'Earlier interventions, lower costs and decisions grounded in evidence.',
+    skills: ['Machine learning', 'Python', 'Stakeholder management'],
+    oneLiner: `Delivered ${subject}, turning data into measurable business impact.`
+  };
+};
+
+const cannedReply = (body, prompt) => (body?.generationConfig?.responseMimeType === 'application/json'
+  ? JSON.stringify(cannedStructuredInsight(prompt))
+  : cannedInsight(prompt));
+
+const candidate = (text, finishReason) => ({
+  ...(text ? { content: { role: 'model', parts: [{ text }] } } : {}),
+  ...(finishReason ? { finishReason } : {})
+});
+
+const usageFor = (promptText, text) => ({
+  promptTokenCount: estimateTokens(promptText),
+  candidatesTokenCount: estimateTokens(text),
+  totalTokenCount: estimateTokens(promptText) + estimateTokens(text)
+});
+
+const sendJson = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+const isMockGeminiRequest = (pathname) => pathname.startsWith(MOCK_PATH_PREFIX);
+
+/** Answers one mock Gemini request. `req.body` is the parsed JSON request body. */
+const handleMockGemini = async (req, res, pathname, cfg) => {
+  const match = pathname.slice(MOCK_PATH_PREFIX.length).match(/^([^/:]+):(generateContent|streamGenerateContent)$/);
+  if (req.method !== 'POST' || !match) {
+    return sendJson(res, 404, { error: { code: 404, message: 'Unknown mock Gemini route.', status: 'NOT_FOUND' } });
+  }
+  const [, model, method] = match;
+  const promptText = lastUserText(req.body);
+
+  if (cfg.mode === 'delay') await sleep(cfg.delayMs);
+  if (res.destroyed) return;
+
+  if (cfg.mode === 'error') {
+    const { errorStatus } = cfg;
+    const retryable = errorStatus === 429 || errorStatus === 503;
+    return sendJson(res, errorStatus, {
+      error: { code: errorStatus, message: 'Mock upstream error.', status: ERROR_STATUS_NAMES[errorStatus] || 'UNKNOWN' }
+    }, retryable ? { 'Retry-After': '1' } : {});
+  }
+
+  const text = cfg.mode === 'safety' ? '' : cannedReply(req.body, promptText);
+  const finishReason = cfg.mode === 'safety' ? 'SAFETY' : 'STOP';
+
+  if (method === 'generateContent') {
+    return sendJson(res, 200, {
+      candidates: [candidate(text, finishReason)],
+      usageMetadata: usageFor(promptText, text),
+      modelVersion: model
+    });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache' });
+  // Like Gemini, each event carries only the new text; the last one adds finishReason and usage.
+  const pieces = cfg.mode === 'stream' && text ? text.match(/\S+\s*/g) : [text];
+  for (const [index, piece] of pieces.entries()) {
+    if (res.destroyed) return;
+    const last = index === pieces.length - 1;
+    const event = last
+      ? { candidates: [candidate(piece, finishReason)], usageMetadata: usageFor(promptText, text), modelVersion: model }
+      : { candidates: [candidate(piece)], modelVersion: model };
+    res.write(`data: ${JSON.stringify(event)}\r\n\r\n`);
+    if (!last) await sleep(cfg.chunkDelayMs);
+  }
+  res.end();
+};
+
+module.exports = { MOCK_MODES, MOCK_PATH_PREFIX, getMockConfig, isMockGeminiRequest, handleMockGemini, cannedInsight };
@@ -0,0 +1,74 @@
+/**
+ * Vercel Serverless Function: session tokens for server-managed key mode.
+ * - GET  -> { serverManaged, models } so the frontend knows whether to ask visitors for a key and
+ *   which models the Advanced settings may offer (the default provider's allow-list).
+ * - POST -> { token, expiresAt, maxRequests }, an HMAC-signed token bound to the caller's Origin.
+ * - Issuance is rate limited per IP with the same limiter settings as /api/generate-insight.
+ * - Responses carry an X-Request-Id that error bodies echo.
+ */
+
+const { checkConfig, requireValidConfig } = require('./lib/config');
+const { applyCors } = require('./lib/cors');
+const { getClientIp, assignRequestId, sendError } = require('./lib/http');
+const { logger } = require('./lib/logger');
+const { resolveProvider } = require('./lib/providers');
+const { getRateLimiter, getRateLimitConfig, applyRateLimitHeaders } = require('./lib/rate-limit');
+const { isServerKeyModeEnabled, getSessionConfig, signSessionToken } = require('./lib/session-token');
+
+// Surface a bad configuration in the cold-start logs, not only on the first request.
+checkConfig(logger);
+
+module.exports = async (req, res) => {
+  const requestId = assignRequestId(req, res);
+  const log = logger.child({ requestId, route: '/api/session' });
+  if (!requireValidConfig(res, log)) return;
+
+  const corsApplied = applyCors(req, res, {
+    methods: 'GET, POST, OPTIONS',
+    allowHeaders: 'Content-Type, X-Request-Id',
+    exposeHeaders: 'Retry-After, X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+  });
+  if (!corsApplied) return;
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ serverManaged: isServerKeyModeEnabled(), models: resolveProvider().getAllowedModels() });
+  }
+
+  if (req.method !== 'POST') {
+    return sendError(res, 'METHOD_NOT_ALLOWED');
+  }
+
+  if (!isServerKeyModeEnabled()) {
+    return sendError(res, 'NOT_FOUND', "Server-managed key mode is disabled.");
+  }
+  const sessionCfg = getSessionConfig();
+  if (!sessionCfg) {
+    return sendError(res, 'SERVER_MISCONFIGURED', "Server-managed key mode is misconfigured.");
+  }
+
+  const rlCfg = getRateLimitConfig();
+  let decision = null;
+  try {
+    decision = await getRateLimiter().consume(`session-issue:${getClientIp(req)}`, rlCfg);
+  } catch (err) {
+    log.warn('rate limiter unavailable, allowing request', { err });
+  }
+  applyRateLimitHeaders(res, decision);
+  if (decision && !decision.allowed) {
+    res.setHeader('Retry-After', Math.ceil(decision.retryAfterMs / 1000) || Math.ceil(rlCfg.windowMs / 1000));
+    return sendError(res, 'RATE_LIMITED');
+  }
+
+  const { token, claims } = signSessionToken({ origin: req.headers.origin || '' }, sessionCfg);
+  return res.status(200).json({
+    token,
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+    maxRequests: sessionCfg.maxRequests
+  });
+};
@@ -0,0 +1,184 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const handler = require('../generate-insight');
+const { getAuditConfig, redactText, toAuditRecord, writeAuditRecord } = require('../lib/audit');
+const { parseArgs, queryAuditLog } = require('../scripts/audit-query');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+
+const originalFetch = global.fetch;
+
+let tmpDir;
+let auditFile;
+
+function createMockResponse() {
+    const headers = new Map();
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name, value);
+        },
+        getHeader(name) {
+            return headers.get(name);
+        },
+        end() {}
+    };
+}
+
+// Auditing to this test's file, plus `audit` settings.
+const configureAudit = (audit = {}) => setConfigOverrides({ audit: { file: auditFile, ...audit } });
+
+const readRecords = async (file = auditFile) =>
+    (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+const geminiSuccess = (text) => ({
+    ok: true,
+    json: async () => ({ candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] })
+});
+
+beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-test-'));
+    auditFile = path.join(tmpDir, 'logs', 'audit.jsonl');
+    setLogLevel('silent');
+    configureAudit();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+});
+
+afterEach(async () => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('redaction rules are configurable and omitted fields are left out', () => {
+    const text = 'Mail jane@example.com or call +44 20 7946 0958 (2018-2022), see https://example.com, key AIzaSyA1234567890abcdefghijkl.';
+
+    assert.equal(
+        redactText(text, getAuditConfig().redact),
+        'Mail [EMAIL] or call [PHONE] (2018-2022), see https://example.com, key [REDACTED].'
+    );
+    configureAudit({ redact: 'url, unknown' });
+    assert.throws(() => getAuditConfig(), { name: 'ConfigError', message: /audit\.redact .*"unknown"/ });
+    configureAudit({ redact: 'URL' });
+    assert.deepEqual(getAuditConfig().redact, ['url']);
+    configureAudit({ redact: 'none' });
+    assert.deepEqual(getAuditConfig().redact, []);
+
+    configureAudit({ redact: 'none', omit: ['origin', 'output'] });
+    const record = toAuditRecord({
+        requestId: 'req-12345678',
+        bucketKey: 'gem:abc',
+        origin: 'https://example.com',
+        provider: 'gemini',
+        mode: 'project',
+        itemId: 'proj1',
+        prompt: 'Prompt',
+        result: { text: 'Insight', model: 'gemini-2.5-flash', finishReason: 'STOP' }
+    }, getAuditConfig());
+    assert.equal(record.origin, undefined);
+    assert.equal(record.output, undefined);
+    assert.equal(record.keyHash.length, 16);
+    assert.equal(record.promptHash.length, 64);
+
+    resetConfigOverrides();
+    assert.equal(getAuditConfig(), null);
+});
+
+test('rotates the log once it would exceed the size limit and keeps maxFiles old files', async () => {
+    configureAudit({ maxBytes: 60, maxFiles: 2 });
+    const cfg = getAuditConfig();
+
+    for (let index = 1; index <= 4; index += 1) {
+        await writeAuditRecord({ ts: new Date().toISOString(), index }, cfg);
+    }
+
+    assert.deepEqual((await readRecords()).map(({ index }) => index), [4]);
+    assert.deepEqual((await readRecords(`${auditFile}.1`)).map(({ index }) => index), [3]);
+    assert.deepEqual((await readRecords(`${auditFile}.2`)).map(({ index }) => index), [2]);
+    await assert.rejects(fs.stat(`${auditFile}.3`), { code: 'ENOENT' });
+});
+
+test('the handler writes one record per generation and none for cache hits', async () => {
+    global.fetch = async () => geminiSuccess('Reach me at jane@example.com.');
+    const request = () => ({
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key', origin: 'https://site.example' },
+        body: { mode: 'project', itemId: 'proj1' }
+    });
+
+    const first = createMockResponse();
+    await handler(request(), first);
+    const cached = createMockResponse();
+    await handler(request(), cached);
+    assert.equal(cached.getHeader('X-Cache'), 'HIT');
+
+    const records = await readRecords();
+    assert.equal(records.length, 1);
+    const [record] = records;
+    assert.deepEqual(Object.keys(record), [
+        'ts', 'requestId', 'keyHash', 'origin', 'provider', 'model', 'mode', 'itemId', 'promptHash', 'output', 'finishReason'
+    ]);
+    assert.equal(record.requestId, first.getHeader('X-Request-Id'));
+    assert.equal(record.origin, 'https://site.example');
+    assert.equal(record.mode, 'project');
+    assert.equal(record.itemId, 'proj1');
+    assert.equal(record.output, 'Reach me at [EMAIL].');
+    assert.equal(record.finishReason, 'STOP');
+    assert.ok(!JSON.stringify(record).includes('test-key'));
+});
+
+test('a failing audit sink does not fail the request', async () => {
+    await fs.writeFile(path.join(tmpDir, 'logs'), 'not a directory');
+    global.fetch = async () => geminiSuccess('Insight');
+    const res = createMockResponse();
+
+    await handler({
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key' },
+        body: { mode: 'publication', itemId: 'pub1' }
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.text, 'Insight');
+});
+
+test('audit-query filters by date, origin, item and mode across rotated files', async () => {
+    const cfg = getAuditConfig();
+    await fs.mkdir(path.dirname(auditFile), { recursive: true });
+    await fs.writeFile(`${auditFile}.1`, [
+        JSON.stringify({ ts: '2026-10-01T09:00:00.000Z', origin: 'https://a.example', mode: 'project', itemId: 'proj1' }),
+        '{"torn":'
+    ].join('\n'));
+    await writeAuditRecord({ ts: '2026-10-02T23:30:00.000Z', origin: 'https://b.example', mode: 'batch', itemId: 'proj1' }, cfg);
+    await writeAuditRecord({ ts: '2026-10-03T08:00:00.000Z', origin: 'https://a.example', mode: 'general', itemId: null }, cfg);
+
+    const query = async (...argv) => (await queryAuditLog(parseArgs(argv))).map(({ ts }) => ts.slice(0, 10));
+
+    assert.deepEqual(await query(), ['2026-10-01', '2026-10-02', '2026-10-03']);
+    assert.deepEqual(await query('--since', '2026-10-02', '--until=2026-10-02'), ['2026-10-02']);
+    assert.deepEqual(await query('--origin', 'https://a.example'), ['2026-10-01', '2026-10-03']);
+    assert.deepEqual(await query('--item', 'proj1', '--mode', 'batch'), ['2026-10-02']);
+    assert.deepEqual(await query('--limit', '1'), ['2026-10-03']);
+    assert.throws(() => parseArgs(['--since', 'yesterday']), /--since must be a date/);
+    assert.throws(() => parseArgs(['--user', 'x']), /Unknown argument "--user"/);
+});
@@ -0,0 +1,182 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { validateBatchRequest, batchCost, mapWithConcurrency } = require('../lib/batch');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+const originalFetch = global.fetch;
+
+const createMockResponse = () => {
+    const headers = new Map();
+    return {
+        statusCode: 200,
+        headers,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name.toLowerCase(), value);
+        },
+        getHeader(name) {
+            return headers.get(name.toLowerCase());
+        },
+        end() {
+            return this;
+        }
+    };
+};
+
+const batchRequest = (body, headers = {}) => ({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key', ...headers },
+    body: { mode: 'batch', ...body }
+});
+
+const geminiText = (text) => ({ ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text }] } }] }) });
+
+beforeEach(() => {
+    setLogLevel('silent');
+    resetConfigOverrides();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('validateBatchRequest builds one prompt per unique catalog item', async () => {
+    const { items } = await validateBatchRequest({ itemIds: ['proj1', 'pub2', 'proj1'] });
+    assert.deepEqual(items.map(({ itemId }) => itemId), ['proj1', 'pub2']);
+    assert.match(items[0].prompt, /^Summarise the selected project "AI-Powered Production Rate Prediction"/);
+    assert.match(items[1].prompt, /^Summarise the key contribution of the publication "Middle-way flexible docking: Pose prediction/);
+
+    const error = async (body) => (await validateBatchRequest(body)).error;
+    assert.equal(await error({}), 'ItemIds is required.');
+    assert.equal(await error({ itemIds: ['proj1', 'nope'] }), 'Unknown itemId: nope.');
+    assert.equal(await error({ itemIds: ['proj1'], stream: true }), 'Batch requests cannot be streamed.');
+    assert.equal(await error({ itemIds: ['proj1'], followUp: 'Why?' }), 'Batch requests do not support follow-ups.');
+
+    setConfigOverrides({ batch: { maxItems: 1 } });
+    assert.equal(await error({ itemIds: ['proj1', 'proj2'] }), 'A batch may contain at most 1 items.');
+});
+
+test('batchCost weights uncached items and never exceeds the limit', () => {
+    assert.equal(batchCost(0, { maxRequests: 5 }), 0);
+    assert.equal(batchCost(1, { maxRequests: 5 }), 1);
+    assert.equal(batchCost(5, { maxRequests: 5 }), 3);
+    assert.equal(batchCost(20, { maxRequests: 5 }), 5);
+    assert.equal(batchCost(4, { maxRequests: 0 }, { itemCost: 1 }), 4);
+});
+
+test('mapWithConcurrency keeps result order and caps work in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (ms, index) => {
+        inFlight += 1;
+        peak = Math.max(peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        inFlight -= 1;
+        return index;
+    });
+    assert.deepEqual(results, [0, 1, 2, 3]);
+    assert.equal(peak, 2);
+});
+
+test('batch requests return per-item results and errors in one response', async () => {
+    global.fetch = async (url, init) => {
+        const prompt = JSON.parse(init.body).contents[0].parts[0].text;
+        if (prompt.includes('Fraud Detection API')) {
+            return { ok: false, status: 403, headers: new Map(), text: async () => 'forbidden' };
+        }
+        return geminiText(prompt.includes('publication') ? 'Publication insight' : 'Project insight');
+    };
+    const res = createMockResponse();
+
+    await handler(batchRequest({ itemIds: ['proj1', 'pub1', 'proj5'] }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.getHeader('X-Cache'), 'MISS');
+    assert.deepEqual(res.body.results.map(({ itemId, ok, text, code }) => ({ itemId, ok, text, code })), [
+        { itemId: 'proj1', ok: true, text: 'Project insight', code: undefined },
+        { itemId: 'pub1', ok: true, text: 'Publication insight', code: undefined },
+        { itemId: 'proj5', ok: false, text: undefined, code: 'INVALID_API_KEY' }
+    ]);
+});
+
+test('a batch is charged once by weight, and cached items are free', async () => {
+    setConfigOverrides({ rateLimit: { maxRequests: 5 } });
+    let calls = 0;
+    global.fetch = async () => {
+        calls += 1;
+        return geminiText('Insight');
+    };
+
+    const first = createMockResponse();
+    await handler(batchRequest({ itemIds: ['proj1', 'proj2', 'proj3', 'proj4'] }), first);
+    assert.equal(first.statusCode, 200);
+    assert.equal(calls, 4);
+    assert.equal(first.getHeader('X-RateLimit-Remaining'), 3);
+
+    const second = createMockResponse();
+    await handler(batchRequest({ itemIds: ['proj1', 'proj2', 'proj3', 'proj4', 'proj5'] }), second);
+    assert.equal(second.statusCode, 200);
+    assert.equal(calls, 5);
+    assert.equal(second.getHeader('X-RateLimit-Remaining'), 2);
+    assert.equal(second.body.results.filter(({ cached }) => cached).length, 4);
+
+    const cached = createMockResponse();
+    await handler(batchRequest({ itemIds: ['proj1', 'proj5'] }), cached);
+    assert.equal(cached.getHeader('X-Cache'), 'HIT');
+    assert.equal(cached.getHeader('X-RateLimit-Remaining'), 2);
+    assert.equal(calls, 5);
+});
+
+test('batch requests are rejected as a whole when the weighted charge does not fit', async () => {
+    setConfigOverrides({ rateLimit: { maxRequests: 2 }, batch: { itemCost: 1 } });
+    let calls = 0;
+    global.fetch = async () => {
+        calls += 1;
+        return geminiText('Insight');
+    };
+
+    const first = createMockResponse();
+    await handler(batchRequest({ itemIds: ['proj1'] }), first);
+    assert.equal(first.statusCode, 200);
+
+    const res = createMockResponse();
+    await handler(batchRequest({ itemIds: ['proj2', 'proj3'] }), res);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.equal(calls, 1);
+});
+
+test('batch requests validate their body before calling the provider', async () => {
+    global.fetch = async () => {
+        throw new Error('fetch should not be called');
+    };
+    const res = createMockResponse();
+
+    await handler(batchRequest({ itemIds: ['proj1'], stream: true }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+        error: 'Batch requests cannot be streamed.',
+        code: 'INVALID_REQUEST',
+        requestId: res.getHeader('X-Request-Id')
+    });
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLruCache } = require('../lib/cache');
+
+test('evicts the least recently used entry once full', () => {
+    const cache = createLruCache();
+    const cfg = { ttlMs: 1000, maxEntries: 2 };
+
+    cache.set('a', 1, cfg, 0);
+    cache.set('b', 2, cfg, 0);
+    assert.equal(cache.get('a', 1), 1);
+    cache.set('c', 3, cfg, 2);
+
+    assert.equal(cache.size, 2);
+    assert.equal(cache.get('b', 3), undefined);
+    assert.equal(cache.get('a', 3), 1);
+    assert.equal(cache.get('c', 3), 3);
+});
+
+test('expires entries after their TTL and ignores a disabled configuration', () => {
+    const cache = createLruCache();
+
+    cache.set('a', 1, { ttlMs: 10, maxEntries: 5 }, 0);
+    assert.equal(cache.get('a', 9), 1);
+    assert.equal(cache.get('a', 10), undefined);
+    assert.equal(cache.size, 0);
+
+    cache.set('b', 2, { ttlMs: 0, maxEntries: 5 }, 0);
+    assert.equal(cache.size, 0);
+});
@@ -0,0 +1,218 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const handler = require('../generate-insight');
+const { ConfigError, loadConfig, getConfig, checkConfig, setConfigDefaults, setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+const { compileOriginPattern, matchesOriginPattern } = require('../lib/origin-pattern');
+
+let tmpDir;
+
+function createMockResponse() {
+    const headers = new Map();
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name, value);
+        },
+        getHeader(name) {
+            return headers.get(name);
+        },
+        end() {}
+    };
+}
+
+const writeConfigFile = async (values) => {
+    const file = path.join(tmpDir, 'config.json');
+    await fs.writeFile(file, typeof values === 'string' ? values : JSON.stringify(values));
+    return file;
+};
+
+beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-test-'));
+    setLogLevel('silent');
+    resetConfigOverrides();
+    handler.__resetRateLimiter();
+});
+
+afterEach(async () => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('defaults apply when nothing is configured', () => {
+    const config = loadConfig({});
+
+    assert.deepEqual(config.request, { timeoutMs: 15_000, maxRetries: 1, deadlineMs: 25_000 });
+    assert.deepEqual(config.rateLimit, { maxRequests: 5, windowMs: 60_000, algorithm: 'fixed-window', store: 'memory', file: null, redisUrl: null });
+    assert.equal(config.cors.allowedOrigins, null);
+    assert.equal(config.providers.gemini.model, 'gemini-2.5-flash');
+});
+
+test('every invalid setting is reported at once, naming its source', () => {
+    assert.throws(() => loadConfig({
+        GENERATE_INSIGHT_MAX_RETRIES: 'ten',
+        GENERATE_INSIGHT_WINDOW_MS: '0',
+        LLM_PROVIDER: 'claude',
+        GENERATE_INSIGHT_SERVER_KEY_MODE: 'yes',
+        ALLOWED_ORIGINS: 'https://ok.example, https://bad.example/path',
+        OPENAI_BASE_URL: 'not a url'
+    }), (err) => {
+        assert.ok(err instanceof ConfigError);
+        assert.deepEqual(err.problems, [
+            'ALLOWED_ORIGINS has an invalid entry: it is invalid: "https://bad.example/path" is not an origin pattern (expected [scheme://]host[:port], without a path).',
+            'GENERATE_INSIGHT_MAX_RETRIES must be an integer between 0 and 3, got "ten".',
+            'GENERATE_INSIGHT_WINDOW_MS must be a number greater than 0, got "0".',
+            'GENERATE_INSIGHT_SERVER_KEY_MODE must be true or false, got "yes".',
+            'LLM_PROVIDER must be one of gemini, openai, local, got "claude".',
+            'OPENAI_BASE_URL must be a http or https URL.'
+        ]);
+        return true;
+    });
+    assert.throws(() => loadConfig({ GENERATE_INSIGHT_RATE_LIMIT_STORE: 'redis' }), {
+        message: /GENERATE_INSIGHT_REDIS_URL is required when GENERATE_INSIGHT_RATE_LIMIT_STORE is redis/
+    });
+});
+
+test('a JSON config file is layered under env and checked for unknown keys', async () => {
+    const file = await writeConfigFile({
+        rateLimit: { maxRequests: 10, windowMs: 1000 },
+        cors: { allowedOrigins: ['https://*.example.com'] },
+        providers: { gemini: { allowedModels: ['gemini-2.5-pro'] } }
+    });
+
+    const config = loadConfig({ GENERATE_INSIGHT_CONFIG_FILE: file, GENERATE_INSIGHT_MAX_REQUESTS: '3' });
+    assert.equal(config.rateLimit.maxRequests, 3);
+    assert.equal(config.rateLimit.windowMs, 1000);
+    assert.deepEqual(config.cors.allowedOrigins, ['https://*.example.com']);
+    assert.deepEqual(config.providers.gemini.allowedModels, ['gemini-2.5-pro']);
+
+    const typo = await writeConfigFile({ rateLimit: { maxRequest: 10 }, batch: { maxItems: 0 } });
+    assert.throws(() => loadConfig({ GENERATE_INSIGHT_CONFIG_FILE: typo }), (err) => {
+        assert.deepEqual(err.problems, [
+            'config.json: unknown setting "rateLimit.maxRequest".',
+            'config.json batch.maxItems must be an integer of at least 1, got 0.'
+        ]);
+        return true;
+    });
+
+    const broken = await writeConfigFile('{ "rateLimit": ');
+    assert.throws(() => loadConfig({ GENERATE_INSIGHT_CONFIG_FILE: broken }), { message: /config\.json is not valid JSON/ });
+    assert.throws(() => loadConfig({ GENERATE_INSIGHT_CONFIG_FILE: path.join(tmpDir, 'missing.json') }), {
+        message: /GENERATE_INSIGHT_CONFIG_FILE: cannot read .*missing\.json \(ENOENT\)/
+    });
+});
+
+test('the loaded config is frozen and overrides apply without touching process.env', () => {
+    const config = getConfig();
+    assert.ok(Object.isFrozen(config.rateLimit));
+    assert.ok(Object.isFrozen(config.providers.gemini.allowedModels));
+    assert.throws(() => {
+        'use strict';
+        config.rateLimit.maxRequests = 100;
+    }, TypeError);
+    assert.equal(getConfig(), config, 'the config is loaded once');
+
+    const envBefore = { ...process.env };
+    setConfigOverrides({ rateLimit: { maxRequests: 1 }, guardrails: { injectionPolicy: 'reject' } });
+    assert.equal(getConfig().rateLimit.maxRequests, 1);
+    assert.equal(getConfig().guardrails.injectionPolicy, 'reject');
+    assert.deepEqual({ ...process.env }, envBefore);
+
+    resetConfigOverrides();
+    assert.equal(getConfig().rateLimit.maxRequests, 5);
+});
+
+test('runtime defaults sit below the config file and env', () => {
+    const defaults = { providers: { gemini: { baseUrl: 'http://127.0.0.1:3000/__mock/gemini/v1beta/models/' } } };
+
+    assert.equal(loadConfig({}, {}, defaults).providers.gemini.baseUrl, defaults.providers.gemini.baseUrl);
+    assert.equal(loadConfig({ GEMINI_BASE_URL: 'https://llm.example/v1' }, {}, defaults).providers.gemini.baseUrl, 'https://llm.example/v1');
+    assert.throws(() => loadConfig({}, {}, { rateLimit: { maxRequest: 1 } }), {
+        message: /Config default: unknown setting "rateLimit\.maxRequest"/
+    });
+
+    setConfigDefaults(defaults);
+    try {
+        assert.equal(getConfig().providers.gemini.baseUrl, defaults.providers.gemini.baseUrl);
+    } finally {
+        setConfigDefaults({});
+    }
+});
+
+test('handlers answer SERVER_MISCONFIGURED while the configuration is invalid', async () => {
+    setConfigOverrides({ request: { timeoutMs: 'soon' } });
+    global.fetch = async () => {
+        throw new Error('fetch should not be called');
+    };
+    const res = createMockResponse();
+
+    await handler({
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key' },
+        body: { mode: 'project', itemId: 'proj1' }
+    }, res);
+
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, {
+        error: 'The server configuration is invalid.',
+        code: 'SERVER_MISCONFIGURED',
+        requestId: res.getHeader('X-Request-Id')
+    });
+    delete global.fetch;
+});
+
+test('an invalid configuration is logged once per load', () => {
+    const errors = [];
+    const log = { error: (msg, fields) => errors.push([msg, fields]) };
+    setConfigOverrides({ request: { timeoutMs: 'soon' } });
+
+    assert.equal(checkConfig(log), false);
+    assert.equal(checkConfig(log), false);
+    assert.equal(errors.length, 1);
+    assert.deepEqual(errors[0][1].problems, ['Config override request.timeoutMs must be a number greater than 0, got "soon".']);
+
+    setConfigOverrides({ request: { timeoutMs: 'later' } });
+    assert.equal(checkConfig(log), false);
+    assert.equal(errors.length, 2);
+});
+
+test('origin patterns support schemes, ports and one- or multi-level wildcards', () => {
+    const matches = (pattern, origin) => matchesOriginPattern(origin, compileOriginPattern(pattern));
+
+    assert.ok(matches('https://*.example.com', 'https://app.example.com'));
+    assert.ok(!matches('https://*.example.com', 'http://app.example.com'));
+    assert.ok(matches('*.vercel.app', 'https://vercel.app'), 'a leading *. keeps covering the apex');
+    assert.ok(matches('*.vercel.app', 'https://a.b.vercel.app'));
+    assert.ok(matches('https://*.vercel.app', 'https://preview.vercel.app:3000'));
+    assert.ok(!matches('*.vercel.app', 'https://vercel.app.evil.test'));
+    assert.ok(!matches('*.vercel.app', 'https://evilvercel.app'));
+    assert.ok(matches('https://*.example.com:443', 'https://app.example.com'));
+    assert.ok(!matches('https://*.example.com:443', 'https://a.b.example.com'));
+    assert.ok(!matches('https://*.example.com:443', 'https://example.com'));
+    assert.ok(matches('**.example.com', 'http://a.b.example.com'));
+    assert.ok(!matches('**.example.com', 'https://example.com.evil.test'));
+    assert.ok(matches('https://preview-*.vercel.app', 'https://preview-42-team.vercel.app'));
+    assert.ok(matches('http://localhost:*', 'http://localhost:5173'));
+    assert.ok(!matches('http://localhost', 'http://localhost:5173'));
+    assert.ok(matches('https://example.com:443', 'https://example.com'));
+    assert.ok(matches('example.com:8443', 'https://example.com:8443'));
+    assert.ok(!matches('example.com:8443', 'https://example.com'));
+
+    assert.throws(() => compileOriginPattern('ftp://example.com'), /must use http or https/);
+    assert.throws(() => compileOriginPattern('https://exa mple.com'), /invalid host/);
+    assert.throws(() => compileOriginPattern('https://example.com:99999'), /invalid port/);
+});
@@ -0,0 +1,118 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { validateConversation } = require('../lib/conversation');
+const openai = require('../lib/providers/openai');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+const originalFetch = global.fetch;
+
+beforeEach(() => {
+    setLogLevel('silent');
+    resetConfigOverrides();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('validateConversation appends the follow-up to alternating model/user turns', () => {
+    assert.deepEqual(validateConversation({}), { conversation: [] });
+    assert.deepEqual(validateConversation({
+        history: [
+            { role: 'model', text: 'First answer' },
+            { role: 'user', text: 'Shorter?' },
+            { role: 'model', text: 'Short answer', extra: 'dropped' }
+        ],
+        followUp: '  And the risks? '
+    }), {
+        conversation: [
+            { role: 'model', text: 'First answer' },
+            { role: 'user', text: 'Shorter?' },
+            { role: 'model', text: 'Short answer' },
+            { role: 'user', text: 'And the risks?' }
+        ]
+    });
+});
+
+test('validateConversation rejects malformed or oversized threads', () => {
+    const error = (body) => validateConversation(body).error;
+    const answer = { role: 'model', text: 'Answer' };
+
+    assert.equal(error({ followUp: 'Why?' }), 'History must be a non-empty array when sending a follow-up.');
+    assert.equal(error({ history: [{ role: 'user', text: 'Hi' }], followUp: 'Why?' }), 'History turn 1 must be a model turn.');
+    assert.equal(error({ history: [answer, { role: 'user', text: 'Q' }], followUp: 'Why?' }), 'History must end with a model turn.');
+    assert.equal(error({ history: [answer] }), 'Follow-up is required.');
+
+    setConfigOverrides({ conversation: { maxTurns: 1 } });
+    assert.equal(
+        error({ history: [answer, { role: 'user', text: 'Q' }, answer], followUp: 'Why?' }),
+        'History may contain at most 1 turns.'
+    );
+
+    setConfigOverrides({ conversation: { maxTurns: 1, maxChars: 10 } });
+    const tooLong = validateConversation({ history: [answer], followUp: 'Why is that?' });
+    assert.deepEqual(tooLong, { status: 413, code: 'PROMPT_TOO_LONG', error: 'Conversation is too long. Start a new insight.' });
+});
+
+test('follow-ups are sent to Gemini as multi-turn contents after the server-built prompt', async () => {
+    let sentBody;
+    global.fetch = async (url, init) => {
+        sentBody = JSON.parse(init.body);
+        return { ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: 'Refined' }] } }] }) };
+    };
+    const res = {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader() {},
+        end() {}
+    };
+
+    await handler({
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key' },
+        body: {
+            mode: 'project',
+            itemId: 'proj1',
+            history: [{ role: 'model', text: 'Original insight' }],
+            followUp: 'Make it one sentence.'
+        }
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.text, 'Refined');
+    assert.deepEqual(sentBody.contents.map(({ role }) => role), ['user', 'model', 'user']);
+    assert.match(sentBody.contents[0].parts[0].text, /^Summarise the selected project/);
+    assert.equal(sentBody.contents[1].parts[0].text, 'Original insight');
+    // Visitor turns are delimited like the topic and question in the first prompt.
+    assert.equal(sentBody.contents[2].parts[0].text, '<user_input>\nMake it one sentence.\n</user_input>');
+});
+
+test('the OpenAI adapter maps model turns to assistant messages', () => {
+    const { init } = openai.buildRequest({
+        prompt: 'Prompt',
+        apiKey: 'k',
+        conversation: [{ role: 'model', text: 'Answer' }, { role: 'user', text: 'More?' }]
+    });
+    assert.deepEqual(JSON.parse(init.body).messages, [
+        { role: 'user', content: 'Prompt' },
+        { role: 'assistant', content: 'Answer' },
+        { role: 'user', content: 'More?' }
+    ]);
+});
@@ -0,0 +1,117 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { createDevServer, parseMockMode } = require('../scripts/dev-server');
+const { setConfigDefaults, setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+
+let server;
+
+const start = async (mockMode, env = {}) => {
+    server = createDevServer({ mockMode, env: { DEV_MOCK_CHUNK_DELAY_MS: '0', ...env } });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+};
+
+const generate = (baseUrl, body) => fetch(`${baseUrl}/api/generate-insight`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Gemini-Api-Key': 'any-key' },
+    body: JSON.stringify(body)
+});
+
+beforeEach(() => {
+    setLogLevel('silent');
+    setConfigOverrides({ request: { maxRetries: 0 } });
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+});
+
+afterEach(async () => {
+    resetConfigOverrides();
+    setConfigDefaults({});
+    setLogLevel(null);
+    if (server) {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+        server = null;
+    }
+});
+
+test('parseMockMode reads the --mock flag or DEV_MOCK_UPSTREAM', () => {
+    assert.equal(parseMockMode([], {}), null);
+    assert.equal(parseMockMode(['--mock'], {}), 'canned');
+    assert.equal(parseMockMode(['--mock=stream'], {}), 'stream');
+    assert.equal(parseMockMode([], { DEV_MOCK_UPSTREAM: 'safety' }), 'safety');
+    assert.equal(parseMockMode([], { DEV_MOCK_UPSTREAM: 'off' }), null);
+    assert.throws(() => parseMockMode(['--mock=flaky'], {}), /Unknown mock mode "flaky"/);
+});
+
+test('serves public/ and refuses paths outside it', async () => {
+    const baseUrl = await start(null);
+
+    const index = await fetch(`${baseUrl}/`);
+    assert.equal(index.status, 200);
+    assert.match(index.headers.get('content-type'), /^text\/html/);
+    assert.match(await index.text(), /<html/i);
+
+    const script = await fetch(`${baseUrl}/js/modules/dom.js`);
+    assert.match(script.headers.get('content-type'), /^text\/javascript/);
+
+    assert.equal((await fetch(`${baseUrl}/%2e%2e/package.json`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/missing.html`)).status, 404);
+});
+
+test('routes the generator to the mock upstream end to end', async () => {
+    const baseUrl = await start('canned');
+
+    const res = await generate(baseUrl, { mode: 'project', itemId: 'proj1' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.match(body.text, /^\(Mock insight\) AI-Powered Production Rate Prediction/);
+    assert.equal(body.finishReason, 'STOP');
+    assert.ok(body.usage.totalTokens > 0);
+    assert.ok(res.headers.get('x-request-id'));
+
+    const structured = await generate(baseUrl, { mode: 'project', itemId: 'proj1', format: 'structured' });
+    assert.equal(structured.status, 200);
+    assert.equal((await structured.json()).structured.headline, '(Mock) AI-Powered Production Rate Prediction');
+});
+
+test('streams mock chunks through the handler as SSE', async () => {
+    const baseUrl = await start('stream');
+
+    const res = await generate(baseUrl, { mode: 'general', topic: 'Edge AI', stream: true });
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    const raw = await res.text();
+    const chunks = raw.split('\n\n').filter((event) => event.startsWith('event: chunk'));
+    assert.ok(chunks.length > 5);
+    assert.match(raw, /event: done\ndata: \{"text":"\(Mock insight\) Edge AI shows/);
+});
+
+test('mock safety and error modes surface as the API error taxonomy', async () => {
+    let baseUrl = await start('safety');
+    let res = await generate(baseUrl, { mode: 'project', itemId: 'proj2' });
+    assert.equal(res.status, 422);
+    assert.equal((await res.json()).code, 'SAFETY_BLOCKED');
+
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    baseUrl = await start('error', { DEV_MOCK_ERROR_STATUS: '500' });
+    res = await generate(baseUrl, { mode: 'project', itemId: 'proj2' });
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).code, 'UPSTREAM_UNAVAILABLE');
+});
+
+test('rejects malformed JSON bodies with INVALID_REQUEST', async () => {
+    const baseUrl = await start('canned');
+
+    const res = await fetch(`${baseUrl}/api/generate-insight`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"mode":'
+    });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'INVALID_REQUEST');
+});
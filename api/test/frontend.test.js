@@ -4,6 +4,17 @@ const path = require('node:path');
 const { pathToFileURL } = require('node:url');
 
 const modulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'ai-generator.js')).href;
+const sessionModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'session.js')).href;
+const sseModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'sse.js')).href;
+const settingsModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'generation-settings.js')).href;
+const markdownModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'markdown.js')).href;
+const cardModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'insight-card.js')).href;
+const profileModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'profile-renderer.js')).href;
+const historyStoreModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'history-store.js')).href;
+const historyDrawerModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'history-drawer.js')).href;
+const exportModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'profile-export.js')).href;
+const requestControllerModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'request-controller.js')).href;
+const catalogModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'data', 'catalog.js')).href;
 
 class MockElement {
     constructor(tagName) {
@@ -32,21 +43,6 @@ class MockElement {
     }
 }
 
-test('prompt builders produce contextualised strings', async () => {
-    const { buildProjectPrompt, buildPublicationPrompt, buildGeneralPrompt } = await import(modulePath);
-
-    const projectPrompt = buildProjectPrompt('AI Project', 'Predictive maintenance');
-    assert.match(projectPrompt, /AI Project/);
-    assert.match(projectPrompt, /Predictive maintenance/);
-
-    const publicationPrompt = buildPublicationPrompt('Research Paper', 'Deep learning approach');
-    assert.match(publicationPrompt, /Research Paper/);
-    assert.match(publicationPrompt, /Deep learning approach/);
-
-    const generalPrompt = buildGeneralPrompt('Ethical AI');
-    assert.match(generalPrompt, /Ethical AI/);
-});
-
 test('populateContextSelect creates optgroups with options', async () => {
     const { populateContextSelect } = await import(modulePath);
     const selectElement = new MockElement('select');
@@ -70,6 +66,579 @@ test('populateContextSelect creates optgroups with options', async () => {
     assert.equal(projGroup.tagName, 'optgroup');
     assert.equal(pubGroup.children.length, 1);
     assert.equal(projGroup.children.length, 1);
-    assert.equal(pubGroup.children[0].value, 'Details');
-    assert.equal(projGroup.children[0].value, 'Impact');
+    assert.equal(pubGroup.children[0].value, 'pub');
+    assert.equal(projGroup.children[0].value, 'proj');
+    assert.equal(pubGroup.children[0].textContent, 'Publication');
+});
+
+test('describeApiError maps error codes to actionable messages', async () => {
+    const { describeApiError } = await import(modulePath);
+
+    assert.match(describeApiError('INVALID_API_KEY', 'ignored'), /API key was rejected/);
+    assert.match(describeApiError('UPSTREAM_QUOTA', 'ignored'), /run out of quota/);
+    assert.match(describeApiError('SAFETY_BLOCKED', 'ignored'), /safety reasons/);
+    assert.equal(describeApiError('SOMETHING_NEW', 'Server message.'), 'Server message.');
+    assert.equal(describeApiError(undefined, 'Server message.'), 'Server message.');
+});
+
+test('readSseEvents reassembles events split across chunks', async () => {
+    const { readSseEvents } = await import(sseModulePath);
+    const encoder = new TextEncoder();
+    const chunks = ['event: chunk\r\ndata: {"text":"Hel', 'lo"}\r', '\n\r\n: keep-alive\n\n', 'event: done\ndata: {"text":"Hello"}'];
+    let index = 0;
+    const body = {
+        getReader: () => ({
+            read: async () => (index < chunks.length
+                ? { value: encoder.encode(chunks[index++]), done: false }
+                : { value: undefined, done: true })
+        })
+    };
+
+    const events = [];
+    for await (const event of readSseEvents(body)) {
+        events.push(event);
+    }
+
+    assert.deepEqual(events, [
+        { event: 'chunk', data: '{"text":"Hello"}' },
+        { event: 'done', data: '{"text":"Hello"}' }
+    ]);
+});
+
+test('createSessionClient reuses tokens until they are about to expire', async () => {
+    const { createSessionClient } = await import(sessionModulePath);
+    const calls = [];
+    let issued = 0;
+    const fetcher = async (url, options) => {
+        calls.push([url, options.method]);
+        if (options.method === 'GET') {
+            return { ok: true, json: async () => ({ serverManaged: true, models: ['gemini-2.5-flash', 'gemini-2.5-pro'] }) };
+        }
+        issued += 1;
+        return { ok: true, json: async () => ({ token: `token-${issued}`, expiresAt: new Date(60_000).toISOString() }) };
+    };
+    let currentTime = 0;
+    const client = createSessionClient({ fetcher, now: () => currentTime });
+
+    assert.equal(await client.isServerManaged(), true);
+    assert.deepEqual(await client.allowedModels(), ['gemini-2.5-flash', 'gemini-2.5-pro']);
+    assert.equal(await client.getToken(), 'token-1');
+    assert.equal(await client.getToken(), 'token-1');
+    currentTime = 45_000;
+    assert.equal(await client.getToken(), 'token-2');
+    client.invalidate();
+    assert.equal(await client.getToken(), 'token-3');
+    assert.deepEqual(calls[0], ['/api/session', 'GET']);
+    assert.equal(calls.filter(([, method]) => method === 'GET').length, 1);
+});
+
+test('createSessionClient issues one token for concurrent callers and retries after a failure', async () => {
+    const { createSessionClient } = await import(sessionModulePath);
+    let posts = 0;
+    const fetcher = async () => {
+        posts += 1;
+        if (posts === 1) {
+            return { ok: false, json: async () => ({ error: 'Session limit reached.' }) };
+        }
+        return { ok: true, json: async () => ({ token: `token-${posts}`, expiresAt: new Date(60_000).toISOString() }) };
+    };
+    const client = createSessionClient({ fetcher, now: () => 0 });
+
+    const failures = await Promise.allSettled([client.getToken(), client.getToken()]);
+    assert.deepEqual(failures.map(({ reason }) => reason.message), ['Session limit reached.', 'Session limit reached.']);
+    assert.equal(posts, 1);
+
+    assert.deepEqual(await Promise.all([client.getToken(), client.getToken()]), ['token-2', 'token-2']);
+    assert.equal(posts, 2);
+});
+
+test('project and publication requests stream as text unless structured cards are turned on', async () => {
+    const { itemInsightRequest, streamsInsight } = await import(modulePath);
+    const toggle = { checked: false };
+    const mockDocument = { getElementById: (id) => (id === 'settingsStructured' ? toggle : null) };
+
+    const project = itemInsightRequest('project', 'proj1', mockDocument);
+    assert.deepEqual(project, { mode: 'project', itemId: 'proj1' });
+    assert.equal(streamsInsight(project, true), true);
+    assert.equal(streamsInsight(project, false), false);
+
+    toggle.checked = true;
+    const publication = itemInsightRequest('publication', 'pub1', mockDocument);
+    assert.deepEqual(publication, { mode: 'publication', itemId: 'pub1', format: 'structured' });
+    assert.equal(streamsInsight(publication, true), false);
+});
+
+test('readGenerationSettings omits empty fields and expands the safety threshold', async () => {
+    const { readGenerationSettings } = await import(settingsModulePath);
+    const fields = {
+        settingsModel: { value: 'gemini-2.5-pro' },
+        settingsTemperature: { value: '0.3' },
+        settingsMaxOutputTokens: { value: '' },
+        settingsTopP: { value: 'abc' },
+        settingsSafety: { value: 'BLOCK_ONLY_HIGH' }
+    };
+    const mockDocument = { getElementById: (id) => fields[id] || null };
+
+    assert.deepEqual(readGenerationSettings(mockDocument), {
+        model: 'gemini-2.5-pro',
+        temperature: 0.3,
+        safety: {
+            harassment: 'BLOCK_ONLY_HIGH',
+            hateSpeech: 'BLOCK_ONLY_HIGH',
+            sexuallyExplicit: 'BLOCK_ONLY_HIGH',
+            dangerousContent: 'BLOCK_ONLY_HIGH'
+        }
+    });
+    assert.deepEqual(readGenerationSettings({ getElementById: () => null }), {});
+});
+
+test('populateModelSelect offers the models the server allows', async () => {
+    const { populateModelSelect } = await import(settingsModulePath);
+    const select = new MockElement('select');
+    const mockDocument = { createElement: (tag) => new MockElement(tag) };
+
+    populateModelSelect(select, ['gemini-2.5-flash', 'gemini-2.5-pro'], mockDocument);
+
+    assert.deepEqual(select.children.map(({ value, textContent }) => [value, textContent]), [
+        ['gemini-2.5-flash', 'gemini-2.5-flash'],
+        ['gemini-2.5-pro', 'gemini-2.5-pro']
+    ]);
+});
+
+test('nextThread starts a thread on a first answer and extends it on follow-ups', async () => {
+    const { nextThread } = await import(modulePath);
+
+    const first = nextThread({ mode: 'project', itemId: 'proj1' }, 'Answer one');
+    assert.deepEqual(first, {
+        request: { mode: 'project', itemId: 'proj1' },
+        history: [{ role: 'model', text: 'Answer one' }]
+    });
+
+    const second = nextThread({ ...first.request, history: first.history, followUp: 'Shorter?' }, 'Answer two');
+    assert.deepEqual(second, {
+        request: { mode: 'project', itemId: 'proj1' },
+        history: [
+            { role: 'model', text: 'Answer one' },
+            { role: 'user', text: 'Shorter?' },
+            { role: 'model', text: 'Answer two' }
+        ]
+    });
+});
+
+test('fillItemInsights writes batch results into each item and counts failures', async () => {
+    const { fillItemInsights } = await import(modulePath);
+    const createArea = () => {
+        const area = new MockElement('p');
+        area.classes = new Set(['item-insight', 'hidden']);
+        area.classList = { toggle: (name, force) => (force ? area.classes.add(name) : area.classes.delete(name)) };
+        return area;
+    };
+    const areas = { proj1: createArea(), pub1: createArea() };
+    const mockDocument = {
+        querySelector: (selector) => {
+            const id = selector.match(/data-item-id="(.+)"/)?.[1];
+            return areas[id] ? { querySelector: () => areas[id] } : null;
+        },
+        createElement: (tag) => new MockElement(tag),
+        createTextNode: (text) => ({ text })
+    };
+
+    const failed = fillItemInsights([
+        { itemId: 'proj1', ok: true, text: 'Project insight' },
+        { itemId: 'pub1', ok: false, code: 'SAFETY_BLOCKED', error: 'Blocked.' },
+        { itemId: 'missing', ok: false, code: 'UPSTREAM_ERROR', error: 'Failed.' }
+    ], mockDocument);
+
+    assert.equal(failed, 2);
+    assert.equal(areas.proj1.children[0].tagName, 'p');
+    assert.deepEqual(areas.proj1.children[0].children, [{ text: 'Project insight' }]);
+    assert.equal(areas.proj1.classes.has('hidden'), false);
+    assert.match(areas.pub1.textContent, /declined this request for safety reasons/);
+    assert.equal(areas.pub1.classes.has('text-red-700'), true);
+});
+
+test('generate-all disables its trigger while running and Cancel aborts the batch request', async () => {
+    const { registerGenerateAllHandler } = await import(modulePath);
+    const createControl = () => {
+        const control = { disabled: false, classes: new Set(['hidden']), listeners: {}, textContent: '' };
+        control.classList = { toggle: (name, force) => (force ? control.classes.add(name) : control.classes.delete(name)) };
+        control.addEventListener = (type, listener) => {
+            control.listeners[type] = listener;
+        };
+        return control;
+    };
+    const button = createControl();
+    const cancelButton = createControl();
+    const statusElement = createControl();
+    let sent;
+    const fetcher = (url, init) => {
+        sent = init;
+        return new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(init.signal.reason));
+        });
+    };
+
+    registerGenerateAllHandler({
+        button,
+        cancelButton,
+        statusElement,
+        rootDocument: { getElementById: () => null },
+        fetcher,
+        resolveAuthHeaders: async () => ({ 'X-Gemini-Api-Key': 'key' })
+    });
+    const running = button.listeners.click();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(JSON.parse(sent.body).mode, 'batch');
+    assert.equal(button.disabled, true);
+    assert.equal(cancelButton.classes.has('hidden'), false);
+
+    cancelButton.listeners.click();
+    await running;
+    assert.equal(sent.signal.aborted, true);
+    assert.equal(button.disabled, false);
+    assert.equal(cancelButton.classes.has('hidden'), true);
+    assert.equal(statusElement.textContent, 'Generation cancelled.');
+});
+
+test('formatUsage renders tokens used and the daily allowance left', async () => {
+    const { formatUsage } = await import(modulePath);
+    assert.equal(
+        formatUsage({ promptTokens: 80, outputTokens: 232, totalTokens: 312 }, { limit: 5000, remaining: 4120 }),
+        '312 tokens · 4,120 left today'
+    );
+    assert.equal(formatUsage({ totalTokens: 1200 }, null), '1,200 tokens');
+    assert.equal(formatUsage(null, undefined), '');
+});
+
+test('parseMarkdown handles the block and inline subset', async () => {
+    const { parseMarkdown } = await import(markdownModulePath);
+    const blocks = parseMarkdown([
+        '# Impact',
+        'The model **cut downtime** by *12%* using `xgboost`.',
+        '',
+        '- First point',
+        '- Second point',
+        '  continued',
+        '1. Step one',
+        '> Quoted',
+        '---',
+        '```',
+        '**not bold**',
+        '```'
+    ].join('\n'));
+
+    assert.deepEqual(blocks.map(({ type }) => type), ['h4', 'p', 'ul', 'ol', 'blockquote', 'hr', 'pre']);
+    assert.deepEqual(blocks[1].children, [
+        'The model ',
+        { type: 'strong', children: ['cut downtime'] },
+        ' by ',
+        { type: 'em', children: ['12%'] },
+        ' using ',
+        { type: 'code', children: ['xgboost'] },
+        '.'
+    ]);
+    assert.deepEqual(blocks[2].children[1].children, ['Second point', ' ', 'continued']);
+    assert.deepEqual(blocks[6].children, [{ type: 'code', children: ['**not bold**'] }]);
+    assert.deepEqual(parseMarkdown('snake_case_name stays'), [{ type: 'p', children: ['snake_case_name stays'] }]);
+});
+
+test('parseMarkdown keeps safe links and strips unsafe schemes', async () => {
+    const { parseInline, safeHref } = await import(markdownModulePath);
+    assert.deepEqual(parseInline('[docs](https://example.com/a)'), [
+        { type: 'a', href: 'https://example.com/a', children: ['docs'] }
+    ]);
+    assert.deepEqual(parseInline('[click](javascript:alert(1))'), ['click', ')']);
+    assert.equal(safeHref('java\tscript:alert(1)'), null);
+    assert.equal(safeHref('data:text/html,<script>'), null);
+    assert.equal(safeHref('/relative'), null);
+    assert.equal(safeHref('mailto:someone@example.com'), 'mailto:someone@example.com');
+});
+
+test('renderMarkdown builds allow-listed elements and text nodes only', async () => {
+    const { renderMarkdown, markdownToPlainText } = await import(markdownModulePath);
+    const created = [];
+    const mockDocument = {
+        createElement: (tag) => {
+            const element = new MockElement(tag);
+            element.setAttribute = (name, value) => element.attributes.set(name, value);
+            created.push(tag);
+            return element;
+        },
+        createTextNode: (text) => ({ text })
+    };
+    const container = new MockElement('div');
+    const markdown = '<img src=x onerror=alert(1)> and [site](https://example.com)\n\n- **One**\n- Two';
+
+    renderMarkdown(container, markdown, mockDocument);
+
+    assert.deepEqual(created, ['p', 'a', 'ul', 'li', 'strong', 'li']);
+    const [paragraph, list] = container.children;
+    assert.deepEqual(paragraph.children[0], { text: '<img src=x onerror=alert(1)> and ' });
+    assert.equal(paragraph.children[1].attributes.get('href'), 'https://example.com/');
+    assert.equal(paragraph.children[1].attributes.get('rel'), 'noopener noreferrer nofollow');
+    assert.equal(list.children.length, 2);
+
+    assert.equal(
+        markdownToPlainText('## Title\n\n- **One**\n- Two\n\n1. A'),
+        'Title\n\n• One\n• Two\n\n1. A'
+    );
+});
+
+test('renderInsightCard lays out structured fields as a labeled card', async () => {
+    const { renderInsightCard, insightCardToPlainText } = await import(cardModulePath);
+    const insight = {
+        headline: 'Fraud detection',
+        problem: 'Fraud hides in large datasets.',
+        approach: 'Supervised and unsupervised models.',
+        impact: 'Fewer losses.',
+        skills: ['Python', 'Kafka'],
+        oneLiner: 'Flagged fraud in real time.'
+    };
+    const container = new MockElement('div');
+
+    renderInsightCard(container, insight, { createElement: (tag) => new MockElement(tag) });
+
+    const [headline, fields, oneLiner] = container.children;
+    assert.equal(headline.textContent, 'Fraud detection');
+    assert.deepEqual(
+        fields.children.filter(({ tagName }) => tagName === 'dt').map(({ textContent }) => textContent),
+        ['Problem', 'Approach', 'Impact', 'Skills']
+    );
+    assert.deepEqual(fields.children.at(-1).children[0].children.map(({ textContent }) => textContent), ['Python', 'Kafka']);
+    assert.equal(oneLiner.textContent, 'Flagged fraud in real time.');
+    assert.equal(
+        insightCardToPlainText(insight),
+        'Fraud detection\nProblem: Fraud hides in large datasets.\nApproach: Supervised and unsupervised models.\n' +
+            'Impact: Fewer losses.\nSkills: Python, Kafka\nFlagged fraud in real time.'
+    );
+});
+
+test('renderProfile builds every section from the profile model', async () => {
+    const { renderProfile, formatMonth } = await import(profileModulePath);
+    const catalog = await import(catalogModulePath);
+    const containers = new Map();
+    const mockDocument = {
+        getElementById: (id) => {
+            if (!containers.has(id)) {
+                const element = new MockElement('div');
+                element.setAttribute = (name, value) => element.attributes.set(name, value);
+                containers.set(id, element);
+            }
+            return containers.get(id);
+        },
+        createElement: (tag) => {
+            const element = new MockElement(tag);
+            element.setAttribute = (name, value) => element.attributes.set(name, value);
+            return element;
+        },
+        createTextNode: (text) => ({ text })
+    };
+
+    renderProfile(catalog, mockDocument);
+
+    assert.equal(containers.get('profileName').textContent, catalog.profile.name);
+    assert.equal(containers.get('contactEmail').textContent, catalog.profile.email);
+    assert.equal(containers.get('profilePhoto').attributes.get('alt'), catalog.profile.photo.alt);
+    assert.equal(mockDocument.title, `Interactive Resume - ${catalog.profile.name}`);
+
+    const timeline = containers.get('timeline').children;
+    assert.equal(timeline.length, catalog.experience.length);
+    assert.equal(timeline[0].className, 'timeline-item group active');
+    assert.equal(timeline[1].children[0].children[0].children[1].textContent, 'Shell India | November 2017 - June 2022');
+    assert.equal(formatMonth(null), 'Present');
+
+    const [phd] = containers.get('educationList').children;
+    assert.equal(phd.children[0].tagName, 'strong');
+    assert.deepEqual(phd.children[1], { text: ' - University of Madras, Chennai' });
+    assert.equal(containers.get('awardsList').children[1].textContent, 'DAAD Fellowship, Germany (2008)');
+
+    const projects = containers.get('projectGrid').children;
+    assert.deepEqual(projects.map((item) => item.attributes.get('data-item-id')), catalog.projects.map(({ id }) => id));
+    const [pub1] = containers.get('publicationList').children;
+    assert.equal(pub1.className.split(' ')[0], 'publication-item');
+    assert.equal(pub1.children[1].children[0].tagName, 'em');
+    assert.equal(pub1.children[4].className.split(' ')[0], 'generate-publication-insight');
+});
+
+test('resolveContextDetails reads titles from the profile model', async () => {
+    const { resolveContextDetails } = await import(modulePath);
+    const item = (id) => ({ getAttribute: (name) => (name === 'data-item-id' ? id : null) });
+
+    assert.deepEqual(resolveContextDetails(item('pub2')), {
+        itemId: 'pub2',
+        title: 'Middle-way flexible docking: Pose prediction using mixed-resolution Monte Carlo in estrogen receptor α'
+    });
+    assert.deepEqual(resolveContextDetails(item('unknown')), { itemId: 'unknown', title: '' });
+    assert.deepEqual(resolveContextDetails(null), { itemId: '', title: '' });
+});
+
+test('createHistoryStore falls back to localStorage, prunes unpinned entries and searches', async () => {
+    const { createHistoryStore, searchHistory } = await import(historyStoreModulePath);
+    const values = new Map();
+    const storage = {
+        getItem: (key) => values.get(key) ?? null,
+        setItem: (key, value) => values.set(key, value),
+        removeItem: (key) => values.delete(key)
+    };
+    const brokenIndexedDb = {
+        open: () => {
+            throw new Error('SecurityError');
+        }
+    };
+    let clock = Date.parse('2026-10-01T12:00:00Z');
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        const store = createHistoryStore({ indexedDB: brokenIndexedDb, storage, maxEntries: 2, now: () => (clock += 1000) });
+
+        const first = await store.add({ mode: 'general', title: 'Edge AI', text: 'Edge **AI** insight', model: 'gemini-2.5-flash' });
+        await store.setPinned(first.id, true);
+        await store.add({ mode: 'project', itemId: 'proj1', title: 'Production rate', text: 'Second' });
+        await store.add({ mode: 'project', itemId: 'proj2', title: 'Unburnt fuel', text: 'Third' });
+        await store.add({ mode: 'publication', itemId: 'pub1', title: 'Folding times', text: 'Fourth' });
+
+        const records = await store.list();
+        assert.deepEqual(records.map(({ title }) => title), ['Folding times', 'Unburnt fuel', 'Edge AI']);
+        assert.equal(JSON.parse(values.get('ai-generator-history')).length, 3);
+        assert.deepEqual(searchHistory(records).map(({ title }) => title), ['Edge AI', 'Folding times', 'Unburnt fuel']);
+        assert.deepEqual(searchHistory(records, 'GEMINI').map(({ id }) => id), [first.id]);
+        assert.deepEqual(searchHistory(records, 'publication').map(({ title }) => title), ['Folding times']);
+
+        await store.remove(first.id);
+        assert.equal((await store.list()).length, 2);
+        await store.clear();
+        assert.deepEqual(await store.list(), []);
+    } finally {
+        console.warn = originalWarn;
+    }
+});
+
+test('history entries show the saved insight with pin, restore and delete actions', async () => {
+    const { createHistoryEntry } = await import(historyDrawerModulePath);
+    const { historyTitle } = await import(modulePath);
+    const mockDocument = {
+        createElement: (tag) => {
+            const element = new MockElement(tag);
+            element.setAttribute = (name, value) => element.attributes.set(name, value);
+            return element;
+        }
+    };
+
+    const title = historyTitle({ mode: 'context', itemId: 'proj3', question: 'What was hard?' });
+    assert.equal(title, 'Corrosion Prediction using Drone Images — What was hard?');
+
+    const entry = createHistoryEntry({
+        id: 'abc',
+        mode: 'context',
+        title,
+        text: '**Drones** cut inspection time.',
+        model: 'gemini-2.5-flash',
+        createdAt: '2026-10-01T12:00:00.000Z',
+        pinned: true
+    }, mockDocument);
+
+    assert.equal(entry.attributes.get('data-history-id'), 'abc');
+    const [heading, details, snippet, actions] = entry.children;
+    assert.equal(heading.textContent, `★ ${title}`);
+    assert.match(details.textContent, /^Context question · Oct 1, 2026, .* · gemini-2\.5-flash$/);
+    assert.equal(snippet.textContent, 'Drones cut inspection time.');
+    assert.deepEqual(actions.children.map((button) => [button.attributes.get('data-history-action'), button.textContent]), [
+        ['pin', 'Unpin'],
+        ['restore', 'Restore'],
+        ['delete', 'Delete']
+    ]);
+});
+
+test('profile exports render the same blocks as Markdown and plain text', async () => {
+    const { profileToMarkdown, profileToPlainText, exportableInsights } = await import(exportModulePath);
+    const model = {
+        profile: { name: 'Ada Lovelace', headline: 'Analyst', summary: 'Notes on *engines*.', email: 'ada@example.com', links: [], publicationCount: '1' },
+        experience: [{ role: 'Analyst', organization: 'Engines', start: '1842-01', end: null, highlights: ['Wrote note G'] }],
+        skills: [{ name: 'Mathematics', description: 'Algorithms' }],
+        education: [],
+        awards: [],
+        projects: [],
+        publications: [{ id: 'pub1', title: 'Sketch', venue: 'Memoirs', year: 1843, description: '' }]
+    };
+    const records = [
+        { title: 'Pinned', pinned: true, createdAt: '2026-09-01T00:00:00.000Z', text: 'Kept **forever**.' },
+        { title: 'Old', pinned: false, createdAt: '2026-09-02T00:00:00.000Z', text: 'Dropped' },
+        { title: 'Card', pinned: false, createdAt: '2026-10-02T00:00:00.000Z', model: 'gemini-2.5-flash', structured: { headline: 'Faster planning', problem: 'P', approach: 'A', impact: 'I', skills: [], oneLiner: 'O' } }
+    ];
+    const insights = exportableInsights(records, '2026-10-01T00:00:00.000Z');
+    assert.deepEqual(insights.map(({ title }) => title), ['Pinned', 'Card']);
+
+    const markdown = profileToMarkdown(model, insights);
+    assert.match(markdown, /^# Ada Lovelace\n\n\*\*Analyst\*\*\n\nada@example\.com\n\nNotes on \\\*engines\\\*\./);
+    assert.match(markdown, /### Analyst — Engines\n\n\*January 1842 – Present\*\n\n- Wrote note G/);
+    assert.match(markdown, /- \*\*Sketch\*\*\. \*Memoirs\*, 1843\n/);
+    assert.match(markdown, /## Insights\n\n### Pinned\n\n\*2026-09-01\*\n\nKept \*\*forever\*\*\.\n\n### Card\n\n\*gemini-2\.5-flash · 2026-10-02\*\n\n- Faster planning\n- Problem: P/);
+
+    const text = profileToPlainText(model, insights);
+    assert.match(text, /^Ada Lovelace\n============\n\nAnalyst\n/);
+    assert.match(text, /PROFESSIONAL EXPERIENCE\n-----------------------\n\nAnalyst — Engines\n\nJanuary 1842 – Present\n\n• Wrote note G/);
+    assert.match(text, /• Mathematics: Algorithms/);
+    assert.match(text, /Kept forever\./);
+    assert.match(text, /Notes on \*engines\*\./);
+    assert.doesNotMatch(text, /\*\*|EDUCATION/);
+});
+
+test('printCv expands collapsed sections for printing and collapses them afterwards', async () => {
+    const { printCv } = await import(exportModulePath);
+    const createSection = (id, hidden) => {
+        const content = { classList: { contains: () => content.hidden }, hidden };
+        const toggle = {
+            getAttribute: () => `${id}Content`,
+            click: () => {
+                content.hidden = !content.hidden;
+            }
+        };
+        return { id, content, toggle, hasAttribute: () => true, querySelector: () => toggle };
+    };
+    const sections = [createSection('experience', true), createSection('skills', false)];
+    const mockDocument = {
+        querySelectorAll: () => sections,
+        querySelector: (selector) => sections.find(({ id }) => selector === `#${id}`) || sections.find(({ id }) => selector === `#${id}Content`)?.content || null,
+        getElementById: (id) => sections.find((section) => `${section.id}Content` === id)?.content || null
+    };
+    const listeners = new Map();
+    const states = [];
+    const view = {
+        addEventListener: (name, listener) => listeners.set(name, listener),
+        removeEventListener: (name) => listeners.delete(name),
+        print: () => states.push(sections.map(({ content }) => content.hidden))
+    };
+
+    printCv({ rootDocument: mockDocument, view });
+    assert.deepEqual(states, [[false, false]]);
+
+    listeners.get('afterprint')();
+    assert.deepEqual(sections.map(({ content }) => content.hidden), [true, false]);
+    assert.equal(listeners.size, 0);
+});
+
+test('createRequestController keeps identical requests, supersedes different ones and cancels', async () => {
+    const { createRequestController } = await import(requestControllerModulePath);
+    const requests = createRequestController();
+
+    const first = requests.begin('{"mode":"project","itemId":"proj1"}');
+    assert.equal(requests.begin('{"mode":"project","itemId":"proj1"}'), null);
+    assert.ok(requests.owns(first));
+
+    const second = requests.begin('{"mode":"project","itemId":"proj2"}');
+    assert.equal(first.aborted, true);
+    assert.equal(first.reason, 'superseded');
+    assert.equal(requests.owns(first), false);
+    assert.ok(requests.owns(second));
+
+    requests.cancel();
+    assert.equal(second.aborted, true);
+    assert.equal(second.reason, 'cancelled');
+    assert.equal(requests.owns(second), false);
+
+    const third = requests.begin('{"mode":"project","itemId":"proj2"}');
+    requests.end(third);
+    assert.equal(third.aborted, false);
+    assert.ok(requests.begin('{"mode":"project","itemId":"proj2"}'));
 });
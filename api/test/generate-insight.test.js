@@ -2,10 +2,17 @@ const { test, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
 
 const handler = require('../generate-insight');
+const { SYSTEM_INSTRUCTION } = require('../lib/guardrails');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
 
-const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent';
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${DEFAULT_GEMINI_MODEL}:generateContent`;
+const STREAM_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${DEFAULT_GEMINI_MODEL}:streamGenerateContent`;
 
-const ORIGINAL_ENV = { ...process.env };
+// Every test allows this origin; configure() layers a test's own settings over it.
+const BASE_CONFIG = { cors: { allowedOrigins: ['https://allowed.example'] } };
+const configure = (values = {}) => setConfigOverrides({ ...BASE_CONFIG, ...values });
 const originalFetch = global.fetch;
 
 function createMockResponse() {
@@ -16,6 +23,7 @@ function createMockResponse() {
         statusCalls: [],
         jsonPayloads: [],
         headerCalls: [],
+        writes: [],
         endCalled: false,
         status(code) {
             this.statusCalls.push(code);
@@ -34,6 +42,10 @@ function createMockResponse() {
         getHeader(name) {
             return headers.get(name);
         },
+        write(chunk) {
+            this.writes.push(chunk);
+            return true;
+        },
         end() {
             this.endCalled = true;
         }
@@ -42,26 +54,51 @@ function createMockResponse() {
 
 const CLIENT_GEMINI_KEY = 'client-provided-key';
 
+const sseBody = (...events) => (async function* () {
+    for (const event of events) {
+        yield new TextEncoder().encode(`data: ${JSON.stringify(event)}\r\n\r\n`);
+    }
+})();
+
+const geminiChunk = (text) => ({ candidates: [{ content: { parts: [{ text }] } }] });
+
+const normalized = (text, overrides = {}) => ({
+    text,
+    model: DEFAULT_GEMINI_MODEL,
+    usage: null,
+    finishReason: null,
+    ...overrides
+});
+
+const parseWrittenEvents = (res) => res.writes.join('').split('\n\n').filter(Boolean).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+});
+
 const withGeminiKey = (headers = {}) => ({
     ...headers,
     'x-gemini-api-key': CLIENT_GEMINI_KEY
 });
 
 beforeEach(() => {
-    process.env = { ...ORIGINAL_ENV };
+    setLogLevel('silent');
+    configure();
     handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
     if (originalFetch) {
         global.fetch = originalFetch;
     } else {
         delete global.fetch;
     }
-
-    process.env.ALLOWED_ORIGINS = 'https://allowed.example';
 });
 
 afterEach(() => {
-    process.env = { ...ORIGINAL_ENV };
+    resetConfigOverrides();
+    setLogLevel(null);
     handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
     if (originalFetch) {
         global.fetch = originalFetch;
     } else {
@@ -70,9 +107,7 @@ afterEach(() => {
 });
 
 test('rejects requests when ALLOWED_ORIGINS is missing in production', async () => {
-    delete process.env.ALLOWED_ORIGINS;
-    process.env.NODE_ENV = 'production';
-    process.env.VERCEL_ENV = 'production';
+    configure({ cors: { allowedOrigins: null }, environment: { nodeEnv: 'production', vercelEnv: 'production' } });
 
     global.fetch = async () => ({
         ok: true,
@@ -92,12 +127,11 @@ test('rejects requests when ALLOWED_ORIGINS is missing in production', async ()
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [500]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'CORS configuration is missing on the server.' });
+    assert.deepEqual(res.jsonPayloads[0], { error: 'CORS configuration is missing on the server.', code: 'SERVER_MISCONFIGURED', requestId: res.getHeader('X-Request-Id') });
 });
 
 test('rejects requests when VERCEL_ENV uses different casing for production', async () => {
-    delete process.env.ALLOWED_ORIGINS;
-    process.env.VERCEL_ENV = 'Production';
+    configure({ cors: { allowedOrigins: null }, environment: { vercelEnv: 'Production' } });
 
     global.fetch = async () => ({
         ok: true,
@@ -117,17 +151,15 @@ test('rejects requests when VERCEL_ENV uses different casing for production', as
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [500]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'CORS configuration is missing on the server.' });
+    assert.deepEqual(res.jsonPayloads[0], { error: 'CORS configuration is missing on the server.', code: 'SERVER_MISCONFIGURED', requestId: res.getHeader('X-Request-Id') });
 });
 
 test('allows requests when ALLOWED_ORIGINS includes a wildcard', async () => {
-    process.env.ALLOWED_ORIGINS = '*';
-
-    const expectedPayload = { data: 'ok' };
+    configure({ cors: { allowedOrigins: ['*'] } });
 
     global.fetch = async () => ({
         ok: true,
-        json: async () => expectedPayload
+        json: async () => geminiChunk('ok')
     });
 
     const req = {
@@ -144,19 +176,15 @@ test('allows requests when ALLOWED_ORIGINS includes a wildcard', async () => {
 
     assert.deepEqual(res.statusCalls, [200]);
     assert.equal(res.getHeader('Access-Control-Allow-Origin'), '*');
-    assert.deepEqual(res.body, expectedPayload);
+    assert.deepEqual(res.body, normalized('ok'));
 });
 
 test('allows requests outside production when ALLOWED_ORIGINS is not set', async () => {
-    delete process.env.ALLOWED_ORIGINS;
-    delete process.env.NODE_ENV;
-    delete process.env.VERCEL_ENV;
-
-    const expectedPayload = { ok: true };
+    configure({ cors: { allowedOrigins: null } });
 
     global.fetch = async () => ({
         ok: true,
-        json: async () => expectedPayload
+        json: async () => geminiChunk('ok')
     });
 
     const req = {
@@ -172,7 +200,7 @@ test('allows requests outside production when ALLOWED_ORIGINS is not set', async
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [200]);
-    assert.deepEqual(res.body, expectedPayload);
+    assert.deepEqual(res.body, normalized('ok'));
 });
 
 test('rejects requests from disallowed origins', async () => {
@@ -187,7 +215,7 @@ test('rejects requests from disallowed origins', async () => {
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [403]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'Origin not allowed.' });
+    assert.deepEqual(res.jsonPayloads[0], { error: 'Origin not allowed.', code: 'ORIGIN_DENIED', requestId: res.getHeader('X-Request-Id') });
 });
 
 test('handles OPTIONS preflight requests with proper headers', async () => {
@@ -206,7 +234,7 @@ test('handles OPTIONS preflight requests with proper headers', async () => {
     assert.equal(res.getHeader('Access-Control-Allow-Origin'), 'https://allowed.example');
     assert.equal(res.getHeader('Vary'), 'Origin');
     assert.equal(res.getHeader('Access-Control-Allow-Methods'), 'POST, OPTIONS');
-    assert.equal(res.getHeader('Access-Control-Allow-Headers'), 'Content-Type, Authorization, X-Gemini-Api-Key');
+    assert.equal(res.getHeader('Access-Control-Allow-Headers'), 'Content-Type, Authorization, X-Gemini-Api-Key, X-Session-Token, X-Request-Id, X-Deadline-Ms');
     assert.equal(res.getHeader('Access-Control-Max-Age'), '600');
 });
 
@@ -224,7 +252,7 @@ test('returns 401 when Gemini API key header is missing', async () => {
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [401]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'Gemini API key is required.' });
+    assert.deepEqual(res.jsonPayloads[0], { error: 'Gemini API key is required.', code: 'API_KEY_REQUIRED', requestId: res.getHeader('X-Request-Id') });
 });
 
 test('rejects non-POST methods', async () => {
@@ -239,7 +267,7 @@ test('rejects non-POST methods', async () => {
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [405]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'Method Not Allowed' });
+    assert.deepEqual(res.jsonPayloads[0], { error: 'Method Not Allowed', code: 'METHOD_NOT_ALLOWED', requestId: res.getHeader('X-Request-Id') });
 });
 
 test('rejects unsupported content types', async () => {
@@ -256,7 +284,7 @@ test('rejects unsupported content types', async () => {
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [415]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'Content-Type must be application/json.' });
+    assert.deepEqual(res.jsonPayloads[0], { error: 'Content-Type must be application/json.', code: 'UNSUPPORTED_MEDIA_TYPE', requestId: res.getHeader('X-Request-Id') });
 });
 
 test('validates presence of prompt', async () => {
@@ -273,7 +301,7 @@ test('validates presence of prompt', async () => {
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [400]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'Prompt is required in the request body.' });
+    assert.deepEqual(res.jsonPayloads[0], { error: 'Prompt is required in the request body.', code: 'INVALID_REQUEST', requestId: res.getHeader('X-Request-Id') });
 });
 
 test('enforces prompt length limits', async () => {
@@ -290,7 +318,12 @@ test('enforces prompt length limits', async () => {
     await handler(req, res);
 
     assert.deepEqual(res.statusCalls, [413]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'Prompt is too long.' });
+    assert.deepEqual(res.jsonPayloads[0], {
+        error: 'Prompt is too long.',
+        code: 'PROMPT_TOO_LONG',
+        requestId: res.getHeader('X-Request-Id'),
+        fields: [{ field: 'prompt', message: 'Prompt is too long.' }]
+    });
 });
 
 test('propagates upstream errors from Gemini', async () => {
@@ -312,19 +345,26 @@ test('propagates upstream errors from Gemini', async () => {
 
     await handler(req, res);
 
-    assert.deepEqual(res.statusCalls, [500]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'Failed to generate insight.' });
+    assert.deepEqual(res.statusCalls, [502]);
+    assert.deepEqual(res.jsonPayloads[0], {
+        error: 'The provider is temporarily unavailable.',
+        code: 'UPSTREAM_UNAVAILABLE',
+        requestId: res.getHeader('X-Request-Id')
+    });
 });
 
-test('returns Gemini response payload on success', async () => {
-    const expectedPayload = { contents: [{ parts: [{ text: 'Insight' }] }] };
+test('returns the normalized Gemini response on success', async () => {
     const fetchCalls = [];
 
     global.fetch = async (...args) => {
         fetchCalls.push(args);
         return {
             ok: true,
-            json: async () => expectedPayload
+            json: async () => ({
+                candidates: [{ content: { parts: [{ text: 'Insight' }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 6, totalTokenCount: 10 },
+                modelVersion: 'gemini-2.5-flash-preview-05-20-001'
+            })
         };
     };
 
@@ -342,7 +382,12 @@ test('returns Gemini response payload on success', async () => {
 
     assert.deepEqual(res.statusCalls, [200]);
     assert.equal(res.getHeader('Access-Control-Allow-Origin'), 'https://allowed.example');
-    assert.deepEqual(res.body, expectedPayload);
+    assert.deepEqual(res.body, {
+        text: 'Insight',
+        model: 'gemini-2.5-flash-preview-05-20-001',
+        usage: { promptTokens: 4, outputTokens: 6, totalTokens: 10 },
+        finishReason: 'STOP'
+    });
     assert.equal(fetchCalls.length, 1);
     assert.equal(fetchCalls[0][0], `${API_URL}?key=${CLIENT_GEMINI_KEY}`);
     const fetchOptions = fetchCalls[0][1];
@@ -350,6 +395,7 @@ test('returns Gemini response payload on success', async () => {
     assert.equal(fetchOptions.headers['Content-Type'], 'application/json');
     const parsedBody = JSON.parse(fetchOptions.body);
     assert.deepEqual(parsedBody, {
+        systemInstruction: { parts: [{ text: SYSTEM_INSTRUCTION }] },
         contents: [{
             parts: [{ text: 'Explain quantum computing.' }]
         }]
@@ -357,8 +403,7 @@ test('returns Gemini response payload on success', async () => {
 });
 
 test('limits repeated requests from the same client', async () => {
-    process.env.GENERATE_INSIGHT_MAX_REQUESTS = '2';
-    process.env.GENERATE_INSIGHT_WINDOW_MS = '1000';
+    configure({ rateLimit: { maxRequests: 2, windowMs: 1000 }, cache: { ttlMs: 0 } });
 
     global.fetch = async () => ({
         ok: true,
@@ -386,12 +431,11 @@ test('limits repeated requests from the same client', async () => {
     const limited = createMockResponse();
     await handler(baseRequest, limited);
     assert.deepEqual(limited.statusCalls, [429]);
-    assert.deepEqual(limited.jsonPayloads[0], { error: 'Too many requests. Please slow down.' });
+    assert.deepEqual(limited.jsonPayloads[0], { error: 'Too many requests. Please slow down.', code: 'RATE_LIMITED', requestId: limited.getHeader('X-Request-Id') });
     assert.ok(limited.getHeader('Retry-After'));
 });
 
 test('retries Gemini calls on transient failures', async () => {
-    const expectedPayload = { data: true };
     let attempts = 0;
 
     global.fetch = async () => {
@@ -406,7 +450,7 @@ test('retries Gemini calls on transient failures', async () => {
 
         return {
             ok: true,
-            json: async () => expectedPayload
+            json: async () => geminiChunk('Recovered')
         };
     };
 
@@ -423,11 +467,10 @@ test('retries Gemini calls on transient failures', async () => {
     await handler(req, res);
 
     assert.equal(attempts, 2);
-    assert.deepEqual(res.body, expectedPayload);
+    assert.deepEqual(res.body, normalized('Recovered'));
 });
 
 test('retries when fetch rejects with a network TypeError', async () => {
-    const expectedPayload = { success: true };
     let attempts = 0;
 
     const networkError = new TypeError('fetch failed');
@@ -441,7 +484,7 @@ test('retries when fetch rejects with a network TypeError', async () => {
 
         return {
             ok: true,
-            json: async () => expectedPayload
+            json: async () => geminiChunk('Recovered')
         };
     };
 
@@ -459,12 +502,11 @@ test('retries when fetch rejects with a network TypeError', async () => {
 
     assert.equal(attempts, 2);
     assert.deepEqual(res.statusCalls, [200]);
-    assert.deepEqual(res.body, expectedPayload);
+    assert.deepEqual(res.body, normalized('Recovered'));
 });
 
 test('cleans up expired rate limit buckets', async () => {
-    process.env.GENERATE_INSIGHT_MAX_REQUESTS = '1';
-    process.env.GENERATE_INSIGHT_WINDOW_MS = '10';
+    configure({ rateLimit: { maxRequests: 1, windowMs: 10 }, cache: { ttlMs: 0 } });
 
     global.fetch = async () => ({
         ok: true,
@@ -500,8 +542,7 @@ test('cleans up expired rate limit buckets', async () => {
 });
 
 test('enforces request timeout failures', async () => {
-    process.env.GENERATE_INSIGHT_TIMEOUT_MS = '1';
-    process.env.GENERATE_INSIGHT_MAX_RETRIES = '0';
+    configure({ request: { timeoutMs: 1, maxRetries: 0 } });
 
     global.fetch = async () => new Promise((resolve, reject) => {
         setTimeout(() => reject(Object.assign(new Error('AbortError'), { name: 'AbortError' })), 5);
@@ -519,6 +560,470 @@ test('enforces request timeout failures', async () => {
 
     await handler(req, res);
 
-    assert.deepEqual(res.statusCalls, [500]);
-    assert.deepEqual(res.jsonPayloads[0], { error: 'Failed to generate insight.' });
+    assert.deepEqual(res.statusCalls, [504]);
+    assert.deepEqual(res.jsonPayloads[0], {
+        error: 'The provider did not respond in time.',
+        code: 'UPSTREAM_TIMEOUT',
+        requestId: res.getHeader('X-Request-Id')
+    });
+});
+
+test('streams Gemini chunks to the client as server-sent events', async () => {
+    const fetchCalls = [];
+    global.fetch = async (...args) => {
+        fetchCalls.push(args);
+        return {
+            ok: true,
+            body: sseBody(geminiChunk('Hello'), geminiChunk(', world'))
+        };
+    };
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { prompt: 'Hello', stream: true }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.deepEqual(res.statusCalls, [200]);
+    assert.equal(res.endCalled, true);
+    assert.equal(res.getHeader('Content-Type'), 'text/event-stream; charset=utf-8');
+    assert.equal(res.getHeader('Access-Control-Allow-Origin'), 'https://allowed.example');
+    assert.equal(fetchCalls[0][0], `${STREAM_API_URL}?alt=sse&key=${CLIENT_GEMINI_KEY}`);
+    assert.deepEqual(parseWrittenEvents(res), [
+        { event: 'chunk', data: { text: 'Hello' } },
+        { event: 'chunk', data: { text: ', world' } },
+        { event: 'done', data: normalized('Hello, world') }
+    ]);
+});
+
+test('retries a stream that fails before any chunk is relayed', async () => {
+    let attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        if (attempts === 1) {
+            return { ok: false, status: 503, text: async () => 'Unavailable' };
+        }
+        return { ok: true, body: sseBody(geminiChunk('Recovered')) };
+    };
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { prompt: 'Hello', stream: true }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.equal(attempts, 2);
+    assert.deepEqual(parseWrittenEvents(res).at(-1), { event: 'done', data: normalized('Recovered') });
+});
+
+test('reports stream failures in-band once chunks were sent', async () => {
+    let attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        return {
+            ok: true,
+            body: (async function* () {
+                yield new TextEncoder().encode(`data: ${JSON.stringify(geminiChunk('Partial'))}\n\n`);
+                throw Object.assign(new Error('aborted'), { name: 'AbortError' });
+            })()
+        };
+    };
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { prompt: 'Hello', stream: true }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.equal(attempts, 1);
+    assert.equal(res.endCalled, true);
+    assert.deepEqual(parseWrittenEvents(res), [
+        { event: 'chunk', data: { text: 'Partial' } },
+        {
+            event: 'error',
+            data: { error: 'The provider did not respond in time.', code: 'UPSTREAM_TIMEOUT', requestId: res.getHeader('X-Request-Id') }
+        }
+    ]);
+});
+
+test('rejects non-boolean stream flags', async () => {
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { prompt: 'Hello', stream: 'yes' }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.deepEqual(res.statusCalls, [400]);
+    assert.deepEqual(res.jsonPayloads[0], {
+        error: 'Stream must be a boolean.',
+        code: 'INVALID_REQUEST',
+        requestId: res.getHeader('X-Request-Id'),
+        fields: [{ field: 'stream', message: 'Stream must be a boolean.' }]
+    });
+});
+
+test('uses the OpenAI-compatible provider when it is allow-listed', async () => {
+    configure({ providers: { allowed: ['openai'], openai: { baseUrl: 'https://llm.example/v1/' } } });
+    const fetchCalls = [];
+
+    global.fetch = async (...args) => {
+        fetchCalls.push(args);
+        return {
+            ok: true,
+            json: async () => ({
+                model: 'gpt-4o-mini-2024-07-18',
+                choices: [{ message: { role: 'assistant', content: 'Insight' }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 3, completion_tokens: 5, total_tokens: 8 }
+            })
+        };
+    };
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { prompt: 'Hello', provider: 'openai' }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.deepEqual(res.statusCalls, [200]);
+    assert.deepEqual(res.body, {
+        text: 'Insight',
+        model: 'gpt-4o-mini-2024-07-18',
+        usage: { promptTokens: 3, outputTokens: 5, totalTokens: 8 },
+        finishReason: 'stop'
+    });
+    assert.equal(fetchCalls[0][0], 'https://llm.example/v1/chat/completions');
+    assert.equal(fetchCalls[0][1].headers.Authorization, `Bearer ${CLIENT_GEMINI_KEY}`);
+    assert.deepEqual(JSON.parse(fetchCalls[0][1].body).messages, [
+        { role: 'system', content: SYSTEM_INSTRUCTION },
+        { role: 'user', content: 'Hello' }
+    ]);
+});
+
+test('rejects providers that are not allow-listed', async () => {
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { prompt: 'Hello', provider: 'openai' }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.deepEqual(res.statusCalls, [400]);
+    assert.deepEqual(res.jsonPayloads[0], { error: 'Provider is not allowed.', code: 'PROVIDER_NOT_ALLOWED', requestId: res.getHeader('X-Request-Id') });
+});
+
+test('streams from the local provider without an API key', async () => {
+    configure({ providers: { default: 'local', local: { url: 'http://127.0.0.1:9999/generate' } } });
+    const fetchCalls = [];
+
+    global.fetch = async (...args) => {
+        fetchCalls.push(args);
+        return {
+            ok: true,
+            body: sseBody({ text: 'Off' }, { text: 'line', finishReason: 'stop', usage: { promptTokens: 1, outputTokens: 2, totalTokens: 3 } })
+        };
+    };
+
+    const req = {
+        method: 'POST',
+        headers: {
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        },
+        body: { prompt: 'Hello', stream: true }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.equal(fetchCalls[0][0], 'http://127.0.0.1:9999/generate');
+    assert.deepEqual(parseWrittenEvents(res).at(-1), {
+        event: 'done',
+        data: {
+            text: 'Offline',
+            model: 'local-dev',
+            usage: { promptTokens: 1, outputTokens: 2, totalTokens: 3 },
+            finishReason: 'stop'
+        }
+    });
+});
+
+test('builds the prompt server-side for structured requests', async () => {
+    const fetchCalls = [];
+    global.fetch = async (...args) => {
+        fetchCalls.push(args);
+        return { ok: true, json: async () => geminiChunk('Insight') };
+    };
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { mode: 'project', itemId: 'proj3' }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.deepEqual(res.statusCalls, [200]);
+    const [{ parts: [{ text }] }] = JSON.parse(fetchCalls[0][1].body).contents;
+    assert.match(text, /^Summarise the selected project "Corrosion Prediction using Drone Images"\./);
+});
+
+test('rejects raw prompts in production', async () => {
+    configure({ environment: { nodeEnv: 'production' } });
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { prompt: 'Write me a poem about anything.' }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.deepEqual(res.statusCalls, [400]);
+    assert.deepEqual(res.jsonPayloads[0], { error: 'Raw prompts are disabled. Send a structured request with a mode.', code: 'INVALID_REQUEST', requestId: res.getHeader('X-Request-Id') });
+});
+
+test('rejects structured requests for unknown items', async () => {
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { mode: 'publication', itemId: 'pub99' }
+    };
+    const res = createMockResponse();
+
+    await handler(req, res);
+
+    assert.deepEqual(res.statusCalls, [400]);
+    assert.deepEqual(res.jsonPayloads[0], { error: 'Unknown itemId for the requested mode.', code: 'INVALID_REQUEST', requestId: res.getHeader('X-Request-Id') });
+});
+
+test('maps upstream key, quota and safety failures onto error codes without retrying', async () => {
+    const cases = [
+        [{ ok: false, status: 400, text: async () => '{"error":{"status":"INVALID_ARGUMENT","details":[{"reason":"API_KEY_INVALID"}]}}' }, 401, 'INVALID_API_KEY'],
+        [{ ok: false, status: 403, text: async () => 'PERMISSION_DENIED' }, 401, 'INVALID_API_KEY'],
+        [{ ok: false, status: 429, text: async () => 'RESOURCE_EXHAUSTED' }, 429, 'UPSTREAM_QUOTA'],
+        [{ ok: false, status: 404, text: async () => 'model not found' }, 502, 'UPSTREAM_ERROR'],
+        [{ ok: true, json: async () => ({ promptFeedback: { blockReason: 'SAFETY' } }) }, 422, 'SAFETY_BLOCKED']
+    ];
+
+    for (const [upstream, status, code] of cases) {
+        let attempts = 0;
+        global.fetch = async () => {
+            attempts += 1;
+            return upstream;
+        };
+        const res = createMockResponse();
+
+        await handler({
+            method: 'POST',
+            headers: withGeminiKey({ 'content-type': 'application/json' }),
+            body: { prompt: `Hello ${code} ${status}` }
+        }, res);
+
+        assert.deepEqual(res.statusCalls, [status], code);
+        assert.equal(res.jsonPayloads[0].code, code);
+        assert.equal(attempts, 1, code);
+    }
+});
+
+test('serves identical requests from the cache without counting them against the rate limit', async () => {
+    configure({ rateLimit: { maxRequests: 1 } });
+    let attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        return { ok: true, json: async () => geminiChunk('Cached insight') };
+    };
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { mode: 'publication', itemId: 'pub1' }
+    };
+
+    const first = createMockResponse();
+    await handler(req, first);
+    assert.equal(first.getHeader('X-Cache'), 'MISS');
+
+    const second = createMockResponse();
+    await handler(req, second);
+    assert.deepEqual(second.statusCalls, [200]);
+    assert.equal(second.getHeader('X-Cache'), 'HIT');
+    assert.deepEqual(second.body, first.body);
+    assert.equal(attempts, 1);
+});
+
+test('does not share cached results between API keys', async () => {
+    let attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        return { ok: true, json: async () => geminiChunk(`Insight ${attempts}`) };
+    };
+
+    const requestWithKey = (key) => ({
+        method: 'POST',
+        headers: {
+            origin: 'https://allowed.example',
+            'content-type': 'application/json',
+            'x-gemini-api-key': key
+        },
+        body: { mode: 'project', itemId: 'proj1' }
+    });
+
+    const first = createMockResponse();
+    await handler(requestWithKey('key-one'), first);
+    const second = createMockResponse();
+    await handler(requestWithKey('key-two'), second);
+
+    assert.equal(second.getHeader('X-Cache'), 'MISS');
+    assert.equal(second.body.text, 'Insight 2');
+    assert.equal(attempts, 2);
+});
+
+test('regenerates when the client asks for a fresh result', async () => {
+    let attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        return { ok: true, json: async () => geminiChunk(`Insight ${attempts}`) };
+    };
+
+    const req = (body) => ({
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body
+    });
+
+    await handler(req({ mode: 'project', itemId: 'proj2' }), createMockResponse());
+    const fresh = createMockResponse();
+    await handler(req({ mode: 'project', itemId: 'proj2', fresh: true }), fresh);
+    const cached = createMockResponse();
+    await handler(req({ mode: 'project', itemId: 'proj2' }), cached);
+
+    assert.equal(fresh.getHeader('X-Cache'), 'MISS');
+    assert.equal(fresh.body.text, 'Insight 2');
+    assert.equal(cached.getHeader('X-Cache'), 'HIT');
+    assert.equal(cached.body.text, 'Insight 2');
+});
+
+test('replays cached results as a stream', async () => {
+    global.fetch = async () => ({ ok: true, body: sseBody(geminiChunk('Streamed '), geminiChunk('once')) });
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { mode: 'general', topic: 'Edge AI', stream: true }
+    };
+
+    await handler(req, createMockResponse());
+    global.fetch = async () => {
+        throw new Error('cache should have been used');
+    };
+    const replay = createMockResponse();
+    await handler(req, replay);
+
+    assert.equal(replay.getHeader('X-Cache'), 'HIT');
+    assert.deepEqual(parseWrittenEvents(replay), [
+        { event: 'chunk', data: { text: 'Streamed once' } },
+        { event: 'done', data: normalized('Streamed once') }
+    ]);
+});
+
+test('reports X-RateLimit headers on successful and cached responses', async () => {
+    configure({ rateLimit: { maxRequests: 3 } });
+    global.fetch = async () => ({ ok: true, json: async () => geminiChunk('Insight') });
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { mode: 'project', itemId: 'proj4' }
+    };
+
+    const first = createMockResponse();
+    await handler(req, first);
+    const cached = createMockResponse();
+    await handler(req, cached);
+
+    assert.equal(first.getHeader('X-RateLimit-Limit'), 3);
+    assert.equal(first.getHeader('X-RateLimit-Remaining'), 2);
+    assert.ok(first.getHeader('X-RateLimit-Reset') >= Math.floor(Date.now() / 1000));
+    assert.equal(cached.getHeader('X-Cache'), 'HIT');
+    assert.equal(cached.getHeader('X-RateLimit-Remaining'), 2);
+});
+
+test('applies the token-bucket algorithm when configured', async () => {
+    configure({ rateLimit: { algorithm: 'token-bucket', maxRequests: 1, windowMs: 60000 }, cache: { ttlMs: 0 } });
+    global.fetch = async () => ({ ok: true, json: async () => geminiChunk('Insight') });
+
+    const req = {
+        method: 'POST',
+        headers: withGeminiKey({
+            origin: 'https://allowed.example',
+            'content-type': 'application/json'
+        }),
+        body: { mode: 'project', itemId: 'proj4' }
+    };
+
+    await handler(req, createMockResponse());
+    const limited = createMockResponse();
+    await handler(req, limited);
+
+    assert.deepEqual(limited.statusCalls, [429]);
+    assert.equal(limited.getHeader('X-RateLimit-Remaining'), 0);
+    assert.equal(limited.getHeader('Retry-After'), 60);
 });
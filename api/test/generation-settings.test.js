@@ -0,0 +1,133 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { validateGenerationSettings } = require('../lib/generation-settings');
+const gemini = require('../lib/providers/gemini');
+const openai = require('../lib/providers/openai');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+const originalFetch = global.fetch;
+
+beforeEach(() => {
+    setLogLevel('silent');
+    resetConfigOverrides();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('validateGenerationSettings resolves the default model and keeps only the fields sent', () => {
+    assert.deepEqual(validateGenerationSettings({}, gemini), { settings: { model: 'gemini-2.5-flash' } });
+    assert.deepEqual(validateGenerationSettings({ temperature: 0.4, maxOutputTokens: 256, topP: 0.9 }, gemini), {
+        settings: { model: 'gemini-2.5-flash', temperature: 0.4, maxOutputTokens: 256, topP: 0.9 }
+    });
+});
+
+test('validateGenerationSettings enforces the env-configured bounds', () => {
+    const invalid = (body) => validateGenerationSettings(body, gemini).error;
+
+    assert.equal(invalid({ model: 'gemini-2.5-pro' }), 'Model is not allowed.');
+    assert.equal(invalid({ temperature: 1.5 }), 'Temperature must be a number between 0 and 1.');
+    assert.equal(invalid({ maxOutputTokens: 2048 }), 'maxOutputTokens must be an integer between 1 and 1024.');
+    assert.equal(
+        invalid({ safety: { harassment: 'BLOCK_NONE' } }),
+        'Safety threshold for harassment must be one of: BLOCK_LOW_AND_ABOVE, BLOCK_MEDIUM_AND_ABOVE, BLOCK_ONLY_HIGH.'
+    );
+
+    setConfigOverrides({
+        providers: { gemini: { allowedModels: ['gemini-2.5-pro', 'gemini-2.5-flash-lite'] } },
+        generation: { maxTemperature: 2, maxOutputTokens: 4096, loosestSafetyThreshold: 'BLOCK_NONE' }
+    });
+    const { settings } = validateGenerationSettings({
+        model: 'gemini-2.5-pro',
+        temperature: 1.5,
+        maxOutputTokens: 2048,
+        safety: { harassment: 'BLOCK_NONE' }
+    }, gemini);
+    assert.deepEqual(settings, {
+        model: 'gemini-2.5-pro',
+        temperature: 1.5,
+        maxOutputTokens: 2048,
+        safety: { harassment: 'BLOCK_NONE' }
+    });
+});
+
+test('adapters map settings to generationConfig, safetySettings and Chat Completions fields', () => {
+    const settings = { model: 'gemini-2.5-flash', temperature: 0.2, maxOutputTokens: 128, topP: 0.8, safety: { dangerousContent: 'BLOCK_LOW_AND_ABOVE' } };
+
+    const geminiBody = JSON.parse(gemini.buildRequest({ prompt: 'Hi', apiKey: 'k', settings }).init.body);
+    assert.deepEqual(geminiBody.generationConfig, { temperature: 0.2, maxOutputTokens: 128, topP: 0.8 });
+    assert.deepEqual(geminiBody.safetySettings, [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_LOW_AND_ABOVE' }]);
+
+    const openaiBody = JSON.parse(openai.buildRequest({ prompt: 'Hi', apiKey: 'k', settings: { ...settings, model: 'gpt-4o' } }).init.body);
+    assert.equal(openaiBody.model, 'gpt-4o');
+    assert.equal(openaiBody.temperature, 0.2);
+    assert.equal(openaiBody.max_tokens, 128);
+    assert.equal(openaiBody.top_p, 0.8);
+    assert.equal(openaiBody.safety, undefined);
+});
+
+test('the Gemini adapter encodes the key and leaves the model of streamed chunks to the request', () => {
+    const { url, model } = gemini.buildRequest({ prompt: 'Hi', apiKey: 'a&b=c', stream: true, settings: { model: 'gemini-2.5-pro' } });
+    assert.equal(model, 'gemini-2.5-pro');
+    assert.match(url, /:streamGenerateContent\?alt=sse&key=a%26b%3Dc$/);
+
+    const chunk = { candidates: [{ content: { parts: [{ text: 'Hi' }] } }] };
+    assert.equal(gemini.parseStreamEvent(chunk).model, null);
+    assert.equal(gemini.parseStreamEvent({ ...chunk, modelVersion: 'gemini-2.5-pro-001' }).model, 'gemini-2.5-pro-001');
+    assert.equal(gemini.parseResponse(chunk).model, 'gemini-2.5-flash');
+});
+
+test('the handler calls the requested allow-listed model and rejects others', async () => {
+    setConfigOverrides({ providers: { gemini: { allowedModels: ['gemini-2.5-pro'] } } });
+    const calls = [];
+    global.fetch = async (url, init) => {
+        calls.push([url, JSON.parse(init.body)]);
+        return { ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: 'Insight' }] } }] }) };
+    };
+    const send = async (body) => {
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(payload) {
+                this.body = payload;
+                return this;
+            },
+            setHeader() {},
+            end() {}
+        };
+        await handler({
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key' },
+            body: { prompt: 'Hello', ...body }
+        }, res);
+        return res;
+    };
+
+    const ok = await send({ model: 'gemini-2.5-pro', temperature: 0.3 });
+    assert.equal(ok.statusCode, 200);
+    assert.match(calls[0][0], /\/models\/gemini-2\.5-pro:generateContent\?key=test-key$/);
+    assert.deepEqual(calls[0][1].generationConfig, { temperature: 0.3 });
+
+    const rejected = await send({ model: 'gemini-1.0-ultra' });
+    assert.equal(rejected.statusCode, 400);
+    assert.deepEqual(
+        { error: rejected.body.error, code: rejected.body.code },
+        { error: 'Model is not allowed.', code: 'INVALID_REQUEST' }
+    );
+    assert.equal(calls.length, 1);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const { parseArgs, toSource, exportResume, importResume } = require('../scripts/json-resume');
+
+const converterModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'modules', 'json-resume.js')).href;
+const catalogModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'data', 'catalog.js')).href;
+
+test('the profile model maps to JSON Resume and back without loss', async () => {
+    const { toJsonResume, fromJsonResume } = await import(converterModulePath);
+    const catalog = await import(catalogModulePath);
+
+    const resume = toJsonResume(catalog);
+    assert.equal(resume.basics.label, catalog.profile.headline);
+    assert.deepEqual(resume.basics.profiles, [{ network: 'LinkedIn', url: 'https://www.linkedin.com/in/sundar-raman-s-14a044116' }]);
+    assert.equal(resume.work[0].endDate, undefined, 'a current role has no endDate');
+    assert.deepEqual(resume.education[0], { institution: 'University of Madras, Chennai', area: 'Computational Biology/Biophysics', studyType: 'PhD' });
+    assert.deepEqual(resume.awards[0], { title: 'Special Recognition Awards', awarder: 'Shell India', date: '2018', period: '2018, 2019' });
+    assert.deepEqual(resume.publications[1].releaseDate, '2019');
+
+    const model = fromJsonResume(JSON.parse(JSON.stringify(resume)));
+    for (const section of ['profile', 'experience', 'skills', 'education', 'awards', 'projects', 'publications']) {
+        assert.deepEqual(model[section], JSON.parse(JSON.stringify(catalog[section])), section);
+    }
+});
+
+test('fromJsonResume fills site defaults and lists missing required fields', async () => {
+    const { fromJsonResume } = await import(converterModulePath);
+
+    const model = fromJsonResume({
+        basics: { name: 'Ada Lovelace', profiles: [{ network: 'GitHub' }] },
+        work: [{ name: 'Analytical Engines', position: 'Analyst', startDate: '1843-01-15' }],
+        skills: [{ name: 'Mathematics', keywords: ['Algorithms', 'Notes'] }],
+        publications: [{ name: 'Sketch of the Analytical Engine', releaseDate: '1843-09' }]
+    });
+    assert.equal(model.profile.photo.alt, 'A professional photo of Ada Lovelace');
+    assert.deepEqual(model.profile.links, []);
+    assert.equal(model.profile.publicationCount, '1');
+    assert.deepEqual(model.experience[0], { role: 'Analyst', organization: 'Analytical Engines', start: '1843-01', end: null, highlights: [] });
+    assert.equal(model.skills[0].description, 'Algorithms, Notes');
+    assert.deepEqual(model.publications[0], { id: 'pub1', title: 'Sketch of the Analytical Engine', venue: '', year: 1843, description: '' });
+
+    assert.throws(() => fromJsonResume([]), /"basics" is missing/);
+    assert.throws(() => fromJsonResume({ basics: {}, projects: [{ description: 'No name' }] }), {
+        message: 'Invalid JSON Resume:\n- basics.name is required.\n- projects[0].name is required.'
+    });
+});
+
+test('json-resume CLI round-trips the catalog file unchanged', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-resume-test-'));
+    try {
+        const file = path.join(tmpDir, 'resume.json');
+        await fs.writeFile(file, await exportResume());
+
+        const catalog = await importResume(file);
+        assert.equal(catalog, await fs.readFile(path.join(__dirname, '..', 'public', 'js', 'data', 'catalog.js'), 'utf8'));
+
+        await fs.writeFile(file, '{ "basics": ');
+        await assert.rejects(importResume(file), /resume\.json: not valid JSON/);
+    } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('json-resume CLI arguments and literal formatting', () => {
+    assert.deepEqual(parseArgs(['export', '--out', 'cv.json']), { command: 'export', out: 'cv.json' });
+    assert.deepEqual(parseArgs(['import', 'cv.json', '--write']), { command: 'import', file: 'cv.json', write: true });
+    assert.throws(() => parseArgs(['import']), /Usage/);
+    assert.throws(() => parseArgs(['export', '--write']), /Unknown option "--write"/);
+
+    assert.equal(toSource({ name: "O'Brien", tags: ['a', 'b'], end: null }), "{ name: 'O\\'Brien', tags: ['a', 'b'], end: null }");
+    assert.equal(toSource({ summary: 'x'.repeat(120) }), `{\n  summary:\n    '${'x'.repeat(120)}'\n}`);
+});
@@ -0,0 +1,164 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { redact, createLogger, setLogLevel } = require('../lib/logger');
+const { resetMetrics } = require('../lib/metrics');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const originalFetch = global.fetch;
+
+function createMockResponse() {
+    const headers = new Map();
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        send(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name, value);
+        },
+        getHeader(name) {
+            return headers.get(name);
+        },
+        end() {}
+    };
+}
+
+const generate = async (headers = {}, body = { prompt: 'Hello' }) => {
+    const res = createMockResponse();
+    await handler({
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key', ...headers },
+        body
+    }, res);
+    return res;
+};
+
+const scrape = async (headers = {}) => {
+    const res = createMockResponse();
+    await handler({ method: 'GET', url: '/api/metrics', headers }, res);
+    return res;
+};
+
+beforeEach(() => {
+    setLogLevel('silent');
+    resetConfigOverrides();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+    resetMetrics();
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('redact masks sensitive fields and key material inside strings', () => {
+    const redacted = redact({
+        apiKey: 'AIzaSyA-abcdefghijklmnopqrstuvwxyz012345',
+        headers: { authorization: 'Bearer secret', 'x-session-token': 'v1.a.b' },
+        url: 'https://example.test/v1beta/models/m:generateContent?key=AIzaSecret&alt=sse',
+        err: new TypeError('request to https://host/?key=abc failed, token sk-proj-0123456789abcdefXYZ')
+    });
+
+    assert.equal(redacted.apiKey, '[REDACTED]');
+    assert.equal(redacted.headers.authorization, '[REDACTED]');
+    assert.equal(redacted.headers['x-session-token'], '[REDACTED]');
+    assert.equal(redacted.url, 'https://example.test/v1beta/models/m:generateContent?key=[REDACTED]&alt=sse');
+    assert.deepEqual(redacted.err, {
+        name: 'TypeError',
+        message: 'request to https://host/?key=[REDACTED] failed, token [REDACTED]'
+    });
+});
+
+test('redact truncates objects nested past its depth limit instead of logging them raw', () => {
+    const deep = { a: { b: { c: { d: { e: { f: { apiKey: 'AIzaSyA-abcdefghijklmnopqrstuvwxyz012345' } } } } } } };
+
+    assert.equal(redact(deep).a.b.c.d.e.f, '[Truncated]');
+    assert.equal(JSON.stringify(redact(deep)).includes('AIza'), false);
+});
+
+test('logger writes one JSON line per entry with child bindings and honours the log level', (t) => {
+    const lines = [];
+    t.mock.method(console, 'log', (line) => lines.push(line));
+    t.mock.method(console, 'warn', (line) => lines.push(line));
+    setLogLevel('warn');
+
+    const log = createLogger({ route: '/api/test' }).child({ requestId: 'req-12345678' });
+    log.info('ignored');
+    log.warn('upstream slow', { attempt: 2 });
+
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.msg, 'upstream slow');
+    assert.equal(entry.route, '/api/test');
+    assert.equal(entry.requestId, 'req-12345678');
+    assert.equal(entry.attempt, 2);
+});
+
+test('reuses a valid incoming X-Request-Id and replaces malformed ones', async () => {
+    const reused = await generate({ 'x-request-id': 'edge-1234abcd' }, {});
+    assert.equal(reused.statusCode, 400);
+    assert.equal(reused.getHeader('X-Request-Id'), 'edge-1234abcd');
+    assert.equal(reused.body.requestId, 'edge-1234abcd');
+
+    const replaced = await generate({ 'x-request-id': 'bad id\nwith newline' }, {});
+    assert.match(replaced.getHeader('X-Request-Id'), /^[0-9a-f-]{36}$/);
+    assert.equal(replaced.body.requestId, replaced.getHeader('X-Request-Id'));
+});
+
+test('/api/metrics reports requests, upstream latency, retries, cache and rate-limit counters', async () => {
+    setConfigOverrides({ rateLimit: { maxRequests: 1 } });
+    let calls = 0;
+    global.fetch = async () => {
+        calls += 1;
+        if (calls === 1) {
+            return { ok: false, status: 503, text: async () => 'Unavailable' };
+        }
+        return { ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: 'Insight' }] } }] }) };
+    };
+
+    assert.equal((await generate()).statusCode, 200);
+    assert.equal((await generate()).getHeader('X-Cache'), 'HIT');
+    assert.equal((await generate({}, { prompt: 'Other' })).statusCode, 429);
+
+    const res = await scrape();
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.getHeader('Content-Type'), 'text/plain; version=0.0.4; charset=utf-8');
+    const text = res.body;
+    assert.match(text, /^generate_insight_requests_total\{status="200"\} 2$/m);
+    assert.match(text, /^generate_insight_requests_total\{status="429"\} 1$/m);
+    assert.match(text, /^generate_insight_upstream_duration_seconds_count\{provider="gemini",outcome="error"\} 1$/m);
+    assert.match(text, /^generate_insight_upstream_duration_seconds_count\{provider="gemini",outcome="success"\} 1$/m);
+    assert.match(text, /^generate_insight_upstream_duration_seconds_bucket\{provider="gemini",outcome="success",le="\+Inf"\} 1$/m);
+    assert.match(text, /^generate_insight_upstream_retries_total\{provider="gemini"\} 1$/m);
+    assert.match(text, /^generate_insight_cache_lookups_total\{result="hit"\} 1$/m);
+    assert.match(text, /^generate_insight_rate_limit_rejections_total\{scope="client"\} 1$/m);
+});
+
+test('/api/metrics requires METRICS_TOKEN when set and stays hidden in production without one', async () => {
+    setConfigOverrides({ metrics: { token: 'scrape-token' } });
+    assert.equal((await scrape()).statusCode, 401);
+    assert.equal((await scrape({ authorization: 'Bearer wrong-token' })).statusCode, 401);
+    assert.equal((await scrape({ authorization: 'Bearer scrape-token' })).statusCode, 200);
+
+    setConfigOverrides({ metrics: { token: null }, environment: { nodeEnv: 'production' } });
+    assert.equal((await scrape()).statusCode, 404);
+});
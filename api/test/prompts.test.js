@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const {
+    buildProjectPrompt,
+    buildPublicationPrompt,
+    buildGeneralPrompt,
+    buildPromptFromRequest
+} = require('../lib/prompts');
+
+const catalogModulePath = pathToFileURL(path.join(__dirname, '..', 'public', 'js', 'data', 'catalog.js')).href;
+
+test('prompt builders produce contextualised strings', () => {
+    const projectPrompt = buildProjectPrompt('AI Project', 'Predictive maintenance');
+    assert.match(projectPrompt, /AI Project/);
+    assert.match(projectPrompt, /Predictive maintenance/);
+
+    const publicationPrompt = buildPublicationPrompt('Research Paper', 'Deep learning approach');
+    assert.match(publicationPrompt, /Research Paper/);
+    assert.match(publicationPrompt, /Deep learning approach/);
+
+    const generalPrompt = buildGeneralPrompt('Ethical AI');
+    assert.match(generalPrompt, /Ethical AI/);
+});
+
+test('prompts are built from the profile model the page renders', async () => {
+    const { projects, publications } = await import(catalogModulePath);
+
+    for (const [mode, items] of [['project', projects], ['publication', publications]]) {
+        for (const { id, title } of items) {
+            const built = await buildPromptFromRequest({ mode, itemId: id });
+            assert.ok(built.prompt.includes(`"${title}"`), id);
+        }
+    }
+});
+
+test('buildPromptFromRequest resolves catalog items by id', async () => {
+    const project = await buildPromptFromRequest({ mode: 'project', itemId: 'proj5' });
+    assert.equal(project.itemId, 'proj5');
+    assert.match(project.prompt, /Fraud Detection API/);
+
+    const context = await buildPromptFromRequest({ mode: 'context', itemId: 'pub2', question: 'Why does it matter?' });
+    assert.match(context.prompt, /estrogen receptors/);
+    assert.match(context.prompt, /Why does it matter\?/);
+
+    const general = await buildPromptFromRequest({ mode: 'general', topic: '  Ethical AI ' });
+    assert.equal(general.itemId, null);
+    assert.match(general.prompt, /<user_input>\nEthical AI\n<\/user_input>$/);
+});
+
+test('buildPromptFromRequest rejects invalid structured requests', async () => {
+    assert.deepEqual(await buildPromptFromRequest({ mode: 'poem' }), {
+        status: 400,
+        code: 'INVALID_REQUEST',
+        error: 'Mode must be one of: project, publication, general, context.'
+    });
+    assert.deepEqual(await buildPromptFromRequest({ mode: 'project', itemId: 'pub1' }), {
+        status: 400,
+        code: 'INVALID_REQUEST',
+        error: 'Unknown itemId for the requested mode.'
+    });
+    assert.deepEqual(await buildPromptFromRequest({ mode: 'context', itemId: 'proj1' }), {
+        status: 400,
+        code: 'INVALID_REQUEST',
+        error: 'Question is required.'
+    });
+    assert.deepEqual(await buildPromptFromRequest({ mode: 'general' }), {
+        status: 400,
+        code: 'INVALID_REQUEST',
+        error: 'Topic is required.'
+    });
+});
@@ -0,0 +1,155 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createRateLimiter } = require('../lib/rate-limit');
+const { ALGORITHMS } = require('../lib/rate-limit/algorithms');
+const { createMemoryStore } = require('../lib/rate-limit/memory-store');
+const { createFileStore } = require('../lib/rate-limit/file-store');
+const { createRedisStore, encodeCommand, parseReply } = require('../lib/rate-limit/redis-store');
+
+const cfg = { maxRequests: 2, windowMs: 1000 };
+
+// Tiny RESP server implementing just what the redis store needs.
+const startRedisStandIn = () => new Promise((resolve) => {
+    const data = new Map();
+    const commands = [];
+    const server = net.createServer((socket) => {
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let request;
+            while ((request = parseReply(buffer))) {
+                buffer = buffer.subarray(request.offset);
+                const [name, ...args] = request.value;
+                commands.push([name.toUpperCase(), ...args]);
+                switch (name.toUpperCase()) {
+                    case 'GET': {
+                        const value = data.get(args[0]);
+                        socket.write(value === undefined ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+                        break;
+                    }
+                    case 'SET':
+                        data.set(args[0], args[1]);
+                        socket.write('+OK\r\n');
+                        break;
+                    default:
+                        socket.write('+OK\r\n');
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, commands, port: server.address().port }));
+});
+
+test('fixed window rejects once the window is full and resets afterwards', async () => {
+    const limiter = createRateLimiter({ store: createMemoryStore(), algorithm: ALGORITHMS['fixed-window'] });
+
+    assert.equal((await limiter.consume('k', cfg, { now: 0 })).remaining, 1);
+    assert.equal((await limiter.consume('k', cfg, { now: 10 })).allowed, true);
+    const limited = await limiter.consume('k', cfg, { now: 20 });
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.retryAfterMs, 980);
+    assert.equal((await limiter.consume('k', cfg, { now: 1000 })).allowed, true);
+});
+
+test('sliding window weights the previous window', async () => {
+    const limiter = createRateLimiter({ store: createMemoryStore(), algorithm: ALGORITHMS['sliding-window'] });
+
+    await limiter.consume('k', cfg, { now: 900 });
+    await limiter.consume('k', cfg, { now: 950 });
+    // 25% into the next window, 75% of the previous two requests still count.
+    const limited = await limiter.consume('k', cfg, { now: 1250 });
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.retryAfterMs, 250);
+    assert.equal((await limiter.consume('k', cfg, { now: 1500 })).allowed, true);
+});
+
+test('token bucket refills continuously and supports weighted costs', async () => {
+    const limiter = createRateLimiter({ store: createMemoryStore(), algorithm: ALGORITHMS['token-bucket'] });
+
+    assert.equal((await limiter.consume('k', cfg, { cost: 2, now: 0 })).allowed, true);
+    const limited = await limiter.consume('k', cfg, { now: 100 });
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.retryAfterMs, 400);
+    const refilled = await limiter.consume('k', cfg, { now: 500 });
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.remaining, 0);
+    assert.equal(refilled.resetAt, 1500);
+});
+
+test('peek reports the allowance without consuming it', async () => {
+    const limiter = createRateLimiter({ store: createMemoryStore(), algorithm: ALGORITHMS['fixed-window'] });
+
+    await limiter.consume('k', cfg, { now: 0 });
+    assert.equal((await limiter.peek('k', cfg, { now: 1 })).remaining, 1);
+    assert.equal((await limiter.peek('k', cfg, { now: 2 })).remaining, 1);
+    assert.equal(await limiter.consume('k', { maxRequests: 0, windowMs: 1000 }), null);
+});
+
+test('file store shares state between limiter instances', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-'));
+    const filePath = path.join(dir, 'buckets.json');
+    try {
+        const first = createRateLimiter({ store: createFileStore(filePath), algorithm: ALGORITHMS['fixed-window'] });
+        const second = createRateLimiter({ store: createFileStore(filePath), algorithm: ALGORITHMS['fixed-window'] });
+
+        await first.consume('k', cfg, { now: 0 });
+        await second.consume('k', cfg, { now: 1 });
+        assert.equal((await first.consume('k', cfg, { now: 2 })).allowed, false);
+        assert.ok(JSON.parse(fs.readFileSync(filePath, 'utf8')).k);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('redis store talks RESP to a compatible server', async () => {
+    const { server, commands, port } = await startRedisStandIn();
+    const store = createRedisStore(`redis://:secret@127.0.0.1:${port}/2`);
+    try {
+        const limiter = createRateLimiter({ store, algorithm: ALGORITHMS['token-bucket'] });
+
+        await limiter.consume('k', cfg, { now: 0 });
+        await limiter.consume('k', cfg, { now: 0 });
+        assert.equal((await limiter.consume('k', cfg, { now: 0 })).allowed, false);
+
+        assert.deepEqual(commands.slice(0, 3), [
+            ['AUTH', 'secret'],
+            ['SELECT', '2'],
+            ['GET', 'generate-insight:rl:k']
+        ]);
+        const set = commands.find(([name]) => name === 'SET');
+        assert.deepEqual(set.slice(3), ['PX', '501']);
+    } finally {
+        store.close();
+        server.close();
+    }
+});
+
+test('redis store keeps an idle connection open past the command timeout', async () => {
+    const { server, port } = await startRedisStandIn();
+    let connections = 0;
+    server.on('connection', () => {
+        connections += 1;
+    });
+    const store = createRedisStore(`redis://127.0.0.1:${port}`, { timeoutMs: 50 });
+    try {
+        await store.set('k', { tokens: 1 }, 1000);
+        await new Promise((resolve) => setTimeout(resolve, 120));
+        assert.deepEqual(await store.get('k'), { tokens: 1 });
+        assert.equal(connections, 1);
+    } finally {
+        store.close();
+        server.close();
+    }
+});
+
+test('RESP encoding round-trips through the reply parser', () => {
+    const encoded = Buffer.from(encodeCommand(['SET', 'k', 'ü']));
+    assert.deepEqual(parseReply(encoded).value, ['SET', 'k', 'ü']);
+    assert.equal(parseReply(Buffer.from('$5\r\nhel')), null);
+    assert.equal(parseReply(Buffer.from('-ERR nope\r\n')).value.message, 'ERR nope');
+});
@@ -0,0 +1,153 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { loadRequestSchemas, validateInsightRequest } = require('../lib/request-schema');
+const { PROMPT_MODES } = require('../lib/prompts');
+const { SAFETY_THRESHOLDS, SAFETY_CATEGORIES } = require('../lib/generation-settings');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+const originalFetch = global.fetch;
+
+function createMockResponse() {
+    const headers = new Map();
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name, value);
+        },
+        getHeader(name) {
+            return headers.get(name);
+        },
+        end() {}
+    };
+}
+
+// A value of a different JSON type than the schema asks for.
+const wrongTypeFor = ({ type }) => (type === 'string' ? 42 : 'not-a-' + type);
+
+beforeEach(() => {
+    setLogLevel('silent');
+    resetConfigOverrides();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+    global.fetch = async () => {
+        throw new Error('fetch should not be called');
+    };
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('shared request schemas stay in sync with the server constants', async () => {
+    const schemas = await loadRequestSchemas();
+
+    assert.deepEqual(schemas.REQUEST_MODES, [...PROMPT_MODES, 'batch']);
+    assert.deepEqual(schemas.SAFETY_THRESHOLDS, SAFETY_THRESHOLDS);
+    assert.deepEqual(Object.keys(schemas.insightRequestSchema.properties.safety.properties), Object.keys(SAFETY_CATEGORIES));
+});
+
+test('validateSchema reports every invalid field with its path', async () => {
+    const { validateSchema, insightRequestSchema } = await loadRequestSchemas();
+
+    const issues = validateSchema(insightRequestSchema, {
+        mode: 'poem',
+        temperature: 3,
+        itemIds: [],
+        history: [{ role: 'model', text: 'Answer' }, { role: 'bot' }],
+        safety: { harassment: 'BLOCK_NONE', violence: 'BLOCK_NONE' }
+    });
+
+    assert.deepEqual(issues.map(({ field, message }) => ({ field, message })), [
+        { field: 'mode', message: 'Mode must be one of: project, publication, general, context, batch.' },
+        { field: 'temperature', message: 'Temperature must be a number between 0 and 2.' },
+        { field: 'itemIds', message: 'ItemIds must contain at least 1 item.' },
+        { field: 'history[1].text', message: 'Text is required.' },
+        { field: 'history[1].role', message: 'Role must be one of: model, user.' },
+        { field: 'safety.violence', message: 'Safety does not accept "violence".' }
+    ]);
+});
+
+test('fixtures generated from the schemas validate, and each wrong-typed field is reported', async () => {
+    const { validateSchema, buildFixture, insightRequestSchema, insightHeadersSchema } = await loadRequestSchemas();
+
+    for (const schema of [insightRequestSchema, insightHeadersSchema]) {
+        const fixture = buildFixture(schema, { includeOptional: true });
+        assert.deepEqual(validateSchema(schema, fixture), []);
+
+        for (const [key, property] of Object.entries(schema.properties)) {
+            const issues = validateSchema(schema, { ...fixture, [key]: wrongTypeFor(property) });
+            assert.deepEqual(issues.map(({ field }) => field), [key], `wrong type for ${key}`);
+        }
+    }
+    assert.deepEqual(buildFixture(insightRequestSchema), {});
+});
+
+test('the handler answers one 400 listing every invalid body field and header', async () => {
+    const res = createMockResponse();
+
+    await handler({
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key', 'x-deadline-ms': 'soon' },
+        body: { mode: 'general', topic: 'AI', stream: 'yes', maxOutputTokens: 1.5 }
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+        error: 'The request has 3 invalid fields.',
+        code: 'INVALID_REQUEST',
+        requestId: res.getHeader('X-Request-Id'),
+        fields: [
+            { field: 'headers.x-deadline-ms', message: 'X-Deadline-Ms must be a positive integer.' },
+            { field: 'stream', message: 'Stream must be a boolean.' },
+            { field: 'maxOutputTokens', message: 'maxOutputTokens must be an integer of at least 1.' }
+        ]
+    });
+});
+
+test('an invalid body is reported before credentials are checked', async () => {
+    const res = createMockResponse();
+
+    await handler({
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: { mode: 'poem' }
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+    assert.deepEqual(res.body.fields, [{ field: 'mode', message: 'Mode must be one of: project, publication, general, context, batch.' }]);
+});
+
+test('over-long text alone is reported as PROMPT_TOO_LONG', async () => {
+    const { MAX_QUESTION_LENGTH } = await loadRequestSchemas();
+    const tooLong = await validateInsightRequest({
+        headers: {},
+        body: { mode: 'context', itemId: 'pub1', question: 'q'.repeat(MAX_QUESTION_LENGTH + 1) }
+    });
+    assert.deepEqual(tooLong, {
+        status: 413,
+        code: 'PROMPT_TOO_LONG',
+        error: 'Question is too long.',
+        fields: [{ field: 'question', message: 'Question is too long.' }]
+    });
+
+    assert.equal(await validateInsightRequest({ headers: { 'x-deadline-ms': '5000' }, body: { mode: 'project', itemId: 'proj1' } }), null);
+});
@@ -0,0 +1,182 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const sessionHandler = require('../session');
+const generateInsight = require('../generate-insight');
+const { signSessionToken, verifySessionToken } = require('../lib/session-token');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+
+const originalFetch = global.fetch;
+const SECRET = 's'.repeat(32);
+const ORIGIN = 'https://allowed.example';
+
+function createMockResponse() {
+    const headers = new Map();
+    return {
+        statusCalls: [],
+        body: undefined,
+        status(code) {
+            this.statusCalls.push(code);
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name, value);
+        },
+        getHeader(name) {
+            return headers.get(name);
+        },
+        end() {}
+    };
+}
+
+// Every test allows ORIGIN; `values` are layered over that.
+const configure = (values = {}) => setConfigOverrides({ cors: { allowedOrigins: [ORIGIN] }, ...values });
+
+const enableServerKeyMode = (values = {}) => configure({
+    ...values,
+    session: { serverKeyMode: true, apiKey: 'server-held-key', secret: SECRET, ...values.session }
+});
+
+const issueToken = async () => {
+    const res = createMockResponse();
+    await sessionHandler({ method: 'POST', headers: { origin: ORIGIN } }, res);
+    return res;
+};
+
+const generate = async (token, body = { mode: 'project', itemId: 'proj1' }, origin = ORIGIN) => {
+    const res = createMockResponse();
+    await generateInsight({
+        method: 'POST',
+        headers: { origin, 'content-type': 'application/json', 'x-session-token': token },
+        body
+    }, res);
+    return res;
+};
+
+beforeEach(() => {
+    setLogLevel('silent');
+    configure();
+    generateInsight.__resetRateLimiter();
+    generateInsight.__resetResponseCache();
+    generateInsight.__resetCircuitBreakers();
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('session tokens verify only with the right signature, origin and lifetime', () => {
+    const cfg = { secret: SECRET, ttlSeconds: 60 };
+    const { token, claims } = signSessionToken({ origin: ORIGIN }, cfg, 0);
+
+    assert.equal(verifySessionToken(token, { origin: ORIGIN }, cfg, 1000).claims.sid, claims.sid);
+    assert.deepEqual(verifySessionToken(token, { origin: 'https://other.example' }, cfg, 1000), { ok: false, reason: 'origin' });
+    assert.deepEqual(verifySessionToken(token, { origin: ORIGIN }, cfg, 60_000), { ok: false, reason: 'expired' });
+    assert.deepEqual(verifySessionToken(token, { origin: ORIGIN }, { secret: 'x'.repeat(32) }, 1000), { ok: false, reason: 'signature' });
+    assert.deepEqual(verifySessionToken('v1.abc', { origin: ORIGIN }, cfg, 1000), { ok: false, reason: 'malformed' });
+});
+
+test('GET /api/session reports whether server-managed keys are on', async () => {
+    const disabled = createMockResponse();
+    await sessionHandler({ method: 'GET', headers: { origin: ORIGIN } }, disabled);
+    assert.deepEqual(disabled.body, { serverManaged: false, models: ['gemini-2.5-flash'] });
+
+    enableServerKeyMode();
+    const enabled = createMockResponse();
+    await sessionHandler({ method: 'GET', headers: { origin: ORIGIN } }, enabled);
+    assert.deepEqual(enabled.body, { serverManaged: true, models: ['gemini-2.5-flash'] });
+
+    enableServerKeyMode({ providers: { gemini: { allowedModels: ['gemini-2.5-pro'] } } });
+    const extended = createMockResponse();
+    await sessionHandler({ method: 'GET', headers: { origin: ORIGIN } }, extended);
+    assert.deepEqual(extended.body.models, ['gemini-2.5-flash', 'gemini-2.5-pro']);
+    assert.equal(enabled.getHeader('Cache-Control'), 'no-store');
+});
+
+test('POST /api/session refuses to issue tokens when the mode is off or incomplete', async () => {
+    const disabled = await issueToken();
+    assert.deepEqual(disabled.statusCalls, [404]);
+
+    configure({ session: { serverKeyMode: true, secret: 'too-short' } });
+    const misconfigured = await issueToken();
+    assert.deepEqual(misconfigured.statusCalls, [500]);
+    assert.deepEqual(misconfigured.body, { error: 'Server-managed key mode is misconfigured.', code: 'SERVER_MISCONFIGURED', requestId: misconfigured.getHeader('X-Request-Id') });
+});
+
+test('session tokens replace the client key and use the server-held key upstream', async () => {
+    enableServerKeyMode();
+    const fetchCalls = [];
+    global.fetch = async (...args) => {
+        fetchCalls.push(args);
+        return { ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: 'Insight' }] } }] }) };
+    };
+
+    const issued = await issueToken();
+    assert.deepEqual(issued.statusCalls, [200]);
+    assert.equal(issued.body.maxRequests, 10);
+
+    const res = await generate(issued.body.token);
+    assert.deepEqual(res.statusCalls, [200]);
+    assert.match(fetchCalls[0][0], /key=server-held-key$/);
+
+    const wrongOrigin = await generate(issued.body.token, { mode: 'project', itemId: 'proj2' }, 'https://evil.example');
+    assert.deepEqual(wrongOrigin.statusCalls, [403]);
+});
+
+test('rejects invalid session tokens and enforces the per-session quota', async () => {
+    enableServerKeyMode({ session: { maxRequests: 1 } });
+    global.fetch = async () => ({ ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: 'Insight' }] } }] }) });
+
+    const invalid = await generate('v1.forged.signature');
+    assert.deepEqual(invalid.statusCalls, [401]);
+    assert.deepEqual(invalid.body, { error: 'Session token is invalid or expired.', code: 'SESSION_INVALID', requestId: invalid.getHeader('X-Request-Id') });
+
+    const { body: { token } } = await issueToken();
+    assert.deepEqual((await generate(token)).statusCalls, [200]);
+    const exhausted = await generate(token, { mode: 'project', itemId: 'proj2' });
+    assert.deepEqual(exhausted.statusCalls, [429]);
+    assert.deepEqual(exhausted.body, { error: 'Session quota exhausted. Please try again later.', code: 'SESSION_QUOTA_EXHAUSTED', requestId: exhausted.getHeader('X-Request-Id') });
+});
+
+test('a new session from the same client does not reset its rate limit', async () => {
+    enableServerKeyMode({ rateLimit: { maxRequests: 2 }, cache: { ttlMs: 0 } });
+    global.fetch = async () => ({ ok: true, json: async () => ({ candidates: [{ content: { parts: [{ text: 'Insight' }] } }] }) });
+
+    const first = (await issueToken()).body.token;
+    const second = (await issueToken()).body.token;
+    assert.deepEqual((await generate(first)).statusCalls, [200]);
+    assert.deepEqual((await generate(second)).statusCalls, [200]);
+    const limited = await generate(second, { mode: 'project', itemId: 'proj2' });
+    assert.deepEqual(limited.statusCalls, [429]);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+});
+
+test('a new session from the same client shares its daily token quota', async () => {
+    enableServerKeyMode({ tokenQuota: { dailyTokens: 300 } });
+    global.fetch = async () => ({
+        ok: true,
+        json: async () => ({
+            candidates: [{ content: { parts: [{ text: 'Insight' }] } }],
+            usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 272, totalTokenCount: 312 }
+        })
+    });
+
+    const spent = await generate((await issueToken()).body.token);
+    assert.deepEqual(spent.statusCalls, [200]);
+    assert.equal(spent.body.quota.remaining, 0);
+
+    const refused = await generate((await issueToken()).body.token, { mode: 'project', itemId: 'proj2' });
+    assert.deepEqual(refused.statusCalls, [429]);
+    assert.equal(refused.body.code, 'TOKEN_QUOTA_EXHAUSTED');
+});
@@ -0,0 +1,146 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { INSIGHT_SCHEMA, validateResponseFormat, validateStructuredInsight } = require('../lib/structured');
+const openai = require('../lib/providers/openai');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+const originalFetch = global.fetch;
+
+const createMockResponse = () => {
+    const headers = new Map();
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name.toLowerCase(), value);
+        },
+        getHeader(name) {
+            return headers.get(name.toLowerCase());
+        },
+        end() {
+            return this;
+        }
+    };
+};
+
+const insightRequest = (body) => ({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key' },
+    body
+});
+
+const INSIGHT = {
+    headline: 'Predicting production rates',
+    problem: 'Unplanned drops in output.',
+    approach: 'Gradient-boosted models on sensor data.',
+    impact: 'Proactive adjustments and higher output.',
+    skills: ['Python', 'XGBoost', 'Python'],
+    oneLiner: 'Built a model that keeps critical assets producing.'
+};
+
+const geminiText = (text) => ({
+    ok: true,
+    json: async () => ({ candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] })
+});
+
+beforeEach(() => {
+    setLogLevel('silent');
+    resetConfigOverrides();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('validateResponseFormat allows structured output for project and publication insights only', () => {
+    assert.deepEqual(validateResponseFormat({ mode: 'general' }), { structured: false });
+    assert.deepEqual(validateResponseFormat({ mode: 'publication', format: 'structured' }), { structured: true });
+    assert.equal(
+        validateResponseFormat({ mode: 'general', format: 'structured' }).error,
+        'Structured format is only available for project and publication insights.'
+    );
+    assert.equal(
+        validateResponseFormat({ mode: 'project', format: 'structured', stream: true }).error,
+        'Structured insights cannot be streamed.'
+    );
+});
+
+test('validateStructuredInsight trims fields, dedupes skills and rejects incomplete replies', () => {
+    assert.deepEqual(validateStructuredInsight({ ...INSIGHT, headline: '  Predicting production rates ', extra: true }), {
+        ...INSIGHT,
+        skills: ['Python', 'XGBoost']
+    });
+    assert.equal(validateStructuredInsight({ ...INSIGHT, impact: '' }), null);
+    assert.equal(validateStructuredInsight({ ...INSIGHT, skills: 'Python' }), null);
+    assert.equal(validateStructuredInsight([INSIGHT]), null);
+});
+
+test('structured requests send a response schema to Gemini and return the checked fields', async () => {
+    let sentBody;
+    global.fetch = async (url, init) => {
+        sentBody = JSON.parse(init.body);
+        return geminiText(`\`\`\`json\n${JSON.stringify(INSIGHT)}\n\`\`\``);
+    };
+    const res = createMockResponse();
+
+    await handler(insightRequest({ mode: 'project', itemId: 'proj1', format: 'structured' }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.structured, { ...INSIGHT, skills: ['Python', 'XGBoost'] });
+    assert.equal(sentBody.generationConfig.responseMimeType, 'application/json');
+    assert.equal(sentBody.generationConfig.responseSchema.type, 'OBJECT');
+    assert.equal(sentBody.generationConfig.responseSchema.properties.skills.items.type, 'STRING');
+    assert.equal(sentBody.generationConfig.responseSchema.additionalProperties, undefined);
+    assert.deepEqual(sentBody.generationConfig.responseSchema.propertyOrdering, INSIGHT_SCHEMA.required);
+    assert.match(sentBody.contents[0].parts[0].text, /Respond only with a JSON object/);
+});
+
+test('structured replies that do not match the schema fail with UPSTREAM_ERROR', async () => {
+    global.fetch = async () => geminiText('{"headline": "Only a headline"}');
+    const res = createMockResponse();
+
+    await handler(insightRequest({ mode: 'publication', itemId: 'pub1', format: 'structured' }), res);
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.code, 'UPSTREAM_ERROR');
+    assert.equal(res.body.error, 'The provider returned an invalid structured insight.');
+});
+
+test('structured batch requests are rejected', async () => {
+    global.fetch = async () => {
+        throw new Error('fetch should not be called');
+    };
+    const res = createMockResponse();
+
+    await handler(insightRequest({ mode: 'batch', itemIds: ['proj1'], format: 'structured' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+});
+
+test('the OpenAI adapter sends the schema as a strict json_schema response format', () => {
+    const { init } = openai.buildRequest({ prompt: 'Prompt', apiKey: 'k', responseSchema: INSIGHT_SCHEMA });
+    assert.deepEqual(JSON.parse(init.body).response_format, {
+        type: 'json_schema',
+        json_schema: { name: 'insight', strict: true, schema: JSON.parse(JSON.stringify(INSIGHT_SCHEMA)) }
+    });
+});
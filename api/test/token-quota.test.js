@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { renderMetrics, resetMetrics } = require('../lib/metrics');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+const originalFetch = global.fetch;
+
+const createMockResponse = () => {
+    const headers = new Map();
+    return {
+        statusCode: 200,
+        headers,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name.toLowerCase(), value);
+        },
+        getHeader(name) {
+            return headers.get(name.toLowerCase());
+        },
+        end() {
+            return this;
+        }
+    };
+};
+
+const insightRequest = (body) => ({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key' },
+    body
+});
+
+const geminiResponse = (totalTokenCount) => ({
+    ok: true,
+    json: async () => ({
+        candidates: [{ content: { parts: [{ text: 'Insight' }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 40, candidatesTokenCount: totalTokenCount - 40, totalTokenCount }
+    })
+});
+
+beforeEach(() => {
+    setLogLevel('silent');
+    resetConfigOverrides();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+    resetMetrics();
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('responses report normalized usage and no quota when the quota is off', async () => {
+    global.fetch = async () => geminiResponse(312);
+    const res = createMockResponse();
+
+    await handler(insightRequest({ mode: 'project', itemId: 'proj1' }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.usage, { promptTokens: 40, outputTokens: 272, totalTokens: 312 });
+    assert.equal(res.body.quota, undefined);
+    assert.match(renderMetrics(), /^generate_insight_tokens_total\{provider="gemini",mode="project",type="output"\} 272$/m);
+});
+
+test('the daily token quota is charged from usage and enforced per key', async () => {
+    setConfigOverrides({ tokenQuota: { dailyTokens: 500 } });
+    let calls = 0;
+    global.fetch = async () => {
+        calls += 1;
+        return geminiResponse(312);
+    };
+
+    const first = createMockResponse();
+    await handler(insightRequest({ mode: 'project', itemId: 'proj1' }), first);
+    assert.equal(first.body.quota.limit, 500);
+    assert.equal(first.body.quota.remaining, 188);
+    assert.ok(Date.parse(first.body.quota.resetAt) > Date.now());
+
+    // Cached answers are free but still report the allowance.
+    const cached = createMockResponse();
+    await handler(insightRequest({ mode: 'project', itemId: 'proj1' }), cached);
+    assert.equal(cached.getHeader('X-Cache'), 'HIT');
+    assert.equal(cached.body.quota.remaining, 188);
+
+    // The last answer of the day may overshoot; the charge is capped at what is left.
+    const second = createMockResponse();
+    await handler(insightRequest({ mode: 'project', itemId: 'proj2' }), second);
+    assert.equal(second.statusCode, 200);
+    assert.equal(second.body.quota.remaining, 0);
+
+    const refused = createMockResponse();
+    await handler(insightRequest({ mode: 'project', itemId: 'proj3' }), refused);
+    assert.equal(refused.statusCode, 429);
+    assert.equal(refused.body.code, 'TOKEN_QUOTA_EXHAUSTED');
+    assert.ok(refused.getHeader('Retry-After') > 0);
+    assert.equal(calls, 2);
+    assert.match(renderMetrics(), /^generate_insight_rate_limit_rejections_total\{scope="tokens"\} 1$/m);
+});
+
+test('batch responses charge the tokens of all generated items at once', async () => {
+    setConfigOverrides({ tokenQuota: { dailyTokens: 1000 } });
+    global.fetch = async () => geminiResponse(100);
+    const res = createMockResponse();
+
+    await handler(insightRequest({ mode: 'batch', itemIds: ['proj1', 'proj2', 'pub1'] }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.results.map(({ usage }) => usage.totalTokens), [100, 100, 100]);
+    assert.equal(res.body.quota.remaining, 700);
+});
@@ -0,0 +1,213 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../generate-insight');
+const { backoffDelay, parseRetryAfter, streamWithRetry } = require('../lib/upstream');
+const gemini = require('../lib/providers/gemini');
+const { createCircuitBreaker } = require('../lib/circuit-breaker');
+const { setConfigOverrides, resetConfigOverrides } = require('../lib/config');
+const { setLogLevel } = require('../lib/logger');
+
+// No caching or rate limiting, so every request reaches the upstream; configure() layers a test's
+// own settings over that.
+const BASE_CONFIG = { cache: { ttlMs: 0 }, rateLimit: { maxRequests: 0 } };
+const configure = (values = {}) => setConfigOverrides({ ...BASE_CONFIG, ...values });
+const originalFetch = global.fetch;
+
+function createMockResponse() {
+    const headers = new Map();
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+        setHeader(name, value) {
+            headers.set(name, value);
+        },
+        getHeader(name) {
+            return headers.get(name);
+        },
+        end() {}
+    };
+}
+
+const upstreamFailure = (status, retryAfter) => ({
+    ok: false,
+    status,
+    headers: new Headers(retryAfter === undefined ? {} : { 'retry-after': retryAfter }),
+    text: async () => 'failure'
+});
+
+const upstreamSuccess = (text = 'Insight') => ({
+    ok: true,
+    json: async () => ({ candidates: [{ content: { parts: [{ text }] } }] })
+});
+
+const generate = async (headers = {}, prompt = 'Hello') => {
+    const res = createMockResponse();
+    await handler({
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-gemini-api-key': 'test-key', ...headers },
+        body: { prompt }
+    }, res);
+    return res;
+};
+
+beforeEach(() => {
+    setLogLevel('silent');
+    configure();
+    handler.__resetRateLimiter();
+    handler.__resetResponseCache();
+    handler.__resetCircuitBreakers();
+});
+
+afterEach(() => {
+    resetConfigOverrides();
+    setLogLevel(null);
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    } else {
+        delete global.fetch;
+    }
+});
+
+test('backoffDelay grows exponentially with full jitter and a cap', () => {
+    assert.equal(backoffDelay(1, () => 0), 0);
+    assert.equal(backoffDelay(1, () => 0.999), 199);
+    assert.equal(backoffDelay(3, () => 0.5), 400);
+    assert.equal(backoffDelay(10, () => 0.999), 1998);
+});
+
+test('parseRetryAfter accepts delta-seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('2', now), 2000);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT', now), 5000);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('honours an upstream Retry-After on 429 and passes it on when retries run out', async () => {
+    let attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        return attempts === 1 ? upstreamFailure(429, '0') : upstreamSuccess('After quota wait');
+    };
+    const recovered = await generate();
+    assert.equal(recovered.statusCode, 200);
+    assert.equal(recovered.body.text, 'After quota wait');
+    assert.equal(attempts, 2);
+
+    // Without Retry-After a quota error is final; with one beyond the deadline it is surfaced to the client.
+    attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        return upstreamFailure(429, '120');
+    };
+    const exhausted = await generate({}, 'Other');
+    assert.equal(exhausted.statusCode, 429);
+    assert.equal(exhausted.body.code, 'UPSTREAM_QUOTA');
+    assert.equal(exhausted.getHeader('Retry-After'), 120);
+    assert.equal(attempts, 1);
+});
+
+test('stops retrying once the overall deadline cannot fit another attempt', async () => {
+    configure({ request: { maxRetries: 3 } });
+    let attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        return upstreamFailure(503);
+    };
+
+    const res = await generate({ 'x-deadline-ms': '400' });
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.code, 'UPSTREAM_UNAVAILABLE');
+    assert.equal(attempts, 1);
+
+    const malformed = await generate({ 'x-deadline-ms': 'soon' });
+    assert.equal(malformed.statusCode, 400);
+    assert.equal(malformed.body.error, 'X-Deadline-Ms must be a positive integer.');
+});
+
+test('circuit breaker opens after repeated failures, then lets one probe through when half-open', () => {
+    const cfg = { failureThreshold: 2, cooldownMs: 1000 };
+    const breaker = createCircuitBreaker();
+
+    assert.deepEqual(breaker.acquire(cfg, 0), { allowed: true });
+    breaker.recordFailure(cfg, 0);
+    assert.deepEqual(breaker.acquire(cfg, 10), { allowed: true });
+    breaker.recordFailure(cfg, 10);
+    assert.equal(breaker.state, 'open');
+    assert.deepEqual(breaker.acquire(cfg, 500), { allowed: false, retryAfterMs: 510 });
+
+    assert.deepEqual(breaker.acquire(cfg, 1010), { allowed: true });
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.acquire(cfg, 1020).allowed, false);
+    breaker.recordFailure(cfg, 1030);
+    assert.equal(breaker.state, 'open');
+
+    assert.equal(breaker.acquire(cfg, 2030).allowed, true);
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.acquire(cfg, 2040).allowed, true);
+
+    breaker.recordFailure(cfg, 3000);
+    breaker.recordFailure(cfg, 3010);
+    assert.equal(breaker.acquire(cfg, 4010).allowed, true);
+    breaker.release();
+    assert.equal(breaker.state, 'half-open', 'an outcome that says nothing about the provider is not a probe');
+    assert.equal(breaker.acquire(cfg, 4020).allowed, true);
+});
+
+test('fails fast with CIRCUIT_OPEN once the provider keeps failing', async () => {
+    configure({ request: { maxRetries: 0 }, breaker: { failureThreshold: 2 } });
+    let attempts = 0;
+    global.fetch = async () => {
+        attempts += 1;
+        return upstreamFailure(500);
+    };
+
+    assert.equal((await generate()).statusCode, 502);
+    assert.equal((await generate()).statusCode, 502);
+    const rejected = await generate();
+
+    assert.equal(rejected.statusCode, 503);
+    assert.equal(rejected.body.code, 'CIRCUIT_OPEN');
+    assert.equal(rejected.getHeader('Retry-After'), 30);
+    assert.equal(attempts, 2);
+});
+
+test('a stream that keeps dripping text still ends at the overall deadline', async () => {
+    const encoder = new TextEncoder();
+    const event = (data) => encoder.encode(`data: ${JSON.stringify(data)}\n\n`);
+    global.fetch = async (url, { signal }) => ({
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(event({ usageMetadata: { totalTokenCount: 1 } }));
+                const timer = setInterval(() => controller.enqueue(event({ candidates: [{ content: { parts: [{ text: '.' }] } }] })), 20);
+                signal.addEventListener('abort', () => {
+                    clearInterval(timer);
+                    controller.error(signal.reason);
+                });
+            }
+        })
+    });
+
+    const startedAt = Date.now();
+    let relayed = 0;
+    await assert.rejects(
+        streamWithRetry(gemini, { prompt: 'Hi', apiKey: 'k' }, { timeoutMs: 60, maxRetries: 0, deadlineMs: 200 }, () => {
+            relayed += 1;
+        }),
+        { code: 'UPSTREAM_TIMEOUT' }
+    );
+    assert.ok(relayed > 3, 'the idle timer restarted on each text chunk');
+    assert.ok(Date.now() - startedAt < 400, 'the deadline ended the stream');
+});